@@ -0,0 +1,29 @@
+// Usage: node scripts/backfillLedger.js
+// Records ledger entries for rides paid out (or waiting for payout) before the earnings ledger existed.
+// Safe to run more than once: entries already recorded are left alone.
+const mongoose = require('mongoose');
+require('dotenv').config({ path: __dirname + '/../.env' });
+const Ride = require('../src/models/Ride');
+const { recordRideEarnings, recordPenalty } = require('../src/utils/ledger');
+const { refundsAfterFare } = require('../src/utils/payouts');
+
+async function main() {
+  await mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true });
+
+  const paid = await Ride.find({ 'payout.grossAmount': { $exists: true } });
+  for (const ride of paid) {
+    const { grossAmount, commission, commissionPercent } = ride.payout;
+    await recordRideEarnings(ride, { grossAmount, commission, commissionPercent }, ride.status === 'completed' ? refundsAfterFare(ride) : 0);
+  }
+
+  const penalised = await Ride.find({ status: 'cancelled', 'cancellation.driverPenalty': { $gt: 0 } });
+  for (const ride of penalised) await recordPenalty(ride);
+
+  console.log(`Ledger backfilled for ${paid.length} paid ride(s) and ${penalised.length} penalty(ies)`);
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -4,6 +4,7 @@
 
 const io = require('socket.io-client');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 require('dotenv').config({ path: '../.env' });
 const User = require('../src/models/User');
 
@@ -35,28 +36,33 @@ async function buildDriversFromDb() {
       lon = u.location.coordinates[0] || lon;
       lat = u.location.coordinates[1] || lat;
     }
-    return { driverId: String(u._id), lat, lon };
+    // Sockets authenticate with a JWT, so sign one per driver (same secret as the server)
+    const token = jwt.sign({ id: u._id }, process.env.JWT_SECRET, { expiresIn: '1d' });
+    return { driverId: String(u._id), token, lat, lon };
   });
 }
 
 async function run() {
   const drivers = await buildDriversFromDb();
-  const socket = io(SOCKET_URL);
 
-  socket.on('connect', () => {
-    console.log('connected to socket server', socket.id);
-    setInterval(() => {
-      drivers.forEach((d, idx) => {
+  // One socket per driver: the server derives the driver id from the socket's token
+  drivers.forEach((d, idx) => {
+    const socket = io(SOCKET_URL, { auth: { token: d.token } });
+
+    socket.on('connect', () => {
+      console.log(`driver ${d.driverId} connected to socket server`, socket.id);
+      socket.emit('driverOnline', { latitude: d.lat, longitude: d.lon });
+      setInterval(() => {
         // simple oscillation for demo
         const lat = d.lat + Math.sin(Date.now() / 5000 + idx) * 0.001;
         const lon = d.lon + Math.cos(Date.now() / 5000 + idx) * 0.001;
-        socket.emit('driverLocationUpdate', { driverId: d.driverId, latitude: lat, longitude: lon });
-      });
-    }, 2000);
-  });
+        socket.emit('driverLocationUpdate', { latitude: lat, longitude: lon });
+      }, 2000);
+    });
 
-  socket.on('connect_error', (err) => {
-    console.error('connect_error', err.message);
+    socket.on('connect_error', (err) => {
+      console.error(`connect_error for driver ${d.driverId}`, err.message);
+    });
   });
 }
 
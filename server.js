@@ -9,13 +9,34 @@ const rideRoutes = require('./src/routes/rides');
 const userRoutes = require('./src/routes/users');
 const paymentRoutes = require('./src/routes/payments');
 const carRoutes = require('./src/routes/cars');
+const tariffRoutes = require('./src/routes/tariffs');
+const webhookRoutes = require('./src/routes/webhook');
+const driverRoutes = require('./src/routes/drivers');
+const promoRoutes = require('./src/routes/promos');
+const promoAdminRoutes = require('./src/routes/promoAdmin');
+const { getDistanceKm } = require('./src/utils/geo');
+const { releaseOffer, clearOffer, releaseStaleOffers } = require('./src/utils/dispatch');
+const { transitionRide, RideTransitionError } = require('./src/utils/rideLifecycle');
+const socketAuthMiddleware = require('./src/middleware/socketAuth');
+const Ride = require('./src/models/Ride');
+const { recordSample } = require('./src/utils/rideTrack');
+const { finalizeFare } = require('./src/utils/fareMeter');
+const { startSurgeUpdates } = require('./src/utils/surge');
+const { refreshTariffCache, startTariffRefresh } = require('./src/utils/tariffs');
+const { startHoldSweeper } = require('./src/utils/paymentHold');
+const { requestRidePayments } = require('./src/utils/fareShares');
+const { startRideScheduler } = require('./src/utils/scheduledRides');
+const { notifyNextStop, advanceStop, StopError } = require('./src/utils/stops');
+const { syncPoolPlan } = require('./src/utils/pools');
+const { ratingsFor } = require('./src/utils/ratings');
+const { rideNeeds, carSatisfies, activeCarsOf } = require('./src/utils/carCapabilities');
+const { sendMessage, markRead, sendTyping, ChatError } = require('./src/utils/rideChat');
 
 const app = express();
 app.use(cors());
+// Stripe webhook needs the raw body, so it is mounted before the JSON parser
+app.use('/webhook', webhookRoutes);
 app.use(bodyParser.json());
-// Stripe for webhook verification in the /webhook endpoint
-const Stripe = require('stripe');
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
 const PORT = process.env.PORT || 4000;
 
@@ -30,7 +51,25 @@ app.set('io', io);
 // driverSocketMap and onlineDrivers are defined below; we'll also expose them after they exist
 
 mongoose.connect(process.env.MONGO_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log('Connected to MongoDB'))
+  .then(async () => {
+    console.log('Connected to MongoDB');
+    const tariffs = await refreshTariffCache();
+    console.log(`[tariffs] Loaded ${tariffs.length} active tariff(s)`);
+    startTariffRefresh();
+    startHoldSweeper();
+    // Dispatch and remind scheduled rides, catching up on any that came due while the server was down once
+    // drivers have reconnected
+    startRideScheduler(app);
+    // Offers pending when the server stopped lost their timeouts: re-open those rides and dispatch them again
+    // once drivers have reconnected
+    releaseStaleOffers(app).catch(err => console.error('[dispatch] Error releasing stale offers', err));
+    // Rebuild the activeRides cache so location forwarding/recording survives a restart
+    const rides = await Ride.find({ status: { $in: ['accepted', 'in_progress'] } }).select('rider assignedDriver status');
+    for (const ride of rides) {
+      if (!ride.assignedDriver) continue;
+      activeRides[ride._id.toString()] = { driverId: ride.assignedDriver.toString(), riderId: ride.rider.toString(), status: ride.status };
+    }
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 app.use('/api/auth', authRoutes);
@@ -38,21 +77,49 @@ app.use('/api/rides', rideRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/payment', paymentRoutes);
 app.use('/api/cars', carRoutes);
+app.use('/api/admin/tariffs', tariffRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/promos', promoRoutes);
+app.use('/api/admin/promos', promoAdminRoutes);
 
 app.get('/', (req, res) => res.send({ ok: true }));
 
+// Add each driver's rating ({ average, count }) to a nearby-drivers map
+async function withRatings(nearby) {
+  const ratings = await ratingsFor(Object.keys(nearby));
+  for (const driverId of Object.keys(nearby)) nearby[driverId].rating = ratings[driverId] || { average: null, count: 0 };
+  return nearby;
+}
+
+// Drop drivers whose active car can't take the rider's class, passengers, luggage or equipment needs,
+// and add the class of the others
+async function withCapableCars(nearby, needs) {
+  const cars = await activeCarsOf(Object.keys(nearby));
+  for (const driverId of Object.keys(nearby)) {
+    if (carSatisfies(cars[driverId], needs)) nearby[driverId].carType = cars[driverId].carType;
+    else delete nearby[driverId];
+  }
+  return nearby;
+}
+
 // Optional REST endpoint to get nearby drivers (useful for quick testing)
-app.get('/api/drivers/nearby', (req, res) => {
-  const lat = parseFloat(req.query.lat);
-  const lon = parseFloat(req.query.lon);
-  const radiusKm = parseFloat(req.query.radiusKm) || 5;
-  if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: 'lat and lon required' });
-  const nearby = {};
-  for (const [driverId, loc] of Object.entries(driverLocations)) {
-    const dist = getDistanceKm(lat, lon, loc.latitude, loc.longitude);
-    if (dist <= radiusKm) nearby[driverId] = { latitude: loc.latitude, longitude: loc.longitude, distanceKm: dist };
+// Optional carType, passengerCount, luggageCount, needsBabySeat, needsHandicapSupport, needsBlindSupport narrow it to capable cars
+app.get('/api/drivers/nearby', async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lon = parseFloat(req.query.lon);
+    const radiusKm = parseFloat(req.query.radiusKm) || 5;
+    if (isNaN(lat) || isNaN(lon)) return res.status(400).json({ error: 'lat and lon required' });
+    const nearby = {};
+    for (const [driverId, loc] of Object.entries(driverLocations)) {
+      const dist = getDistanceKm(lat, lon, loc.latitude, loc.longitude);
+      if (dist <= radiusKm) nearby[driverId] = { latitude: loc.latitude, longitude: loc.longitude, distanceKm: dist };
+    }
+    await withCapableCars(nearby, rideNeeds(req.query));
+    res.json(await withRatings(nearby));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  res.json(nearby);
 });
 
 
@@ -66,25 +133,33 @@ const driverSocketMap = {}; // Map driverId -> socket.id
 app.set('driverSocketMap', driverSocketMap);
 app.set('onlineDrivers', onlineDrivers);
 app.set('driverLocations', driverLocations);
+app.set('activeRides', activeRides);
+
+// Recompute surge multipliers from live supply/demand and push surgeUpdate to drivers
+startSurgeUpdates(app);
+
+// Every socket must authenticate with the same JWT as the REST API
+io.use(socketAuthMiddleware);
 
-function getDistanceKm(lat1, lon1, lat2, lon2) {
-  const R = 6371; // km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) + Math.cos(lat1 * Math.PI/180) * Math.cos(lat2 * Math.PI/180) * Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+// True if the user is the rider or the assigned driver of the ride
+function isRideParticipant(ride, userId) {
+  return ride.rider?.toString() === userId || ride.assignedDriver?.toString() === userId;
 }
 
 io.on('connection', (socket) => {
-  console.log('socket connected', socket.id);
+  const user = socket.data.user;
+  const userId = socket.data.userId;
+  console.log(`socket connected ${socket.id} (${user.role} ${userId})`);
 
+  // Join the user's personal room so routes can reach them via rider_<id> / driver_<id>
+  socket.join(`${user.role}_${userId}`);
 
   // Driver must identify themselves as online
   socket.on('driverOnline', (payload) => {
-    // payload: { driverId }
-    const { driverId, latitude, longitude } = payload || {};
-    if (!driverId) return;
+    // payload: { latitude, longitude } (driver id comes from the token)
+    if (user.role !== 'driver') return;
+    const driverId = userId;
+    const { latitude, longitude } = payload || {};
     onlineDrivers.add(driverId);
     driverSocketMap[driverId] = socket.id;
     console.log(`Driver online: ${driverId}`);
@@ -110,17 +185,16 @@ io.on('connection', (socket) => {
   });
 
   // Rider identifies themselves (joins their socket room for notifications)
-  socket.on('riderOnline', (payload) => {
-    const { riderId } = payload || {};
-    if (!riderId) return;
-    socket.join(`rider_${riderId}`);
-    console.log(`Rider ${riderId} joined room rider_${riderId}`);
+  socket.on('riderOnline', () => {
+    if (user.role !== 'rider') return;
+    socket.join(`rider_${userId}`);
+    console.log(`Rider ${userId} joined room rider_${userId}`);
   });
 
   // Driver explicitly goes offline (logout)
-  socket.on('driverOffline', (payload) => {
-    const { driverId } = payload || {};
-    if (!driverId) return;
+  socket.on('driverOffline', () => {
+    if (user.role !== 'driver') return;
+    const driverId = userId;
     console.log(`Driver explicitly went offline: ${driverId}`);
     onlineDrivers.delete(driverId);
     delete driverLocations[driverId];
@@ -129,10 +203,12 @@ io.on('connection', (socket) => {
 
   // Driver sends periodic location updates
   socket.on('driverLocationUpdate', (payload) => {
-    // payload: { driverId, latitude, longitude }
-    const { driverId, latitude, longitude } = payload || {};
+    // payload: { latitude, longitude } (driver id comes from the token)
+    if (user.role !== 'driver') return;
+    const driverId = userId;
+    const { latitude, longitude } = payload || {};
     // Allow latitude/longitude = 0, so check for null/undefined instead of falsy
-    if (!driverId || latitude == null || longitude == null) {
+    if (latitude == null || longitude == null) {
       console.log('driverLocationUpdate: missing fields', payload);
       return;
     }
@@ -154,10 +230,13 @@ io.on('connection', (socket) => {
       console.error('Error emitting driversUpdate for driverLocationUpdate', e);
     }
 
-    // If the driver has an active ride, notify the rider room
+    // If the driver has an active ride, record the breadcrumb and notify the rider room
     for (const rideId in activeRides) {
       const ride = activeRides[rideId];
-      if (ride.driverId === driverId && ride.status === 'in_progress') {
+      if (ride.driverId !== driverId) continue;
+      recordSample(rideId, driverId, { latitude, longitude, status: ride.status })
+        .catch(err => console.error(`Error recording location for ride ${rideId}`, err));
+      if (ride.status === 'in_progress') {
         // send to the rider's socket room for this ride
         io.to(`ride_${rideId}`).emit('carLocationUpdate', { driverId, latitude, longitude });
       }
@@ -165,64 +244,138 @@ io.on('connection', (socket) => {
   });
 
   // Rider requests nearby drivers within radiusKm
-  socket.on('requestNearbyDrivers', (payload) => {
-    // payload: { latitude, longitude, radiusKm }
-    const { latitude, longitude, radiusKm = 5 } = payload || {};
-    if (!latitude || !longitude) return;
-    const nearby = {};
-    for (const [driverId, loc] of Object.entries(driverLocations)) {
-      if (!onlineDrivers.has(driverId)) continue; // Only show online drivers
-      const dist = getDistanceKm(latitude, longitude, loc.latitude, loc.longitude);
-      if (dist <= radiusKm) nearby[driverId] = { latitude: loc.latitude, longitude: loc.longitude, distanceKm: dist };
+  socket.on('requestNearbyDrivers', async (payload) => {
+    try {
+      // payload: { latitude, longitude, radiusKm, carType, passengerCount, luggageCount, needsBabySeat, needsHandicapSupport, needsBlindSupport }
+      const { latitude, longitude, radiusKm = 5 } = payload || {};
+      if (!latitude || !longitude) return;
+      const nearby = {};
+      for (const [driverId, loc] of Object.entries(driverLocations)) {
+        if (!onlineDrivers.has(driverId)) continue; // Only show online drivers
+        const dist = getDistanceKm(latitude, longitude, loc.latitude, loc.longitude);
+        if (dist <= radiusKm) nearby[driverId] = { latitude: loc.latitude, longitude: loc.longitude, distanceKm: dist };
+      }
+      await withCapableCars(nearby, rideNeeds(payload));
+      console.log(`requestNearbyDrivers: from socket=${socket.id} at ${latitude},${longitude} found ${Object.keys(nearby).length} drivers`);
+      console.log(`  Total drivers in memory: ${Object.keys(driverLocations).length}, online: ${onlineDrivers.size}`);
+      if (Object.keys(nearby).length > 0) {
+        console.log(`  Nearby drivers:`, nearby);
+      }
+      // Send only to the requesting socket
+      socket.emit('driversUpdate', await withRatings(nearby));
+    } catch (err) {
+      console.error('requestNearbyDrivers handler error', err);
+    }
+  });
+
+  // Rider or driver joins ride room to receive car location updates for a specific ride
+  socket.on('joinRide', async (payload) => {
+    try {
+      // payload: { rideId }
+      const { rideId } = payload || {};
+      if (!rideId) return;
+      const ride = await Ride.findById(rideId);
+      if (!ride || !isRideParticipant(ride, userId)) {
+        socket.emit('joinRideError', { rideId, error: 'Not a participant of this ride' });
+        return;
+      }
+      socket.join(`ride_${rideId}`);
+      // Optionally send current driver location
+      const active = activeRides[rideId];
+      if (active && driverLocations[active.driverId]) {
+        socket.emit('carLocationUpdate', { driverId: active.driverId, ...driverLocations[active.driverId] });
+      }
+    } catch (err) {
+      console.error('joinRide handler error', err);
+    }
+  });
+
+  // Start a ride (rider picked up)
+  socket.on('startRide', async (payload) => {
+    try {
+      // payload: { rideId } (driver and rider ids come from the ride itself)
+      const { rideId } = payload || {};
+      if (!rideId || user.role !== 'driver') return;
+      // Persists in_progress, updates activeRides and emits rideStarted to the ride room
+      const ride = await transitionRide(app, rideId, 'in_progress', { actor: user, filter: { assignedDriver: userId } });
+      notifyNextStop(app, ride);
+      await syncPoolPlan(app, ride);
+    } catch (err) {
+      if (err instanceof RideTransitionError) return socket.emit('rideError', { rideId: payload?.rideId, error: err.message });
+      console.error('startRide handler error', err);
     }
-    console.log(`requestNearbyDrivers: from socket=${socket.id} at ${latitude},${longitude} found ${Object.keys(nearby).length} drivers`);
-    console.log(`  Total drivers in memory: ${Object.keys(driverLocations).length}, online: ${onlineDrivers.size}`);
-    if (Object.keys(nearby).length > 0) {
-      console.log(`  Nearby drivers:`, nearby);
+  });
+
+  // Driver reached (or skipped) the next stop of a multi-stop ride
+  socket.on('stopReached', async (payload) => {
+    try {
+      // payload: { rideId, skip }
+      const { rideId, skip } = payload || {};
+      if (!rideId || user.role !== 'driver') return;
+      await advanceStop(app, rideId, user, !!skip);
+    } catch (err) {
+      if (err instanceof StopError) return socket.emit('rideError', { rideId: payload?.rideId, error: err.message });
+      console.error('stopReached handler error', err);
+    }
+  });
+
+  // In-ride chat (see utils/rideChat): messages, typing indicators and read receipts
+  socket.on('chatMessage', async (payload) => {
+    try {
+      // payload: { rideId, text } or { rideId, quickReply }
+      const { rideId, text, quickReply } = payload || {};
+      if (!rideId) return;
+      await sendMessage(app, rideId, user, { text, quickReply });
+    } catch (err) {
+      if (err instanceof ChatError) return socket.emit('chatError', { rideId: payload?.rideId, error: err.message });
+      console.error('chatMessage handler error', err);
     }
-    // Send only to the requesting socket
-    socket.emit('driversUpdate', nearby);
   });
 
-  // Rider joins ride room to receive car location updates for a specific ride
-  socket.on('joinRide', (payload) => {
-    // payload: { rideId }
-    const { rideId } = payload || {};
-    if (!rideId) return;
-    socket.join(`ride_${rideId}`);
-    // Optionally send current driver location
-    const ride = activeRides[rideId];
-    if (ride && driverLocations[ride.driverId]) {
-      socket.emit('carLocationUpdate', { driverId: ride.driverId, ...driverLocations[ride.driverId] });
+  socket.on('chatTyping', async (payload) => {
+    try {
+      // payload: { rideId, typing }
+      const { rideId, typing } = payload || {};
+      if (!rideId) return;
+      await sendTyping(socket, rideId, user, typing);
+    } catch (err) {
+      if (err instanceof ChatError) return socket.emit('chatError', { rideId: payload?.rideId, error: err.message });
+      console.error('chatTyping handler error', err);
     }
   });
 
-  // Start a ride (booking completed)
-  socket.on('startRide', (payload) => {
-    // payload: { rideId, driverId, riderId }
-    const { rideId, driverId, riderId } = payload || {};
-    if (!rideId || !driverId || !riderId) return;
-    activeRides[rideId] = { driverId, riderId, status: 'in_progress' };
-    // Optionally notify the rider and driver
-    io.to(`ride_${rideId}`).emit('rideStarted', { rideId, driverId, riderId });
+  socket.on('chatRead', async (payload) => {
+    try {
+      // payload: { rideId, upTo } (upTo: last message read, optional)
+      const { rideId, upTo } = payload || {};
+      if (!rideId) return;
+      await markRead(app, rideId, user, upTo);
+    } catch (err) {
+      if (err instanceof ChatError) return socket.emit('chatError', { rideId: payload?.rideId, error: err.message });
+      console.error('chatRead handler error', err);
+    }
   });
 
-  socket.on('endRide', (payload) => {
-    const { rideId } = payload || {};
-    if (!rideId) return;
-    if (activeRides[rideId]) activeRides[rideId].status = 'completed';
-    io.to(`ride_${rideId}`).emit('rideEnded', { rideId });
+  socket.on('endRide', async (payload) => {
+    try {
+      const { rideId } = payload || {};
+      if (!rideId || user.role !== 'driver') return;
+      const ride = await transitionRide(app, rideId, 'completed', { actor: user, filter: { assignedDriver: userId } });
+      await syncPoolPlan(app, ride);
+      await finalizeFare(app, rideId);
+    } catch (err) {
+      if (err instanceof RideTransitionError) return socket.emit('rideError', { rideId: payload?.rideId, error: err.message });
+      console.error('endRide handler error', err);
+    }
   });
 
   socket.on('disconnect', () => {
-    // Remove driver from onlineDrivers and driverLocations if present
-    for (const [driverId, sockId] of Object.entries(driverSocketMap)) {
-      if (sockId === socket.id) {
-        onlineDrivers.delete(driverId);
-        delete driverLocations[driverId];
-        delete driverSocketMap[driverId];
-        console.log(`Driver offline: ${driverId}`);
-      }
+    // Remove the driver from onlineDrivers and driverLocations if this was their current socket
+    if (user.role === 'driver' && driverSocketMap[userId] === socket.id) {
+      onlineDrivers.delete(userId);
+      delete driverLocations[userId];
+      delete driverSocketMap[userId];
+      console.log(`Driver offline: ${userId}`);
     }
   });
 
@@ -230,36 +383,19 @@ io.on('connection', (socket) => {
   socket.on('acceptRide', async (payload) => {
     try {
       const { rideId } = payload || {};
-      if (!rideId) return;
-      // find driverId from socket map by reverse lookup
-      let driverId = null;
-      for (const [dId, sId] of Object.entries(driverSocketMap)) {
-        if (sId === socket.id) { driverId = dId; break; }
-      }
-      if (!driverId) return;
-      const RideModel = require('./src/models/Ride');
-      const ride = await RideModel.findById(rideId);
-      if (!ride) return;
-      // Only accept if pending and assigned to this driver
-      if (ride.status !== 'pending' || ride.assignedDriver?.toString() !== driverId.toString()) return;
-      ride.status = 'accepted';
-      await ride.save();
-      
-      const rideIdStr = rideId.toString();
-      const riderIdStr = ride.rider.toString();
-      
-      console.log(`[acceptRide] About to emit rideAccepted to:`);
-      console.log(`  - Room: ride_${rideIdStr}`);
-      console.log(`  - Room: rider_${riderIdStr}`);
-      console.log(`  - Payload: { rideId: "${rideIdStr}", driverId: "${driverId}" }`);
-      
-      // notify the rider (if connected to ride room)
-      io.to(`ride_${rideIdStr}`).emit('rideAccepted', { rideId: rideIdStr, driverId });
-      // Also notify rider directly via their user ID room
-      io.to(`rider_${riderIdStr}`).emit('rideAccepted', { rideId: rideIdStr, driverId });
-      
-      console.log(`[acceptRide] ✅ Driver ${driverId} accepted ride ${rideIdStr}, emitted to rider ${riderIdStr}`);
+      if (!rideId || user.role !== 'driver') return;
+      const driverId = userId;
+      // Only accept if pending and assigned to this driver; emits rideAccepted to the rider
+      const ride = await transitionRide(app, rideId, 'accepted', {
+        actor: user,
+        from: ['pending'],
+        filter: { assignedDriver: driverId }
+      });
+      clearOffer(rideId);
+      await requestRidePayments(app, ride);
+      console.log(`[acceptRide] ✅ Driver ${driverId} accepted ride ${ride._id}, emitted to rider ${ride.rider}`);
     } catch (err) {
+      if (err instanceof RideTransitionError) return socket.emit('rideError', { rideId: payload?.rideId, error: err.message });
       console.error('acceptRide handler error', err);
     }
   });
@@ -268,26 +404,11 @@ io.on('connection', (socket) => {
   socket.on('declineRide', async (payload) => {
     try {
       const { rideId } = payload || {};
-      if (!rideId) return;
-      let driverId = null;
-      for (const [dId, sId] of Object.entries(driverSocketMap)) {
-        if (sId === socket.id) { driverId = dId; break; }
-      }
-      if (!driverId) return;
-      const RideModel = require('./src/models/Ride');
-      const ride = await RideModel.findById(rideId);
+      if (!rideId || user.role !== 'driver') return;
+      const driverId = userId;
+      // Re-open the ride, remember the decline and offer it to the next nearest driver
+      const ride = await releaseOffer(app, rideId, driverId, 'declined', { actor: user });
       if (!ride) return;
-      if (ride.status !== 'pending') return;
-      // mark as open and add to declinedDrivers
-      ride.status = 'open';
-      if (!ride.declinedDrivers) ride.declinedDrivers = [];
-      if (!ride.declinedDrivers.find(d => d.toString() === driverId.toString())) {
-        ride.declinedDrivers.push(driverId);
-      }
-      ride.assignedDriver = null;
-      await ride.save();
-      // notify rider and driver
-      io.to(`ride_${rideId}`).emit('rideDeclined', { rideId, driverId });
       io.to(socket.id).emit('rideDeclineAck', { rideId });
       console.log(`Driver ${driverId} declined ride ${rideId}`);
     } catch (err) {
@@ -301,71 +422,4 @@ app.get('/api/debug/driverLocations', (req, res) => {
   res.json(driverLocations);
 });
 
-// Stripe webhook endpoint (use raw body parser for signature verification)
-app.post('/webhook', bodyParser.raw({ type: 'application/json' }), (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-  try {
-    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
-  } catch (err) {
-    console.error('⚠️  Webhook signature verification failed.', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-
-  // Handle the event types you care about
-  switch (event.type) {
-    case 'payment_intent.succeeded':
-      // You should lookup the ride by event.data.object.metadata.rideId and mark paid
-      (async () => {
-        try {
-          const pi = event.data.object;
-          const rideId = pi.metadata && pi.metadata.rideId;
-          if (rideId) {
-            const Ride = require('./src/models/Ride');
-            const ride = await Ride.findById(rideId).populate('assignedDriver rider');
-            if (ride) {
-              ride.paymentStatus = 'paid';
-              ride.transactionId = pi.id;
-              await ride.save();
-              console.log(`Ride ${rideId} marked as paid (pi ${pi.id})`);
-              
-              // Emit rideStarted to notify driver that payment is confirmed and they can start navigation
-              if (ride.assignedDriver && ride.rider) {
-                const driverId = ride.assignedDriver._id.toString();
-                const riderId = ride.rider._id.toString();
-                
-                // Notify driver's socket to start navigation
-                const driverSocketId = driverSocketMap[driverId];
-                if (driverSocketId) {
-                  io.to(driverSocketId).emit('rideStarted', { 
-                    rideId: rideId, 
-                    driverId: driverId, 
-                    riderId: riderId,
-                    message: 'Payment confirmed. Navigate to pickup location.'
-                  });
-                  console.log(`Notified driver ${driverId} that ride ${rideId} is paid and ready to start`);
-                }
-                
-                // Also emit to ride room for rider
-                io.to(`ride_${rideId}`).emit('rideStarted', { rideId, driverId, riderId });
-              }
-            }
-          }
-        } catch (e) {
-          console.error('Error handling payment_intent.succeeded webhook', e);
-        }
-      })();
-      break;
-    case 'payment_intent.payment_failed':
-      // handle failed payments if desired
-      break;
-    default:
-      // Unexpected event type
-      console.log(`Unhandled event type ${event.type}`);
-  }
-
-  // Return a response to acknowledge receipt of the event
-  res.json({ received: true });
-});
-
 server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -1,13 +1,18 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Verify a JWT and load the user it was issued for (shared by HTTP and socket auth)
+async function getUserFromToken(token) {
+  const payload = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(payload.id);
+}
+
 async function authMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
   if (!authHeader) return res.status(401).json({ error: 'Missing authorization header' });
   const token = authHeader.split(' ')[1];
   try {
-    const payload = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(payload.id);
+    const user = await getUserFromToken(token);
     if (!user) return res.status(401).json({ error: 'User not found' });
     req.user = user;
     next();
@@ -16,4 +21,5 @@ async function authMiddleware(req, res, next) {
   }
 }
 
-module.exports = authMiddleware;
\ No newline at end of file
+module.exports = authMiddleware;
+module.exports.getUserFromToken = getUserFromToken;
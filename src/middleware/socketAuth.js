@@ -0,0 +1,24 @@
+const { getUserFromToken } = require('./auth');
+
+// Socket.IO handshake middleware. Clients connect with the same JWT used for the REST API:
+//   io(url, { auth: { token } })   (or ?token=... / an Authorization: Bearer header)
+// The authenticated user is bound to socket.data.user so handlers never trust ids from payloads.
+async function socketAuthMiddleware(socket, next) {
+  const handshake = socket.handshake || {};
+  const authHeader = handshake.headers && handshake.headers.authorization;
+  const token = (handshake.auth && handshake.auth.token)
+    || (handshake.query && handshake.query.token)
+    || (authHeader && authHeader.split(' ')[1]);
+  if (!token) return next(new Error('Missing auth token'));
+  try {
+    const user = await getUserFromToken(token);
+    if (!user) return next(new Error('User not found'));
+    socket.data.user = user;
+    socket.data.userId = user._id.toString();
+    next();
+  } catch (err) {
+    next(new Error(`Invalid token: ${err.message}`));
+  }
+}
+
+module.exports = socketAuthMiddleware;
@@ -12,6 +12,11 @@ const carSchema = new Schema({
     default: 'standard'
   },
   seats: { type: Number, required: true, min: 2, max: 8, default: 4 },
+  // Equipment matched against ride needs (see utils/carCapabilities)
+  childSeat: { type: Boolean, default: false },
+  wheelchairRamp: { type: Boolean, default: false },
+  guideDogFriendly: { type: Boolean, default: false },
+  luggageCapacity: { type: Number, min: 0, max: 10, default: 2 }, // suitcases
   color: { type: String },
   licensePlate: { type: String },
   year: { type: Number },
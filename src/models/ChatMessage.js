@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Message in a ride's chat between the rider and the driver (see utils/rideChat)
+const chatMessageSchema = new Schema({
+  ride: { type: Schema.Types.ObjectId, ref: 'Ride', required: true },
+  sender: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  senderRole: { type: String, enum: ['rider', 'driver'], required: true },
+  text: { type: String, required: true, maxlength: 1000 },
+  quickReply: { type: String }, // key of the canned reply the text came from
+  readAt: { type: Date } // when the other side read it
+}, { timestamps: true });
+
+chatMessageSchema.index({ ride: 1, createdAt: 1 });
+
+module.exports = mongoose.model('ChatMessage', chatMessageSchema);
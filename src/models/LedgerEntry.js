@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Driver earnings ledger. Amounts are signed øre from the driver's point of view:
+// fares, cancellation fees and tips are positive; commission, refunds and penalties are negative
+// (a commission entry is positive when a refund gives commission back).
+const ledgerEntrySchema = new Schema({
+  driver: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  ride: { type: Schema.Types.ObjectId, ref: 'Ride' },
+  type: { type: String, enum: ['fare', 'cancellation_fee', 'tip', 'commission', 'refund', 'penalty'], required: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'nok' },
+  occurredAt: { type: Date, required: true },
+  description: { type: String },
+  reference: { type: String, required: true, unique: true } // makes recording idempotent, e.g. 'fare:<rideId>'
+}, { timestamps: true });
+
+ledgerEntrySchema.index({ driver: 1, occurredAt: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
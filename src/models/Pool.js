@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Riders sharing one driver's car (see utils/pools). The driver follows the plan in order
+const poolSchema = new Schema({
+  driver: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  seats: { type: Number, required: true }, // passenger seats of the driver's active car
+  status: { type: String, enum: ['active', 'closed'], default: 'active' },
+  rides: [{ type: Schema.Types.ObjectId, ref: 'Ride' }],
+  plan: [{
+    ride: { type: Schema.Types.ObjectId, ref: 'Ride', required: true },
+    kind: { type: String, enum: ['pickup', 'dropoff'], required: true },
+    address: { type: String },
+    location: {
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number], required: true } // [lng, lat]
+    },
+    passengerCount: { type: Number, default: 1 },
+    status: { type: String, enum: ['pending', 'done', 'cancelled'], default: 'pending' },
+    doneAt: { type: Date }
+  }],
+  closedAt: { type: Date }
+}, { timestamps: true });
+
+// One active pool per driver
+poolSchema.index({ driver: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model('Pool', poolSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Promo code / discount campaign (see utils/promos)
+const promoSchema = new Schema({
+  code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+  description: { type: String },
+  discountType: { type: String, enum: ['percent', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 }, // percent, or øre for fixed discounts
+  maxDiscount: { type: Number }, // øre, caps percentage discounts
+  maxUses: { type: Number }, // total redemptions, unlimited if not set
+  usesCount: { type: Number, default: 0 }, // reserved + redeemed
+  perUserLimit: { type: Number, default: 1 },
+  firstRideOnly: { type: Boolean, default: false },
+  validFrom: { type: Date },
+  validUntil: { type: Date },
+  carTypes: [{ type: String, enum: ['standard', 'comfort', 'xl', 'premium'] }], // empty = all car types
+  // Pickup must be within radiusKm of this point
+  area: {
+    latitude: { type: Number },
+    longitude: { type: Number },
+    radiusKm: { type: Number }
+  },
+  active: { type: Boolean, default: true },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Promo', promoSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A promo code used on a ride: reserved at booking, redeemed when the ride completes, released on cancellation
+const promoRedemptionSchema = new Schema({
+  promo: { type: Schema.Types.ObjectId, ref: 'Promo', required: true },
+  code: { type: String, required: true },
+  user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  ride: { type: Schema.Types.ObjectId, ref: 'Ride', required: true, unique: true },
+  status: { type: String, enum: ['reserved', 'redeemed', 'released'], default: 'reserved' },
+  discount: { type: Number }, // øre, set when redeemed
+  redeemedAt: { type: Date },
+  releasedAt: { type: Date }
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promo: 1, user: 1, status: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
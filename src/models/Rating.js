@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A rider rating their driver or a driver rating their rider after a completed ride (see utils/ratings)
+const ratingSchema = new Schema({
+  ride: { type: Schema.Types.ObjectId, ref: 'Ride', required: true },
+  rater: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  ratee: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  raterRole: { type: String, enum: ['rider', 'driver'], required: true },
+  stars: { type: Number, required: true, min: 1, max: 5 },
+  tags: [{ type: String }],
+  comment: { type: String, maxlength: 500 }
+}, { timestamps: true });
+
+// Each side rates a ride once
+ratingSchema.index({ ride: 1, rater: 1 }, { unique: true });
+ratingSchema.index({ ratee: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Rating', ratingSchema);
@@ -13,23 +13,171 @@ const rideSchema = new Schema({
     type: { type: String, enum: ['Point'], default: 'Point' },
     coordinates: { type: [Number], required: true }
   },
+  // Intermediate stops between pickup and destination, in order (see utils/stops)
+  stops: [{
+    address: { type: String },
+    location: {
+      type: { type: String, enum: ['Point'], default: 'Point' },
+      coordinates: { type: [Number], required: true } // [lng, lat]
+    },
+    status: { type: String, enum: ['pending', 'reached', 'skipped'], default: 'pending' },
+    reachedAt: { type: Date }
+  }],
   phone: { type: String },
   status: { type: String, enum: ['open', 'pending', 'accepted', 'in_progress', 'completed', 'cancelled'], default: 'open' },
+  // Every status change, appended by src/utils/rideLifecycle.js
+  statusHistory: [{
+    _id: false,
+    from: { type: String },
+    to: { type: String, required: true },
+    at: { type: Date, default: Date.now },
+    actor: { type: Schema.Types.ObjectId, ref: 'User' }, // null for system transitions (timeouts etc.)
+    actorRole: { type: String, enum: ['rider', 'driver', 'system'], default: 'system' },
+    reason: { type: String }
+  }],
   assignedDriver: { type: Schema.Types.ObjectId, ref: 'User' },
   declinedDrivers: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+  driverArrivedAt: { type: Date }, // driver reported waiting at the pickup
+  // Rides booked in advance (see utils/scheduledRides): dispatched shortly before scheduledFor
+  scheduledFor: { type: Date },
+  scheduling: {
+    dispatchAt: { type: Date }, // when the scheduler starts looking for a driver
+    dispatchedAt: { type: Date },
+    redispatchedAt: { type: Date }, // last time the scheduler dispatched it again because no driver took it
+    requestedDriver: { type: Schema.Types.ObjectId, ref: 'User' }, // driver booked with book-driver, asked to pre-accept
+    preAcceptedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+    preAcceptedAt: { type: Date },
+    riderRemindedAt: { type: Date },
+    driverRemindedAt: { type: Date }
+  },
+  // Rider agreed to share the car (see utils/pools): priced with the pool discount, may be matched into a pool
+  pooled: { type: Boolean, default: false },
+  pool: { type: Schema.Types.ObjectId, ref: 'Pool' },
+  // Vehicle class the rider asked for (see utils/vehicleClasses), only drivers whose active car is of this class are matched
+  carType: { type: String, enum: ['standard', 'comfort', 'xl', 'premium'] },
   passengerCount: { type: Number, default: 1 },
+  luggageCount: { type: Number, default: 0 }, // suitcases, matched against Car.luggageCapacity
   needsBabySeat: { type: Boolean, default: false },
   needsHandicapSupport: { type: Boolean, default: false },
   needsBlindSupport: { type: Boolean, default: false },
   // Payment fields
-  paymentStatus: { type: String, enum: ['pending', 'paid', 'failed'], default: 'pending' },
+  // pending -> authorized (hold confirmed) -> captured at ride end, or released on cancellation/expiry.
+  // 'paid' is used for PaymentIntents captured immediately (rides paid after completion)
+  paymentStatus: { type: String, enum: ['pending', 'authorized', 'captured', 'released', 'paid', 'failed', 'refunded', 'partially_refunded', 'disputed'], default: 'pending' },
+  paymentError: { type: String }, // last decline message from Stripe
+  refundedAmount: { type: Number }, // øre, total refunded on the ride's charge (from charge.refunded)
   stripePaymentIntentId: { type: String },
+  authorizedAmount: { type: Number }, // øre, estimate plus buffer held on the card
+  authorizedAt: { type: Date },
+  capturedAmount: { type: Number }, // øre
+  capturedAt: { type: Date },
+  releasedAt: { type: Date },
   amount: { type: Number }, // amount in smallest currency unit (e.g., øre/cents)
   currency: { type: String, default: 'nok' },
   transactionId: { type: String },
-  estimatedDistance: { type: Number } // distance in kilometers
+  estimatedDistance: { type: Number }, // distance in kilometers
+  // Fare breakdowns (calculateRidePrice output): quoted at booking/accept, metered at ride end
+  fareEstimate: { type: Schema.Types.Mixed },
+  tariffVersion: { type: Number }, // tariff the estimate was priced under (0 = built-in defaults)
+  quoteId: { type: String, unique: true, sparse: true }, // signed quote the ride was booked with (each quote books once)
+  finalFare: { type: Schema.Types.Mixed },
+  // Promo code reserved at booking: its terms as they were then (see utils/promos)
+  promo: {
+    promoId: { type: Schema.Types.ObjectId, ref: 'Promo' },
+    code: { type: String },
+    discountType: { type: String },
+    value: { type: Number },
+    maxDiscount: { type: Number },
+    carTypes: [{ type: String }]
+  },
+  // How the difference between the paid estimate and the final fare was settled with Stripe
+  fareAdjustment: {
+    action: { type: String, enum: ['none', 'adjusted', 'captured', 'refunded', 'top_up_required'] },
+    estimatedAmount: { type: Number }, // øre
+    finalAmount: { type: Number }, // øre
+    chargedAmount: { type: Number }, // øre, what the rider ends up paying
+    difference: { type: Number }, // øre, chargedAmount - estimatedAmount
+    withinTolerance: { type: Boolean },
+    refundId: { type: String },
+    refundAmount: { type: Number }, // øre, refunded because the metered fare came out lower
+    topUpPaymentIntentId: { type: String },
+    status: { type: String, enum: ['settled', 'pending', 'failed'] },
+    error: { type: String }
+  },
+  // Receipt issued once the payment was collected: driver and car as they were at that time (see utils/receipts)
+  receipt: {
+    issuedAt: { type: Date },
+    driverName: { type: String },
+    licensePlate: { type: String },
+    carModel: { type: String },
+    emailedAt: { type: Date },
+    emailError: { type: String }
+  },
+  // Chargeback opened by the rider's bank (charge.dispute.*)
+  dispute: {
+    id: { type: String },
+    reason: { type: String },
+    status: { type: String },
+    amount: { type: Number }, // øre
+    createdAt: { type: Date }
+  },
+  // Who cancelled, what the policy charged and how the payment was refunded (see utils/cancellation)
+  cancellation: {
+    by: { type: String, enum: ['rider', 'driver', 'system'] }, // system: scheduled ride missed while the server was down
+    reason: { type: String },
+    at: { type: Date },
+    policy: { type: String }, // no_driver, free_window, driver_accepted, driver_arrived, driver_grace, driver_late, missed
+    fee: { type: Number }, // øre, fee under the policy
+    feeCharged: { type: Number }, // øre, part of the fee actually kept from the payment
+    refundAmount: { type: Number }, // øre
+    refundId: { type: String },
+    refundStatus: { type: String, enum: ['none', 'pending', 'succeeded', 'failed'] },
+    driverPenalty: { type: Number }, // øre, owed by the driver for a late cancellation
+    penaltyDeductedAt: { type: Date },
+    penaltyDeductedFrom: { type: Schema.Types.ObjectId, ref: 'Ride' }, // ride whose payout the penalty was deducted from
+    error: { type: String }
+  },
+  // Driver's share transferred through Stripe Connect (see utils/payouts)
+  payout: {
+    status: { type: String, enum: ['awaiting_account', 'processing', 'transferred', 'failed'] },
+    grossAmount: { type: Number }, // øre collected from the rider
+    commission: { type: Number }, // øre kept by the platform
+    commissionPercent: { type: Number },
+    driverAmount: { type: Number }, // øre, gross minus commission
+    penaltiesDeducted: { type: Number }, // øre, late-cancellation penalties taken from this payout
+    transferAmount: { type: Number }, // øre actually transferred
+    transferId: { type: String },
+    transferredAt: { type: Date },
+    error: { type: String }
+  },
+  // Fare shared with other riders (see utils/fareShares). The booking rider pays through the ride's own
+  // PaymentIntent; every other share has a hold of its own
+  split: {
+    totalAmount: { type: Number }, // øre, ride amount the shares were computed from
+    initiatorAmount: { type: Number }, // øre, the booking rider's share
+    participants: [{
+      user: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+      isCover: { type: Boolean, default: false }, // booking rider covering shares others didn't pay
+      status: { type: String, enum: ['invited', 'accepted', 'declined', 'authorized', 'covered', 'captured', 'released'], default: 'invited' },
+      amount: { type: Number }, // øre, share of the estimate
+      paymentIntentId: { type: String },
+      holdAmount: { type: Number }, // øre authorized on the card
+      capturedAmount: { type: Number }, // øre
+      error: { type: String },
+      respondedAt: { type: Date }
+    }]
+  }
 }, { timestamps: true });
 
 rideSchema.index({ pickupLocation: '2dsphere' });
+rideSchema.index({ status: 1, 'scheduling.dispatchAt': 1 });
+
+// Record the initial status when a ride is created
+rideSchema.pre('save', function(next) {
+  if (this.isNew && (!this.statusHistory || this.statusHistory.length === 0)) {
+    this.statusHistory = [{ from: null, to: this.status, at: new Date(), actor: this.rider, actorRole: 'rider' }];
+  }
+  next();
+});
 
 module.exports = mongoose.model('Ride', rideSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// GPS breadcrumbs recorded for a ride while it is accepted / in progress (one document per ride)
+const rideTrackSchema = new Schema({
+  ride: { type: Schema.Types.ObjectId, ref: 'Ride', required: true, unique: true },
+  driver: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  points: [{
+    _id: false,
+    latitude: { type: Number, required: true },
+    longitude: { type: Number, required: true },
+    at: { type: Date, default: Date.now },
+    status: { type: String, enum: ['accepted', 'in_progress'] } // ride status when the sample was taken
+  }]
+}, { timestamps: true });
+
+module.exports = mongoose.model('RideTrack', rideTrackSchema);
@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Stripe webhook events we have seen, so redeliveries don't run side effects twice
+const stripeEventSchema = new Schema({
+  eventId: { type: String, required: true, unique: true },
+  type: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'processed', 'failed'], default: 'processing' },
+  attempts: { type: Number, default: 1 },
+  error: { type: String },
+  processedAt: { type: Date }
+}, { timestamps: true });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Versioned pricing configuration. Fields left out of `config` fall back to the defaults in utils/pricing.js
+const tariffSchema = new Schema({
+  version: { type: Number, required: true, unique: true },
+  name: { type: String, required: true },
+  description: { type: String },
+  status: { type: String, enum: ['draft', 'active'], default: 'draft' },
+  effectiveFrom: { type: Date, required: true }, // the newest active tariff with effectiveFrom <= pickup time applies
+  activatedAt: { type: Date },
+  createdBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  activatedBy: { type: Schema.Types.ObjectId, ref: 'User' },
+  config: {
+    baseFare: { type: Number }, // øre
+    pricePerKm: { type: Number }, // øre
+    waitingTimePerMinute: { type: Number }, // øre
+    pricePerMinute: { type: Number }, // øre
+    pricePerStop: { type: Number }, // øre per intermediate stop
+    averageSpeedKmh: { type: Number },
+    minimumFare: { type: Number }, // øre
+    carTypeMultipliers: {
+      standard: { type: Number },
+      comfort: { type: Number },
+      xl: { type: Number },
+      premium: { type: Number }
+    },
+    surcharges: {
+      nightTime: { type: Number },
+      weekend: { type: Number },
+      holiday: { type: Number },
+      rush: { type: Number }
+    },
+    nightHours: {
+      start: { type: String },
+      end: { type: String }
+    },
+    rushHours: { type: [{ _id: false, start: String, end: String }], default: undefined }
+  }
+}, { timestamps: true });
+
+tariffSchema.index({ status: 1, effectiveFrom: -1 });
+
+module.exports = mongoose.model('Tariff', tariffSchema);
@@ -7,8 +7,14 @@ const userSchema = new Schema({
   avatarUrl: { type: String },
   passwordHash: { type: String, required: true },
   phone: { type: String },
-  role: { type: String, enum: ['rider', 'driver'], required: true },
+  role: { type: String, enum: ['rider', 'driver', 'admin'], required: true },
   verified: { type: Boolean, default: false },
+  // Ratings received from the other side after completed rides (see utils/ratings)
+  rating: {
+    average: { type: Number }, // 1-5, rounded to 2 decimals
+    count: { type: Number, default: 0 },
+    total: { type: Number, default: 0 } // sum of the stars
+  },
   // Driver-specific fields
   carType: { 
     type: String, 
@@ -17,7 +23,14 @@ const userSchema = new Schema({
   },
   carModel: { type: String },
   carColor: { type: String },
-  licensePlate: { type: String }
+  licensePlate: { type: String },
+  // Stripe Connect account receiving the driver's share of fares (see utils/payouts)
+  stripeAccountId: { type: String },
+  payoutsEnabled: { type: Boolean, default: false },
+  payoutDetailsSubmitted: { type: Boolean, default: false },
+  // Rider-specific: Stripe Customer holding saved cards (see utils/customers)
+  stripeCustomerId: { type: String },
+  defaultPaymentMethodId: { type: String }
 }, { timestamps: true });
 
 module.exports = mongoose.model('User', userSchema);
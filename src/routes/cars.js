@@ -83,7 +83,7 @@ router.post('/', auth, async (req, res) => {
       return res.status(403).json({ error: 'Only drivers can add cars' });
     }
     
-    const { model, description, carType, seats, color, licensePlate, year, imageUrl } = req.body;
+    const { model, description, carType, seats, color, licensePlate, year, imageUrl, childSeat, wheelchairRamp, guideDogFriendly, luggageCapacity } = req.body;
     
     if (!model || !carType || !seats) {
       return res.status(400).json({ error: 'Model, carType, and seats are required' });
@@ -99,6 +99,10 @@ router.post('/', auth, async (req, res) => {
       licensePlate,
       year,
       imageUrl,
+      childSeat,
+      wheelchairRamp,
+      guideDogFriendly,
+      luggageCapacity,
       isActive: false // New cars start as inactive
     });
     
@@ -130,7 +134,7 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
     
-    const { model, description, carType, seats, color, licensePlate, year, imageUrl } = req.body;
+    const { model, description, carType, seats, color, licensePlate, year, imageUrl, childSeat, wheelchairRamp, guideDogFriendly, luggageCapacity } = req.body;
     
     if (model) car.model = model;
     if (description !== undefined) car.description = description;
@@ -140,6 +144,10 @@ router.put('/:id', auth, async (req, res) => {
     if (licensePlate) car.licensePlate = licensePlate;
     if (year) car.year = year;
     if (imageUrl) car.imageUrl = imageUrl;
+    if (childSeat !== undefined) car.childSeat = childSeat;
+    if (wheelchairRamp !== undefined) car.wheelchairRamp = wheelchairRamp;
+    if (guideDogFriendly !== undefined) car.guideDogFriendly = guideDogFriendly;
+    if (luggageCapacity !== undefined) car.luggageCapacity = luggageCapacity;
     
     await car.save();
     res.json({ car });
@@ -0,0 +1,147 @@
+const express = require('express');
+const router = express.Router();
+const Ride = require('../models/Ride');
+const auth = require('../middleware/auth');
+const stripe = require('../utils/stripe');
+const { createOnboardingLink, syncConnectAccount, retryDriverPayouts, splitFare, PAYOUTS } = require('../utils/payouts');
+const { getEarnings, listEntries, summarize, GROUP_BY } = require('../utils/ledger');
+const { renderCsv, renderPdf } = require('../utils/statements');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Report range from ?from=&to= (ISO dates or timestamps). Defaults to the current month so far;
+// a date-only `to` includes that whole day. Returns null if a date is invalid.
+function parseRange(query) {
+  const now = new Date();
+  const from = query.from ? new Date(query.from) : new Date(now.getFullYear(), now.getMonth(), 1);
+  let to = query.to ? new Date(query.to) : now;
+  if (query.to && DATE_ONLY.test(query.to)) to = new Date(to.getTime() + 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to) || from >= to) return null;
+  return { from, to };
+}
+
+// Start (or continue) Stripe Connect onboarding. Returns a Stripe-hosted onboarding URL
+router.post('/me/connect', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can receive payouts' });
+    const base = `${process.env.FRONTEND_URL}/driver/payouts`;
+    const link = await createOnboardingLink(req.user, { returnUrl: base, refreshUrl: `${base}?refresh=1` });
+    res.json(link);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Connect account status (refreshed from Stripe, e.g. when the driver returns from onboarding)
+router.get('/me/connect', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can receive payouts' });
+    if (!req.user.stripeAccountId) return res.json({ connected: false, payoutsEnabled: false });
+    const account = await stripe.accounts.retrieve(req.user.stripeAccountId);
+    const driver = await syncConnectAccount(account);
+    res.json({
+      connected: true,
+      accountId: account.id,
+      payoutsEnabled: driver.payoutsEnabled,
+      detailsSubmitted: driver.payoutDetailsSubmitted,
+      requirements: account.requirements ? account.requirements.currently_due : []
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Pending and transferred amounts plus recent per-ride payouts
+router.get('/me/payouts', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can receive payouts' });
+    const driverId = req.user._id;
+
+    const byStatus = await Ride.aggregate([
+      { $match: { assignedDriver: driverId, 'payout.status': { $exists: true } } },
+      { $group: { _id: '$payout.status', driverAmount: { $sum: '$payout.driverAmount' }, transferAmount: { $sum: '$payout.transferAmount' }, rides: { $sum: 1 } } }
+    ]);
+    const totals = { transferred: 0, pending: 0, failed: 0, awaitingPayment: 0 };
+    for (const group of byStatus) {
+      if (group._id === 'transferred') totals.transferred += group.transferAmount;
+      else if (group._id === 'failed') totals.failed += group.driverAmount;
+      else totals.pending += group.driverAmount;
+    }
+
+    // Completed rides whose fare hasn't been collected yet (e.g. the rider still has to confirm payment)
+    const unpaid = await Ride.find({ assignedDriver: driverId, status: 'completed', payout: { $exists: false } }).select('amount');
+    totals.awaitingPayment = unpaid.reduce((sum, ride) => sum + splitFare(ride.amount || 0).driverAmount, 0);
+
+    const penalties = await Ride.aggregate([
+      { $match: { assignedDriver: driverId, 'cancellation.driverPenalty': { $gt: 0 }, 'cancellation.penaltyDeductedAt': null } },
+      { $group: { _id: null, total: { $sum: '$cancellation.driverPenalty' } } }
+    ]);
+    totals.penaltiesOutstanding = penalties.length ? penalties[0].total : 0;
+
+    const rides = await Ride.find({ assignedDriver: driverId, 'payout.status': { $exists: true } })
+      .sort({ updatedAt: -1 })
+      .limit(parseInt(req.query.limit) || 50)
+      .select('status amount currency payout createdAt');
+
+    res.json({
+      currency: 'nok',
+      commissionPercent: PAYOUTS.commissionPercent,
+      payoutsEnabled: !!req.user.payoutsEnabled,
+      totals,
+      rides
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Retry payouts that failed or waited for onboarding
+router.post('/me/payouts/retry', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can receive payouts' });
+    const retried = await retryDriverPayouts(req.user._id);
+    res.json({ retried });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Earnings from the ledger, grouped by day, week or month
+router.get('/me/earnings', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers have earnings' });
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    const groupBy = req.query.groupBy || 'day';
+    if (!GROUP_BY.includes(groupBy)) return res.status(400).json({ error: `groupBy must be one of ${GROUP_BY.join(', ')}` });
+
+    const earnings = await getEarnings(req.user._id, { ...range, groupBy });
+    res.json({ currency: 'nok', ...range, groupBy, ...earnings });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Downloadable statement of every ledger entry in the range (?format=csv|pdf)
+router.get('/me/earnings/statement', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers have earnings' });
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ error: 'from and to must be valid dates with from before to' });
+    const format = req.query.format || 'csv';
+    if (!['csv', 'pdf'].includes(format)) return res.status(400).json({ error: 'format must be csv or pdf' });
+
+    const entries = await listEntries(req.user._id, range.from, range.to);
+    const filename = `earnings-${range.from.toISOString().slice(0, 10)}-${range.to.toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'csv') {
+      return res.type('text/csv').send(renderCsv(entries));
+    }
+    const pdf = await renderPdf({ driver: req.user, ...range, totals: summarize(entries), entries });
+    res.type('application/pdf').send(pdf);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,32 @@
 const express = require('express');
 const router = express.Router();
-const Stripe = require('stripe');
-const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = require('../utils/stripe');
 const Ride = require('../models/Ride');
 const auth = require('../middleware/auth');
+const { authorizeRide } = require('../utils/paymentHold');
+const { sharesCaptured } = require('../utils/fareShares');
+const { syncPaymentIntent } = require('../utils/stripeEvents');
+const {
+  listCards,
+  createSetupIntent,
+  setDefaultCard,
+  removeCard,
+  resolvePayment,
+  paymentIntentParams,
+  createPaymentIntent,
+  confirmWithSavedCard,
+  PaymentMethodError
+} = require('../utils/customers');
 
-// Create a PaymentIntent for a ride. Expects { rideId, amount, currency }
+// Get the PaymentIntent for a ride. Expects { rideId, currency }
+// Accepted rides get a manual-capture hold (estimate + buffer) that is captured when the ride ends.
+// Completed rides without a PaymentIntent are charged the final amount directly.
+// Riders can opt in to { useSavedCard: true } (default card) or { paymentMethodId } to pay off-session with a
+// saved card, or { saveCard: true } to keep the card they enter in the PaymentSheet. If the saved card is
+// declined or needs authentication the response is 402 with a client secret to finish in the PaymentSheet.
 router.post('/create-intent', auth, async (req, res) => {
   try {
-  const { rideId, currency = 'nok' } = req.body;
+  const { rideId, currency = 'nok', useSavedCard, paymentMethodId, saveCard } = req.body;
   if (!rideId) return res.status(400).json({ error: 'rideId is required' });
 
     const ride = await Ride.findById(rideId);
@@ -18,8 +36,16 @@ router.post('/create-intent', auth, async (req, res) => {
     const amount = ride.amount || 1000; // fallback to 1000 if not set
     if (!amount) return res.status(400).json({ error: 'Ride amount not set' });
 
+    // Payments made by the rider go through their Stripe Customer, so cards can be saved and reused
+    const isRider = ride.rider.toString() === req.user._id.toString();
+    if ((useSavedCard || paymentMethodId || saveCard) && !isRider) {
+      return res.status(403).json({ error: 'Only the rider can pay with their saved cards' });
+    }
+    const payment = isRider ? await resolvePayment(req.user, { useSavedCard, paymentMethodId, saveCard }) : undefined;
+    const offSession = !!(payment && payment.paymentMethodId);
+
     // If this ride already has a PaymentIntent, return its client secret (idempotent)
-    if (ride.stripePaymentIntentId) {
+    if (ride.stripePaymentIntentId && !offSession && !saveCard) {
       try {
         const existing = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
         // Optionally update amount/currency if you want server-side enforcement
@@ -31,27 +57,122 @@ router.post('/create-intent', auth, async (req, res) => {
       }
     }
 
-    // Create a new PaymentIntent
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amount, // smallest currency unit
-      currency: currency,
-      metadata: { rideId: rideId }
-    });
+    if (['accepted', 'in_progress'].includes(ride.status)) {
+      const hold = await authorizeRide(ride, payment);
+      // Authorized off-session right away: record it and tell the driver, as the webhook would
+      if (hold.status === 'requires_capture') await syncPaymentIntent(req.app, await stripe.paymentIntents.retrieve(hold.paymentIntentId));
+      return res.status(hold.error ? 402 : 200).json({ ...hold, captureMethod: 'manual', reused: false });
+    }
+    if (ride.status !== 'completed') {
+      return res.status(409).json({ error: `Payment is authorized once a driver accepts the ride (ride is ${ride.status})` });
+    }
 
-    // Persist the intent id and mark as pending
-    ride.stripePaymentIntentId = paymentIntent.id;
-    ride.amount = amount;
-    ride.currency = currency;
-    ride.paymentStatus = 'pending';
-    await ride.save();
+    let result;
+    const existing = ride.stripePaymentIntentId ? await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId) : null;
+    if (existing && existing.status !== 'canceled') {
+      if (!offSession || !['requires_payment_method', 'requires_confirmation'].includes(existing.status)) {
+        return res.json({ clientSecret: existing.client_secret, paymentIntentId: existing.id, status: existing.status, reused: true });
+      }
+      result = await confirmWithSavedCard(existing, payment);
+    } else {
+      // Create a new PaymentIntent
+      result = await createPaymentIntent({
+        amount: amount - sharesCaptured(ride), // smallest currency unit; co-riders' captured shares aren't charged again
+        currency: currency,
+        metadata: { rideId: rideId },
+        ...paymentIntentParams(payment)
+      });
 
-    res.json({ clientSecret: paymentIntent.client_secret, paymentIntentId: paymentIntent.id, reused: false });
+      // Persist the intent id and mark as pending
+      ride.stripePaymentIntentId = result.paymentIntent.id;
+      ride.amount = amount;
+      ride.currency = currency;
+      ride.paymentStatus = 'pending';
+      await ride.save();
+    }
+
+    const paymentIntent = result.paymentIntent;
+    if (paymentIntent.status === 'succeeded') await syncPaymentIntent(req.app, paymentIntent);
+    res.status(result.error ? 402 : 200).json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      status: paymentIntent.status,
+      error: result.error,
+      reused: false
+    });
   } catch (err) {
+    if (err instanceof PaymentMethodError) return res.status(err.status).json({ error: err.message });
     console.error('create-intent error', err);
     res.status(500).json({ error: 'internal_error', detail: err.message });
   }
 });
 
+// Get the client secret of a pending fare top-up (metered fare above the paid estimate)
+// Body: { rideId }
+router.post('/top-up-intent', auth, async (req, res) => {
+  try {
+    const { rideId } = req.body;
+    if (!rideId) return res.status(400).json({ error: 'rideId is required' });
+    const ride = await Ride.findById(rideId);
+    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    if (ride.rider.toString() !== req.user._id.toString()) return res.status(403).json({ error: 'Access denied' });
+
+    const adjustment = ride.fareAdjustment || {};
+    if (adjustment.action !== 'top_up_required' || !adjustment.topUpPaymentIntentId) {
+      return res.status(400).json({ error: 'No top-up required for this ride' });
+    }
+    const pi = await stripe.paymentIntents.retrieve(adjustment.topUpPaymentIntentId);
+    res.json({ clientSecret: pi.client_secret, paymentIntentId: pi.id, amount: pi.amount, status: pi.status });
+  } catch (err) {
+    console.error('top-up-intent error', err);
+    res.status(500).json({ error: 'internal_error', detail: err.message });
+  }
+});
+
+// Saved cards (riders only)
+function requireRider(req, res, next) {
+  if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can save cards' });
+  next();
+}
+
+router.get('/methods', auth, requireRider, async (req, res) => {
+  try {
+    const cards = await listCards(req.user);
+    res.json({ cards, defaultPaymentMethodId: req.user.defaultPaymentMethodId || null });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start adding a card. Body: { apiVersion } (the Stripe SDK's API version, to get an ephemeral key for the PaymentSheet)
+router.post('/methods/setup-intent', auth, requireRider, async (req, res) => {
+  try {
+    res.json(await createSetupIntent(req.user, req.body.apiVersion));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/methods/:id/default', auth, requireRider, async (req, res) => {
+  try {
+    await setDefaultCard(req.user, req.params.id);
+    res.json({ ok: true, defaultPaymentMethodId: req.params.id });
+  } catch (err) {
+    if (err instanceof PaymentMethodError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.delete('/methods/:id', auth, requireRider, async (req, res) => {
+  try {
+    await removeCard(req.user, req.params.id);
+    res.json({ ok: true });
+  } catch (err) {
+    if (err instanceof PaymentMethodError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
 
 // Confirm payment endpoint (useful for testing without webhooks)
@@ -64,7 +185,7 @@ router.post('/confirm', auth, async (req, res) => {
 
     // If rideId provided and ride has stored intentId, prefer that
     let ride = null;
-    if (rideId) ride = await Ride.findById(rideId).populate('assignedDriver rider');
+    if (rideId) ride = await Ride.findById(rideId);
 
     let intentId = paymentIntentId;
     if (!intentId && ride && ride.stripePaymentIntentId) intentId = ride.stripePaymentIntentId;
@@ -73,49 +194,11 @@ router.post('/confirm', auth, async (req, res) => {
     const pi = await stripe.paymentIntents.retrieve(intentId);
     if (!pi) return res.status(404).json({ error: 'PaymentIntent not found' });
 
-    if (pi.status === 'succeeded') {
-      // mark ride as paid
-      const resolvedRideId = rideId || (pi.metadata && pi.metadata.rideId);
-      if (resolvedRideId) {
-        const rideToUpdate = ride || await Ride.findById(resolvedRideId).populate('assignedDriver rider');
-        if (rideToUpdate) {
-          rideToUpdate.paymentStatus = 'paid';
-          rideToUpdate.transactionId = pi.id;
-          rideToUpdate.stripePaymentIntentId = pi.id;
-          await rideToUpdate.save();
-          
-          // Emit rideStarted event to driver (same logic as webhook)
-          const io = req.app.get('io');
-          const driverSocketMap = req.app.get('driverSocketMap');
-          
-          if (rideToUpdate.assignedDriver && rideToUpdate.rider && io && driverSocketMap) {
-            const driverId = rideToUpdate.assignedDriver._id.toString();
-            const riderId = rideToUpdate.rider._id.toString();
-            
-            // Notify driver's socket to start navigation
-            const driverSocketId = driverSocketMap[driverId];
-            if (driverSocketId) {
-              io.to(driverSocketId).emit('rideStarted', { 
-                rideId: resolvedRideId, 
-                driverId: driverId, 
-                riderId: riderId,
-                message: 'Payment confirmed. Navigate to pickup location.'
-              });
-              console.log(`[confirm] Notified driver ${driverId} that ride ${resolvedRideId} is paid and ready to start`);
-            } else {
-              console.log(`[confirm] Driver ${driverId} socket not found in map`);
-            }
-            
-            // Also emit to ride room for rider
-            io.to(`ride_${resolvedRideId}`).emit('rideStarted', { rideId: resolvedRideId, driverId, riderId });
-          }
-        }
-      }
-      return res.json({ ok: true, status: pi.status, paymentIntentId: pi.id });
-    }
+    // Same handling as the webhook; whichever reports the payment first records it and notifies the driver
+    await syncPaymentIntent(req.app, pi);
 
-    // Not succeeded yet; return current status so client can handle
-    res.json({ ok: false, status: pi.status });
+    const ok = pi.status === 'succeeded' || pi.status === 'requires_capture';
+    res.json({ ok, status: pi.status, paymentIntentId: pi.id });
   } catch (err) {
     console.error('confirm payment error', err);
     res.status(500).json({ error: 'internal_error', detail: err.message });
@@ -0,0 +1,93 @@
+const express = require('express');
+const router = express.Router();
+const Promo = require('../models/Promo');
+const PromoRedemption = require('../models/PromoRedemption');
+const auth = require('../middleware/auth');
+const { normalizeCode } = require('../utils/promos');
+
+// Fields admins can set on a promo
+const EDITABLE = ['description', 'discountType', 'value', 'maxDiscount', 'maxUses', 'perUserLimit', 'firstRideOnly', 'validFrom', 'validUntil', 'carTypes', 'area', 'active'];
+
+function pickEditable(body) {
+  const fields = {};
+  for (const key of EDITABLE) if (body[key] !== undefined) fields[key] = body[key];
+  return fields;
+}
+
+function validatePromo(promo) {
+  if (promo.discountType === 'percent' && (promo.value <= 0 || promo.value > 100)) return 'Percentage discounts must be between 0 and 100';
+  if (promo.discountType === 'fixed' && promo.value <= 0) return 'Fixed discounts must be a positive amount in øre';
+  if (promo.validFrom && promo.validUntil && promo.validFrom >= promo.validUntil) return 'validFrom must be before validUntil';
+  return null;
+}
+
+// Admin only
+router.use(auth, (req, res, next) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can manage promo codes' });
+  next();
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const promos = await Promo.find().sort({ createdAt: -1 });
+    res.json({ promos });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Promo with its redemption totals
+router.get('/:id', async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.id);
+    if (!promo) return res.status(404).json({ error: 'Promo not found' });
+    const byStatus = await PromoRedemption.aggregate([
+      { $match: { promo: promo._id } },
+      { $group: { _id: '$status', count: { $sum: 1 }, discount: { $sum: { $ifNull: ['$discount', 0] } } } }
+    ]);
+    const redemptions = { reserved: 0, redeemed: 0, released: 0, totalDiscount: 0 };
+    for (const group of byStatus) {
+      redemptions[group._id] = group.count;
+      redemptions.totalDiscount += group.discount;
+    }
+    res.json({ promo, redemptions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const code = normalizeCode(req.body.code);
+    if (!code) return res.status(400).json({ error: 'code is required' });
+    const promo = new Promo({ ...pickEditable(req.body), code, createdBy: req.user._id });
+    const invalid = validatePromo(promo);
+    if (invalid) return res.status(400).json({ error: invalid });
+    await promo.save();
+    console.log(`[promo] Admin ${req.user._id} created promo ${code}`);
+    res.status(201).json({ promo });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'A promo with this code already exists' });
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a promo's terms, extend or end it (active: false)
+router.patch('/:id', async (req, res) => {
+  try {
+    const promo = await Promo.findById(req.params.id);
+    if (!promo) return res.status(404).json({ error: 'Promo not found' });
+    promo.set(pickEditable(req.body));
+    const invalid = validatePromo(promo);
+    if (invalid) return res.status(400).json({ error: invalid });
+    await promo.save();
+    console.log(`[promo] Admin ${req.user._id} updated promo ${promo.code}`);
+    res.json({ promo });
+  } catch (err) {
+    if (err.name === 'ValidationError') return res.status(400).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { issueQuote, verifyQuote, QuoteError } = require('../utils/quotes');
+const { findValidPromo, applyPromoToPricing, PromoError } = require('../utils/promos');
+const { activeCarOf } = require('../utils/carCapabilities');
+
+// Apply a promo code to an estimate. Takes the quote from POST /api/rides/estimate-price (and the same
+// trip details, including stops) and returns the discounted estimate with a new quote to book with
+router.post('/apply', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can use promo codes' });
+    const { code, quoteId, driverId, pickupLocation, destinationLocation, stops } = req.body;
+    if (!code) return res.status(400).json({ error: 'code is required' });
+    if (!quoteId || !driverId) return res.status(400).json({ error: 'quoteId and driverId are required, request an estimate first' });
+
+    const driver = await User.findById(driverId);
+    if (!driver || driver.role !== 'driver') return res.status(400).json({ error: 'Invalid driver' });
+    const car = await activeCarOf(driver._id);
+    const quote = verifyQuote(quoteId, { riderId: req.user._id, driverId, pickupLocation, destinationLocation, stops, carType: car ? car.carType : 'standard' });
+    if (quote.pricing.discount) return res.status(409).json({ error: `Promo code ${quote.pricing.discount.code} is already applied` });
+
+    const promo = await findValidPromo(code, { userId: req.user._id, carType: quote.pricing.carType, pickupLocation });
+    const pricing = applyPromoToPricing(quote.pricing, promo);
+    res.json({
+      estimate: pricing,
+      quote: issueQuote({ riderId: req.user._id, driverId, pickupLocation, destinationLocation, stops, pricing, scheduledFor: quote.scheduledFor }),
+      discount: pricing.discount,
+      description: promo.description
+    });
+  } catch (err) {
+    if (err instanceof PromoError || err instanceof QuoteError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
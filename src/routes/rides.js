@@ -1,24 +1,56 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Ride = require('../models/Ride');
 const User = require('../models/User');
 const auth = require('../middleware/auth');
 const { sendMail } = require('../utils/email');
 const { calculateRidePrice } = require('../utils/pricing');
+const { getDistanceKm } = require('../utils/geo');
+const { dispatchRide, offerRideToDriver, releaseOffer } = require('../utils/dispatch');
+const { transitionRide, RideTransitionError } = require('../utils/rideLifecycle');
+const RideTrack = require('../models/RideTrack');
+const { computeTrackStats, trackToGeoJSON, trackToGpx } = require('../utils/rideTrack');
+const { finalizeFare } = require('../utils/fareMeter');
+const { getSurgeForLocation } = require('../utils/surge');
+const { issueQuote, verifyQuote, QuoteError } = require('../utils/quotes');
+const { cancelRide } = require('../utils/cancellation');
+const { issueReceipt, renderReceiptHtml, renderReceiptPdf } = require('../utils/receipts');
+const { findValidPromo, reservePromo, releasePromo, promoTerms, PromoError } = require('../utils/promos');
+const stripe = require('../utils/stripe');
+const { syncPaymentIntent } = require('../utils/stripeEvents');
+const { resolvePayment, PaymentMethodError } = require('../utils/customers');
+const {
+  inviteToSplit,
+  respondToSplit,
+  authorizeShare,
+  requestRidePayments,
+  coverRemainingShares,
+  participantOf,
+  SplitError
+} = require('../utils/fareShares');
+const {
+  parseScheduledFor,
+  schedulingFields,
+  isAwaitingDispatch,
+  preAcceptableFilter,
+  requestPreAccept,
+  preAcceptRide,
+  withdrawFromScheduledRide,
+  ScheduleError
+} = require('../utils/scheduledRides');
+const { normalizeStops, getLegsKm, routePricingOptions, notifyNextStop, updateStops, advanceStop, StopError } = require('../utils/stops');
+const Pool = require('../models/Pool');
+const { assertPoolable, matchIntoPool, syncPoolPlan, poolView, PoolError } = require('../utils/pools');
+const { rateRide, rideRatingsFor, publicRating, lowRatedUserIds, RATINGS, RatingError } = require('../utils/ratings');
+const { sendMessage, markRead, getHistory, ChatError } = require('../utils/rideChat');
+const { rideNeeds, unmetNeeds, rideFilterForCar, activeCarOf } = require('../utils/carCapabilities');
+const { estimateClasses, upgradeRide, parseCarType, VehicleClassError } = require('../utils/vehicleClasses');
 
-// Helper function to calculate distance between two coordinates
-function getDistanceKm(lat1, lon1, lat2, lon2) {
-  const R = 6371; // km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) + 
-            Math.cos(lat1 * Math.PI/180) * Math.cos(lat2 * Math.PI/180) * 
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
-// Create a ride (rider creates)
+// Create a ride (rider creates). With scheduledFor the ride is booked for later and dispatched shortly before pickup.
+// stops: intermediate stops [{ address, location }] in order
+// pooled: share the car for a discount; the ride is matched into a nearby driver's pool if one has room
+// carType: vehicle class (standard, comfort, xl, premium; default standard), only drivers with an active car of that class are matched
 router.post('/', auth, async (req, res) => {
   try {
     if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can create rides' });
@@ -31,40 +63,59 @@ router.post('/', auth, async (req, res) => {
       passengerCount,
       needsBabySeat,
       needsHandicapSupport,
-      needsBlindSupport
+      needsBlindSupport,
+      promoCode,
+      pooled,
+      luggageCount
     } = req.body;
+    const scheduledFor = parseScheduledFor(req.body.scheduledFor);
+    const stops = normalizeStops(req.body.stops);
+    const carType = parseCarType(req.body.carType) || 'standard';
+    if (pooled) assertPoolable({ scheduledFor, stops });
     const ride = new Ride({
       rider: req.user._id,
       pickupAddress,
       pickupLocation,
+      stops,
       destinationAddress,
       destinationLocation,
       phone,
+      pooled: !!pooled,
+      carType,
       passengerCount,
+      luggageCount,
       needsBabySeat,
       needsHandicapSupport,
-      needsBlindSupport
+      needsBlindSupport,
+      ...(scheduledFor ? schedulingFields(scheduledFor) : {})
     });
-    await ride.save();
-    
-    // Emit socket event for new ride request
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('newRideRequest', { 
-        rideId: ride._id,
-        pickupAddress,
-        destinationAddress,
-        passengerCount,
-        needsBabySeat,
-        needsHandicapSupport,
-        needsBlindSupport,
-        pickupLocation
-      });
-      console.log(`Emitted newRideRequest event for ride ${ride._id}`);
+    // Reserved for the requested class; the discount is applied when the ride is priced for a driver
+    if (promoCode) ride.promo = await reservePromo(promoCode, { userId: req.user._id, rideId: ride._id, carType, pickupLocation });
+    try {
+      await ride.save();
+    } catch (saveErr) {
+      await releasePromo(ride._id);
+      throw saveErr;
     }
     
-    res.json({ ride });
+    // A pooled ride first tries to join a driver's pool
+    const pooledRide = ride.pooled
+      ? await matchIntoPool(req.app, ride).catch(err => console.error('[pool] Error matching ride', ride._id, err))
+      : null;
+    
+    // Offer the ride to the nearest online drivers, one at a time (scheduled rides wait for the scheduler)
+    if (!scheduledFor && !pooledRide) dispatchRide(req.app, ride._id).catch(err => console.error('[dispatch] Error dispatching ride', ride._id, err));
+    
+    // Higher classes that could be there sooner, taken with POST /:id/upgrade
+    const upgradeOffers = !scheduledFor && !pooledRide
+      ? await estimateClasses(req.app, { pickupLocation, destinationLocation, stops, needs: rideNeeds(ride) })
+        .then(estimate => estimate.upgradeOffers)
+        .catch(err => { console.error('[classes] Error finding upgrade offers', ride._id, err); return []; })
+      : [];
+    
+    res.json({ ride: pooledRide || ride, upgradeOffers });
   } catch (err) {
+    if (err instanceof PromoError || err instanceof ScheduleError || err instanceof StopError || err instanceof PoolError || err instanceof VehicleClassError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -91,12 +142,20 @@ router.get('/my-rides', auth, async (req, res) => {
 });
 
 // List available rides for drivers with optional distance filter
+// minRiderRating: leave out riders rated lower (defaults to MIN_RIDER_RATING; riders with few ratings are always shown)
+// Only rides the driver's active car has the seats, luggage room and equipment for are listed
 router.get('/available', auth, async (req, res) => {
   try {
     if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can view available rides' });
     const { lng, lat, maxDistanceMeters } = req.query;
+    const car = await activeCarOf(req.user._id);
+    if (!car) return res.status(409).json({ error: 'Activate a car to see available rides' });
   // Exclude rides that this driver has already declined
-  let query = { status: 'open', $or: [ { declinedDrivers: { $exists: false } }, { declinedDrivers: { $nin: [req.user._id] } } ] };
+  let query = { status: 'open', $or: [ { declinedDrivers: { $exists: false } }, { declinedDrivers: { $nin: [req.user._id] } } ], ...rideFilterForCar(car) };
+    // Scheduled rides show up once they are being dispatched (see GET /scheduled to pre-accept them)
+    query.$and = [{ $or: [{ scheduledFor: null }, { 'scheduling.dispatchedAt': { $ne: null } }] }];
+    const lowRatedRiders = await lowRatedUserIds('rider', parseFloat(req.query.minRiderRating) || RATINGS.minRiderRating);
+    if (lowRatedRiders.length > 0) query.$and.push({ rider: { $nin: lowRatedRiders } });
     if (lng && lat) {
       query['pickupLocation'] = {
         $near: {
@@ -105,24 +164,54 @@ router.get('/available', auth, async (req, res) => {
         }
       };
     }
-  const rides = await Ride.find(query).populate('rider', 'name phone location');
+  const rides = await Ride.find(query).populate('rider', 'name phone location rating');
     res.json({ rides });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Get price estimate for a ride
+// Scheduled rides for drivers: upcoming ones they can pre-accept (optionally near lng/lat) and the ones they pre-accepted
+router.get('/scheduled', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can view scheduled rides' });
+    const { lng, lat, maxDistanceMeters } = req.query;
+    const car = await activeCarOf(req.user._id);
+    if (!car) return res.status(409).json({ error: 'Activate a car to see scheduled rides' });
+    const query = { ...preAcceptableFilter(req.user._id), ...rideFilterForCar(car) };
+    if (lng && lat) {
+      query.pickupLocation = {
+        $near: {
+          $geometry: { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] },
+          $maxDistance: maxDistanceMeters ? parseInt(maxDistanceMeters) : 50000
+        }
+      };
+    }
+    // $near already sorts by distance, otherwise soonest first
+    const available = await Ride.find(query).sort(lng && lat ? {} : { scheduledFor: 1 }).populate('rider', 'name');
+    const preAccepted = await Ride.find({ status: 'open', 'scheduling.preAcceptedBy': req.user._id })
+      .sort({ scheduledFor: 1 })
+      .populate('rider', 'name phone');
+    res.json({ available, preAccepted });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get price estimate for a ride (stops: intermediate stops in order, priced per leg plus a per-stop fee)
 router.post('/estimate-price', auth, async (req, res) => {
   try {
     const {
       driverId,
       pickupLocation,
       destinationLocation,
-      waitingMinutes
+      waitingMinutes,
+      promoCode
     } = req.body;
 
     if (!driverId) return res.status(400).json({ error: 'driverId is required' });
+    const scheduledFor = parseScheduledFor(req.body.scheduledFor);
+    const stops = normalizeStops(req.body.stops);
     if (!pickupLocation || !pickupLocation.coordinates || pickupLocation.coordinates.length !== 2) {
       return res.status(400).json({ error: 'Valid pickupLocation is required' });
     }
@@ -141,7 +230,10 @@ router.post('/estimate-price', auth, async (req, res) => {
     
     // Calculate driver to pickup distance
     let driverToPickupKm = 0;
-    if (driverLiveLocation && driverLiveLocation.latitude != null && driverLiveLocation.longitude != null) {
+    if (scheduledFor) {
+      // Where the driver is now says nothing about where they'll be at a scheduled pickup
+      console.log(`[estimate-price] Scheduled for ${scheduledFor.toISOString()}, not charging a pickup distance`);
+    } else if (driverLiveLocation && driverLiveLocation.latitude != null && driverLiveLocation.longitude != null) {
       // Use real-time socket location
       const { latitude, longitude } = driverLiveLocation;
       driverToPickupKm = getDistanceKm(latitude, longitude, pickupCoords[1], pickupCoords[0]);
@@ -155,33 +247,93 @@ router.post('/estimate-price', auth, async (req, res) => {
     
     // Calculate pickup to destination distance
     let tripDistanceKm = 5; // Default estimate
+    let legsKm = null;
     if (destinationLocation && destinationLocation.coordinates && destinationLocation.coordinates.length === 2) {
+      legsKm = stops.length > 0 ? getLegsKm(pickupLocation, stops, destinationLocation) : null;
       const destCoords = destinationLocation.coordinates;
-      tripDistanceKm = getDistanceKm(pickupCoords[1], pickupCoords[0], destCoords[1], destCoords[0]);
-      console.log(`[estimate-price] Pickup to destination distance: ${tripDistanceKm.toFixed(2)} km`);
+      tripDistanceKm = legsKm ? legsKm.reduce((sum, km) => sum + km, 0) : getDistanceKm(pickupCoords[1], pickupCoords[0], destCoords[1], destCoords[0]);
+      console.log(`[estimate-price] Pickup to destination distance: ${tripDistanceKm.toFixed(2)} km${legsKm ? ` over ${legsKm.length} legs` : ''}`);
     } else {
       console.log(`[estimate-price] No destination provided, using default 5 km`);
     }
     
-    // Calculate price
-    const pricing = calculateRidePrice(tripDistanceKm, driver.carType || 'standard', {
+    // Priced at the class of the driver's active car, which book-driver checks the quote against
+    const driverCar = await activeCarOf(driver._id);
+    const carType = driverCar ? driverCar.carType : 'standard';
+    
+    // Riders can apply a promo code to the estimate
+    const promo = promoCode && req.user.role === 'rider'
+      ? await findValidPromo(promoCode, { userId: req.user._id, carType, pickupLocation })
+      : null;
+    
+    // Calculate price (including surge for the pickup area, which doesn't apply to rides booked for later)
+    const surge = scheduledFor ? { multiplier: 1 } : getSurgeForLocation(pickupLocation);
+    const pricing = calculateRidePrice(tripDistanceKm, carType, {
+      legsKm: legsKm || undefined,
       driverToPickupKm,
-      waitingMinutes: waitingMinutes || 0
+      waitingMinutes: waitingMinutes || 0,
+      surgeMultiplier: surge.multiplier,
+      pickupTime: scheduledFor || undefined,
+      promo: promo ? promoTerms(promo) : undefined
     });
     
     console.log(`[estimate-price] Final calculation: trip=${tripDistanceKm.toFixed(2)}km, pickup=${driverToPickupKm.toFixed(2)}km, total=${pricing.totalPriceNOK} NOK`);
     
+    // Riders get a signed quote that book-driver honours until it expires
+    const quote = req.user.role === 'rider'
+      ? issueQuote({ riderId: req.user._id, driverId, pickupLocation, destinationLocation, stops, pricing, scheduledFor })
+      : null;
+    
     res.json({ 
       estimate: pricing,
+      quote,
+      surge,
       breakdown: {
         baseFare: `${pricing.baseFare / 100} NOK`,
         tripDistance: `${pricing.tripDistanceKm} km (${pricing.tripDistancePrice / 100} NOK)`,
+        stops: pricing.stops > 0 ? `${pricing.stops} (${pricing.stopsPrice / 100} NOK)` : 'None',
         driverToPickup: `${pricing.driverToPickupKm} km (${pricing.driverToPickupPrice / 100} NOK)`,
         waitingTime: pricing.waitingMinutes > 0 ? `${pricing.waitingMinutes} min (${pricing.waitingTimePrice / 100} NOK)` : 'None',
-        total: `${pricing.totalPriceNOK} NOK`
+        drivingTime: `~${pricing.durationMinutes} min (${pricing.timePrice / 100} NOK)`,
+        surge: pricing.surgeMultiplier > 1 ? `${pricing.surgeMultiplier}x (+${pricing.surgePrice / 100} NOK)` : 'None',
+        surcharges: pricing.surcharges.length > 0 ? pricing.surcharges.map(x => `${x.name} (+${x.amount / 100} NOK)`).join(', ') : 'None',
+        discount: pricing.discount ? `${pricing.discount.code} (-${pricing.discount.amount / 100} NOK)` : 'None',
+        total: `${pricing.totalPriceNOK} NOK`,
+        tariff: `v${pricing.tariffVersion}`
       }
     });
   } catch (err) {
+    if (err instanceof PromoError || err instanceof ScheduleError || err instanceof StopError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Prices and nearest-driver ETA for every vehicle class side by side (carType: the class the rider is looking at,
+// higher classes that can be there sooner come back as upgradeOffers). Takes the same needs as POST /
+router.post('/estimate-classes', auth, async (req, res) => {
+  try {
+    const { pickupLocation, destinationLocation, promoCode } = req.body;
+    if (!pickupLocation || !pickupLocation.coordinates || pickupLocation.coordinates.length !== 2) {
+      return res.status(400).json({ error: 'Valid pickupLocation is required' });
+    }
+    parseCarType(req.body.carType);
+    const scheduledFor = parseScheduledFor(req.body.scheduledFor);
+    const stops = normalizeStops(req.body.stops);
+    // The promo's car types are checked per class by calculateRidePrice
+    const promo = promoCode && req.user.role === 'rider'
+      ? await findValidPromo(promoCode, { userId: req.user._id, pickupLocation })
+      : null;
+    const estimate = await estimateClasses(req.app, {
+      pickupLocation,
+      destinationLocation,
+      stops,
+      scheduledFor,
+      needs: rideNeeds(req.body),
+      promo: promo ? promoTerms(promo) : undefined
+    });
+    res.json(estimate);
+  } catch (err) {
+    if (err instanceof PromoError || err instanceof ScheduleError || err instanceof StopError || err instanceof VehicleClassError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -197,16 +349,80 @@ router.get('/:id', auth, async (req, res) => {
   }
 });
 
+// Get the recorded route of a ride (rider or assigned driver only)
+// Returns GeoJSON + GPX with driven distance/duration; ?format=gpx downloads the GPX file
+router.get('/:id/route', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    const userId = req.user._id.toString();
+    if (ride.rider.toString() !== userId && ride.assignedDriver?.toString() !== userId) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const track = await RideTrack.findOne({ ride: ride._id }).lean();
+    const points = track ? track.points : [];
+    const stats = computeTrackStats(ride, points);
+    const gpx = trackToGpx(ride._id.toString(), points);
+
+    if (req.query.format === 'gpx') {
+      res.set('Content-Type', 'application/gpx+xml');
+      res.set('Content-Disposition', `attachment; filename="ride-${ride._id}.gpx"`);
+      return res.send(gpx);
+    }
+
+    res.json({
+      rideId: ride._id,
+      status: ride.status,
+      pointCount: points.length,
+      ...stats,
+      geojson: trackToGeoJSON(ride._id, points, stats),
+      gpx
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download the receipt of a paid ride (rider only). PDF by default, ?format=html or ?format=json
+router.get('/:id/receipt', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id).select('rider');
+    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    if (ride.rider.toString() !== req.user._id.toString()) return res.status(403).json({ error: 'Access denied' });
+    const format = req.query.format || 'pdf';
+    if (!['pdf', 'html', 'json'].includes(format)) return res.status(400).json({ error: 'format must be pdf, html or json' });
+
+    const result = await issueReceipt(ride._id);
+    if (!result) return res.status(409).json({ error: 'The receipt is available once the ride has been paid' });
+    const { receipt } = result;
+
+    if (format === 'json') return res.json({ receipt });
+    if (format === 'html') return res.type('html').send(renderReceiptHtml(receipt));
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="receipt-${receipt.number}.pdf"`);
+    res.send(await renderReceiptPdf(receipt));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Driver accepts a ride
 router.post('/:id/accept', auth, async (req, res) => {
   try {
     if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can accept rides' });
     const ride = await Ride.findById(req.params.id);
     if (!ride || ride.status !== 'open') return res.status(400).json({ error: 'Ride not available' });
+    if (isAwaitingDispatch(ride)) {
+      return res.status(409).json({ error: `Ride is scheduled for ${ride.scheduledFor.toISOString()}, pre-accept it instead` });
+    }
+    const car = await activeCarOf(req.user._id);
+    const unmet = unmetNeeds(car, rideNeeds(ride));
+    if (unmet.length > 0) return res.status(409).json({ error: `Your car can't take this ride, it needs ${unmet.join(', ')}` });
     
     // Calculate price if not already set
+    const set = { assignedDriver: req.user._id };
     if (!ride.amount && ride.pickupLocation && ride.destinationLocation) {
-      const driver = await User.findById(req.user._id);
       const pickupCoords = ride.pickupLocation.coordinates; // [lng, lat]
       const destCoords = ride.destinationLocation.coordinates; // [lng, lat]
       
@@ -221,40 +437,50 @@ router.post('/:id/accept', auth, async (req, res) => {
       }
       
       const tripDistanceKm = getDistanceKm(pickupCoords[1], pickupCoords[0], destCoords[1], destCoords[0]);
-      const pricing = calculateRidePrice(tripDistanceKm, driver.carType || 'standard', { driverToPickupKm });
+      const pricing = calculateRidePrice(tripDistanceKm, ride.carType || car.carType, {
+        ...routePricingOptions(ride),
+        driverToPickupKm,
+        surgeMultiplier: getSurgeForLocation(ride.pickupLocation).multiplier,
+        pickupTime: ride.scheduledFor || undefined,
+        pooled: ride.pooled,
+        promo: ride.promo && ride.promo.code ? ride.promo : undefined
+      });
       
-      ride.amount = pricing.totalPrice; // Store in øre
-      ride.currency = 'nok';
-      ride.estimatedDistance = tripDistanceKm;
+      set.amount = pricing.totalPrice; // Store in øre
+      set.currency = 'nok';
+      set.estimatedDistance = pricing.tripDistanceKm;
+      set.fareEstimate = pricing;
+      set.tariffVersion = pricing.tariffVersion;
       
       console.log(`[accept-ride] Calculated price for ride ${ride._id}: ${pricing.totalPriceNOK} NOK`);
     }
     
-    ride.status = 'accepted';
-    ride.assignedDriver = req.user._id;
-    await ride.save();
-
-    // Populate the ride with driver info for the response
-    const populatedRide = await Ride.findById(ride._id)
-      .populate('assignedDriver', 'name phone email carType')
-      .populate('rider', 'name phone email');
-
-    // Notify the rider via socket
-    const io = req.app.get('io');
-    if (io && ride.rider) {
-      io.to(`rider_${ride.rider.toString()}`).emit('rideAccepted', {
-        rideId: ride._id,
+    // Accept and notify the rider via socket
+    const amount = set.amount || ride.amount;
+    const accepted = await transitionRide(req.app, ride._id, 'accepted', {
+      actor: req.user,
+      from: ['open'],
+      filter: { $or: [{ scheduledFor: null }, { 'scheduling.dispatchedAt': { $ne: null } }] },
+      set,
+      eventPayload: {
         driver: {
           id: req.user._id,
           name: req.user.name,
           phone: req.user.phone,
-          carType: req.user.carType
+          carType: car.carType,
+          rating: publicRating(req.user)
         },
-        amount: ride.amount,
-        currency: ride.currency || 'nok'
-      });
-      console.log(`[accept-ride] Emitted rideAccepted to rider ${ride.rider.toString()}`);
-    }
+        amount,
+        currency: set.currency || ride.currency || 'nok'
+      }
+    });
+    // Place the card holds for the estimate (one per share on a split fare); riders confirm them in the app
+    await requestRidePayments(req.app, accepted);
+
+    // Populate the ride with driver info for the response
+    const populatedRide = await Ride.findById(ride._id)
+      .populate('assignedDriver', 'name phone email carType')
+      .populate('rider', 'name phone email');
 
     // Notify the rider via email
     try {
@@ -274,6 +500,7 @@ router.post('/:id/accept', auth, async (req, res) => {
     
     res.json({ ride: populatedRide });
   } catch (err) {
+    if (err instanceof RideTransitionError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -283,51 +510,284 @@ router.post('/:id/decline', auth, async (req, res) => {
   try {
     if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can decline rides' });
     const ride = await Ride.findById(req.params.id);
-    if (!ride || ride.status !== 'open') return res.status(400).json({ error: 'Ride not available' });
-    // Add driver to declinedDrivers if not already present
-    if (!ride.declinedDrivers) ride.declinedDrivers = [];
-    if (!ride.declinedDrivers.find(d => d.toString() === req.user._id.toString())) {
-      ride.declinedDrivers.push(req.user._id);
-      await ride.save();
+    if (!ride) return res.status(400).json({ error: 'Ride not available' });
+    // A scheduled ride this driver pre-accepted or was booked for goes back to other drivers
+    if (isAwaitingDispatch(ride)) {
+      const withdrawn = await withdrawFromScheduledRide(req.app, ride._id, req.user);
+      if (withdrawn) return res.json({ ok: true });
+    }
+    // A ride currently offered to this driver goes back to the dispatch engine
+    if (ride.status === 'pending' && ride.assignedDriver?.toString() === req.user._id.toString()) {
+      await releaseOffer(req.app, ride._id, req.user._id, 'declined', { actor: req.user });
+      return res.json({ ok: true });
     }
+    if (ride.status !== 'open') return res.status(400).json({ error: 'Ride not available' });
+    // Add driver to declinedDrivers if not already present
+    await Ride.updateOne({ _id: ride._id }, { $addToSet: { declinedDrivers: req.user._id } });
     res.json({ ok: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Rider cancels their ride request
+// Driver commits to a scheduled ride ahead of time; it is accepted for them when it is due
+router.post('/:id/pre-accept', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can pre-accept rides' });
+    const ride = await preAcceptRide(req.app, req.params.id, req.user);
+    res.json({ ok: true, ride });
+  } catch (err) {
+    if (err instanceof ScheduleError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rider or assigned driver cancels a ride. Body: { reason } (optional)
+// Fees and refunds follow the cancellation policy in utils/cancellation
 router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const cancelled = await cancelRide(req.app, req.params.id, req.user, req.body && req.body.reason);
+    res.json({ ok: true, ride: cancelled, cancellation: cancelled.cancellation });
+  } catch (err) {
+    if (err instanceof RideTransitionError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A share hold authorized off-session right away is recorded as the webhook would (and may release the driver)
+async function syncShareHold(app, hold) {
+  if (hold && hold.status === 'requires_capture') await syncPaymentIntent(app, await stripe.paymentIntents.retrieve(hold.paymentIntentId));
+}
+
+function splitErrorResponse(res, err) {
+  if (err instanceof SplitError || err instanceof PaymentMethodError) return res.status(err.status).json({ error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+// Booking rider invites other riders to split the fare, before a driver accepts. Body: { riderIds, emails }
+// The ride's passengerCount must leave room for everyone sharing it
+router.post('/:id/split', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can split a fare' });
+    const { riderIds = [], emails = [] } = req.body;
+    const ids = riderIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const addresses = emails.map(email => String(email).trim().toLowerCase());
+    if (ids.length === 0 && addresses.length === 0) return res.status(400).json({ error: 'riderIds or emails are required' });
+
+    const invitees = await User.find({ role: 'rider', $or: [{ _id: { $in: ids } }, { email: { $in: addresses } }] });
+    if (invitees.length === 0) return res.status(404).json({ error: 'No registered riders found to invite' });
+    const ride = await inviteToSplit(req.app, req.params.id, req.user, invitees);
+    res.json({ ok: true, split: ride.split });
+  } catch (err) {
+    splitErrorResponse(res, err);
+  }
+});
+
+// Invited rider accepts or declines their share. Body: { accept, useSavedCard, paymentMethodId, saveCard }
+// Once the driver has accepted, accepting returns the share's hold to confirm (or authorizes a saved card)
+router.post('/:id/split/respond', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can split a fare' });
+    const { accept, useSavedCard, paymentMethodId, saveCard } = req.body;
+    if (typeof accept !== 'boolean') return res.status(400).json({ error: 'accept must be true or false' });
+    const payment = accept ? await resolvePayment(req.user, { useSavedCard, paymentMethodId, saveCard }) : undefined;
+    const { ride, hold } = await respondToSplit(req.app, req.params.id, req.user, accept, payment);
+    await syncShareHold(req.app, hold);
+    res.status(hold && hold.error ? 402 : 200).json({ ok: true, share: participantOf(ride, req.user._id), hold });
+  } catch (err) {
+    splitErrorResponse(res, err);
+  }
+});
+
+// Client secret of the rider's own share hold (e.g. the app was closed when the driver accepted)
+// Body: { useSavedCard, paymentMethodId, saveCard }
+router.post('/:id/split/intent', auth, async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.id);
     if (!ride) return res.status(404).json({ error: 'Ride not found' });
-    
-    // Only the rider who created it can cancel it
-    if (ride.rider.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ error: 'Only the ride creator can cancel it' });
+    const share = participantOf(ride, req.user._id);
+    if (!share) return res.status(403).json({ error: 'Access denied' });
+    if (!['accepted', 'in_progress'].includes(ride.status) || !share.amount || share.status !== 'accepted') {
+      return res.status(409).json({ error: `No share to authorize (share is ${share.status}, ride is ${ride.status})` });
     }
-    
-    // Can only cancel if not yet in progress or completed
-    if (['in_progress', 'completed'].includes(ride.status)) {
-      return res.status(400).json({ error: 'Cannot cancel a ride that is in progress or completed' });
+    const payment = await resolvePayment(req.user, req.body);
+    const hold = await authorizeShare(ride, share, payment);
+    await syncShareHold(req.app, hold);
+    res.status(hold.error ? 402 : 200).json({ ...hold, share: share.amount, captureMethod: 'manual' });
+  } catch (err) {
+    splitErrorResponse(res, err);
+  }
+});
+
+// Booking rider pays for the shares that weren't authorized (declined or not confirmed), so the ride can go ahead
+// Body: { useSavedCard, paymentMethodId, saveCard }
+router.post('/:id/split/cover', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can split a fare' });
+    const payment = await resolvePayment(req.user, req.body);
+    const { ride, hold } = await coverRemainingShares(req.app, req.params.id, req.user, payment);
+    await syncShareHold(req.app, hold);
+    res.status(hold.error ? 402 : 200).json({ ok: true, split: ride.split, hold });
+  } catch (err) {
+    splitErrorResponse(res, err);
+  }
+});
+
+// Rider changes the stops not reached yet, before or during the ride. Body: { stops: [{ address, location }] }
+// The ride is re-quoted and the driver gets routeUpdated with the new route
+router.put('/:id/stops', auth, async (req, res) => {
+  try {
+    const ride = await updateStops(req.app, req.params.id, req.user, req.body.stops);
+    res.json({ ok: true, stops: ride.stops, amount: ride.amount, fareEstimate: ride.fareEstimate });
+  } catch (err) {
+    if (err instanceof StopError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Driver reached the next stop (or skipped it with { skip: true }); rider and driver get nextStop
+router.post('/:id/stops/next', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can report stops' });
+    const ride = await advanceStop(req.app, req.params.id, req.user, !!(req.body && req.body.skip));
+    res.json({ ok: true, stops: ride.stops });
+  } catch (err) {
+    if (err instanceof StopError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rate the other side of a completed ride. Body: { stars: 1-5, tags, comment }
+// Riders rate their driver and drivers their rider, once each, within RATING_WINDOW_HOURS of the ride ending
+router.post('/:id/rating', auth, async (req, res) => {
+  try {
+    const { stars, tags, comment } = req.body || {};
+    const { rating, ratee } = await rateRide(req.app, req.params.id, req.user, { stars, tags, comment });
+    res.json({ ok: true, rating, ratee });
+  } catch (err) {
+    if (err instanceof RatingError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Ratings given and received on a ride, and whether the user can still rate it
+router.get('/:id/rating', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    const ratings = await rideRatingsFor(ride, req.user);
+    if (!ratings) return res.status(403).json({ error: 'Access denied' });
+    res.json(ratings);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+function chatErrorResponse(res, err) {
+  if (err instanceof ChatError) return res.status(err.status).json({ error: err.message });
+  res.status(500).json({ error: err.message });
+}
+
+// Chat history with the other side of the ride, oldest first. ?before=<messageId>&limit= to page back
+// Also returns the unread count, whether the chat is locked and the user's quick replies
+router.get('/:id/chat', auth, async (req, res) => {
+  try {
+    res.json(await getHistory(req.params.id, req.user, { before: req.query.before, limit: req.query.limit }));
+  } catch (err) {
+    chatErrorResponse(res, err);
+  }
+});
+
+// Send a chat message while the ride is accepted or in progress. Body: { text } or { quickReply }
+router.post('/:id/chat', auth, async (req, res) => {
+  try {
+    const message = await sendMessage(req.app, req.params.id, req.user, req.body || {});
+    res.json({ ok: true, message });
+  } catch (err) {
+    chatErrorResponse(res, err);
+  }
+});
+
+// Mark the other side's messages as read. Body: { upTo } (message id, optional: everything so far)
+router.post('/:id/chat/read', auth, async (req, res) => {
+  try {
+    const result = await markRead(req.app, req.params.id, req.user, req.body && req.body.upTo);
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    chatErrorResponse(res, err);
+  }
+});
+
+// Rider takes an upgrade offer: the ride moves to a higher class and is dispatched again to drivers of that class
+router.post('/:id/upgrade', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'rider') return res.status(403).json({ error: 'Only riders can upgrade rides' });
+    const ride = await upgradeRide(req.app, req.params.id, req.user, req.body.carType);
+    res.json({ ride });
+  } catch (err) {
+    if (err instanceof VehicleClassError) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The pool a ride is part of: the whole plan for the driver, the rider's own pickup and drop-off among the others for a rider
+router.get('/:id/pool', auth, async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.id).select('rider assignedDriver pool');
+    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    const userId = req.user._id.toString();
+    const isRider = ride.rider.toString() === userId;
+    if (!isRider && ride.assignedDriver?.toString() !== userId) return res.status(403).json({ error: 'Access denied' });
+    const pool = ride.pool ? await Pool.findById(ride.pool) : null;
+    if (!pool) return res.status(404).json({ error: 'Ride is not part of a pool' });
+    res.json({ pool: poolView(pool, isRider ? ride._id.toString() : undefined) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Driver has arrived at the pickup and is waiting (rider cancellations now carry the arrival fee)
+router.post('/:id/arrived', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can report arrival' });
+    const ride = await Ride.findOneAndUpdate(
+      { _id: req.params.id, assignedDriver: req.user._id, status: 'accepted', driverArrivedAt: null },
+      { $set: { driverArrivedAt: new Date() } },
+      { new: true }
+    );
+    if (!ride) return res.status(400).json({ error: 'Ride not found, not accepted by you, or arrival already reported' });
+
+    const io = req.app.get('io');
+    if (io) {
+      const payload = { rideId: ride._id, driverId: req.user._id, arrivedAt: ride.driverArrivedAt };
+      io.to(`ride_${ride._id}`).to(`rider_${ride.rider.toString()}`).emit('driverArrived', payload);
     }
-    
-    ride.status = 'cancelled';
-    await ride.save();
-    
-    // Notify driver if one was assigned
-    if (ride.assignedDriver) {
-      const io = req.app.get('io');
-      if (io) {
-        io.to(`driver_${ride.assignedDriver.toString()}`).emit('rideCancelled', {
-          rideId: ride._id,
-          message: 'Rider cancelled the ride'
-        });
-      }
+    res.json({ ride });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Driver starts a ride (rider picked up)
+router.post('/:id/start', auth, async (req, res) => {
+  try {
+    if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can start rides' });
+    const ride = await Ride.findById(req.params.id);
+    if (!ride) return res.status(404).json({ error: 'Ride not found' });
+    if (ride.assignedDriver?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'You are not assigned to this ride' });
     }
     
-    res.json({ ok: true, ride });
+    const started = await transitionRide(req.app, ride._id, 'in_progress', {
+      actor: req.user,
+      filter: { assignedDriver: req.user._id }
+    });
+    notifyNextStop(req.app, started);
+    await syncPoolPlan(req.app, started);
+
+    res.json({ ride: started });
   } catch (err) {
+    if (err instanceof RideTransitionError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -338,25 +798,26 @@ router.post('/:id/end', auth, async (req, res) => {
     if (req.user.role !== 'driver') return res.status(403).json({ error: 'Only drivers can end rides' });
     const ride = await Ride.findById(req.params.id);
     if (!ride) return res.status(404).json({ error: 'Ride not found' });
-    if (ride.assignedDriver.toString() !== req.user._id.toString()) {
+    if (ride.assignedDriver?.toString() !== req.user._id.toString()) {
       return res.status(403).json({ error: 'You are not assigned to this ride' });
     }
-    if (ride.status !== 'in_progress' && ride.status !== 'accepted') {
+    if (ride.status !== 'in_progress') {
       return res.status(400).json({ error: 'Ride is not in progress' });
     }
     
-    ride.status = 'completed';
-    await ride.save();
+    // Emits rideEnded to both rider and driver
+    const completed = await transitionRide(req.app, ride._id, 'completed', {
+      actor: req.user,
+      filter: { assignedDriver: req.user._id }
+    });
+    await syncPoolPlan(req.app, completed);
 
-    // Emit socket event to notify both rider and driver
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`rider_${ride.rider.toString()}`).emit('rideEnded', { rideId: ride._id });
-      io.to(`driver_${ride.assignedDriver.toString()}`).emit('rideEnded', { rideId: ride._id });
-    }
+    // Price the actual trip and settle the difference to the estimate
+    const ended = await finalizeFare(req.app, ride._id);
 
-    res.json({ ride });
+    res.json({ ride: ended });
   } catch (err) {
+    if (err instanceof RideTransitionError) return res.status(err.status).json({ error: err.message });
     res.status(500).json({ error: err.message });
   }
 });
@@ -375,82 +836,78 @@ router.post('/book-driver', auth, async (req, res) => {
       passengerCount,
       needsBabySeat,
       needsHandicapSupport,
-      needsBlindSupport
+      needsBlindSupport,
+      luggageCount,
+      quoteId
     } = req.body;
 
     if (!driverId) return res.status(400).json({ error: 'driverId is required' });
-
-    // Get driver location from request (client sends this since they have it on the map)
-    const driverLocation = req.body.driverLocation; // { latitude, longitude }
+    if (!quoteId) return res.status(400).json({ error: 'quoteId is required, request an estimate first' });
+    // The lead time was checked when the quote was issued, a still valid quote only needs a pickup in the future
+    const scheduledFor = parseScheduledFor(req.body.scheduledFor, new Date(), { minLeadMinutes: 0 });
+    const stops = normalizeStops(req.body.stops);
+    if (!pickupLocation || !pickupLocation.coordinates || pickupLocation.coordinates.length !== 2) {
+      return res.status(400).json({ error: 'Valid pickupLocation is required' });
+    }
 
     // Fetch driver to get car type
     const driver = await User.findById(driverId);
     if (!driver || driver.role !== 'driver') {
       return res.status(400).json({ error: 'Invalid driver' });
     }
+    // The driver's active car must have the seats, luggage room and equipment the rider asked for
+    const driverCar = await activeCarOf(driver._id);
+    const unmet = unmetNeeds(driverCar, rideNeeds(req.body));
+    if (unmet.length > 0) return res.status(409).json({ error: `This driver's car can't take the ride, it needs ${unmet.join(', ')}` });
 
-    // Calculate distance and price
-    let distanceKm = 0;
-    let driverToPickupKm = 0;
-    let pricing = null;
-    
-    if (pickupLocation && pickupLocation.coordinates && pickupLocation.coordinates.length === 2) {
-      const pickupCoords = pickupLocation.coordinates; // [lng, lat]
-      
-      // Calculate driver to pickup distance using location from client
-      if (driverLocation && driverLocation.latitude != null && driverLocation.longitude != null) {
-        const { latitude, longitude } = driverLocation;
-        driverToPickupKm = getDistanceKm(latitude, longitude, pickupCoords[1], pickupCoords[0]);
-        console.log(`[book-driver] Driver location from client: [${longitude}, ${latitude}]`);
-        console.log(`[book-driver] Pickup location: [${pickupCoords[0]}, ${pickupCoords[1]}]`);
-        console.log(`[book-driver] Driver to pickup distance: ${driverToPickupKm.toFixed(2)} km`);
-      } else {
-        console.log(`[book-driver] ⚠️ No driver location provided by client, using 0 for pickup distance`);
-        driverToPickupKm = 0;
-      }
-      
-      // If destination is provided, calculate pickup to destination distance
-      if (destinationLocation && destinationLocation.coordinates && destinationLocation.coordinates.length === 2) {
-        const destCoords = destinationLocation.coordinates; // [lng, lat]
-        distanceKm = getDistanceKm(pickupCoords[1], pickupCoords[0], destCoords[1], destCoords[0]);
-        console.log(`[book-driver] Destination location: [${destCoords[0]}, ${destCoords[1]}]`);
-        console.log(`[book-driver] Pickup to destination distance: ${distanceKm.toFixed(2)} km`);
-      } else {
-        // No destination - estimate average trip of 5km
-        distanceKm = 5;
-      }
-      
-      // Calculate price based on distances and driver's car type
-      pricing = calculateRidePrice(distanceKm, driver.carType || 'standard', {
-        driverToPickupKm: driverToPickupKm
-      });
-      
-      console.log(`[book-driver] Final calculation: tripKm=${distanceKm.toFixed(2)}, pickupKm=${driverToPickupKm.toFixed(2)}, carType=${driver.carType || 'standard'}, total=${pricing.totalPriceNOK} NOK`);
-    } else {
-      // No location data - use minimum fare
-      pricing = calculateRidePrice(0, driver.carType || 'standard');
-    }
+    // The price comes from the signed quote, never from the request body
+    const quote = verifyQuote(quoteId, {
+      riderId: req.user._id,
+      driverId,
+      pickupLocation,
+      destinationLocation,
+      stops,
+      carType: driverCar.carType,
+      scheduledFor
+    });
+    const pricing = quote.pricing;
+    const distanceKm = pricing.tripDistanceKm;
 
     const ride = new Ride({
       rider: req.user._id,
       pickupAddress,
       pickupLocation,
+      stops,
       destinationAddress,
       destinationLocation,
       phone,
+      carType: driverCar.carType, // the booked driver's class, kept if the ride is dispatched to someone else
       passengerCount,
+      luggageCount,
       needsBabySeat,
       needsHandicapSupport,
       needsBlindSupport,
-      assignedDriver: driverId,
-      status: 'pending', // pending until driver accepts/declines
-      amount: pricing.totalPrice, // Store in øre
+      // Booked for later: stays open and the driver is asked to pre-accept it
+      ...(scheduledFor ? schedulingFields(scheduledFor, driverId) : { assignedDriver: driverId, status: 'pending' }), // pending until driver accepts/declines
+      amount: quote.amount, // exactly what was quoted, in øre
       currency: 'nok',
-      estimatedDistance: distanceKm
+      estimatedDistance: distanceKm,
+      fareEstimate: pricing,
+      tariffVersion: pricing.tariffVersion,
+      quoteId: quote.jti
     });
-    await ride.save();
+    // A promo applied to the estimate uses up one redemption now
+    if (pricing.discount) {
+      ride.promo = await reservePromo(pricing.discount.code, { userId: req.user._id, rideId: ride._id, carType: driverCar.carType, pickupLocation });
+    }
+    try {
+      await ride.save();
+    } catch (saveErr) {
+      await releasePromo(ride._id);
+      throw saveErr;
+    }
 
-    console.log(`Created ride ${ride._id}: ${distanceKm.toFixed(2)}km, ${driver.carType} car, ${pricing.totalPriceNOK} NOK`);
+    console.log(`Created ride ${ride._id}: ${distanceKm.toFixed(2)}km, ${driverCar.carType} car, ${pricing.totalPriceNOK} NOK (quote expires ${quote.expiresAt.toISOString()})`);
 
     // Notify the rider via email about booking request (we'll update once driver accepts)
     try {
@@ -469,67 +926,20 @@ router.post('/book-driver', auth, async (req, res) => {
       console.error('Failed to send booking email:', mailErr);
     }
 
-    // Emit a rideRequest socket event to the driver if they're online
+    // Offer the ride to the booked driver for 60s. If they decline or don't respond,
+    // the dispatch engine moves on to the nearest other online drivers.
+    // Scheduled rides are dispatched by the scheduler; until then the booked driver can pre-accept them.
     try {
-      const io = req.app.get('io');
-      const driverSocketMap = req.app.get('driverSocketMap');
-      const driverSock = driverSocketMap && driverSocketMap[driverId];
-      const riderPublic = await User.findById(ride.rider).select('name email avatarUrl');
-      const payload = {
-        rideId: ride._id,
-        rider: { id: riderPublic?._id, name: riderPublic?.name, email: riderPublic?.email, avatarUrl: riderPublic?.avatarUrl },
-        pickupAddress: ride.pickupAddress,
-        pickupLocation: ride.pickupLocation,
-        passengerCount: ride.passengerCount,
-        needsBabySeat: ride.needsBabySeat,
-        needsHandicapSupport: ride.needsHandicapSupport,
-        needsBlindSupport: ride.needsBlindSupport,
-        estimatedPrice: pricing.totalPriceNOK,
-        estimatedDistance: distanceKm.toFixed(2),
-        currency: 'NOK'
-      };
-      
-      console.log(`[book-driver] Attempting to emit rideRequest to driver ${driverId}`);
-      console.log(`[book-driver] driverSocketMap has driver? ${!!driverSock}, socketId: ${driverSock}`);
-      console.log(`[book-driver] Payload:`, JSON.stringify(payload, null, 2));
-      
-      if (io && driverSock) {
-        io.to(driverSock).emit('rideRequest', payload);
-        console.log(`[book-driver] ✅ Emitted rideRequest to socket ${driverSock}`);
-      } else {
-        console.log(`[book-driver] ❌ Cannot emit: io=${!!io}, driverSock=${driverSock}`);
-      }
-
-      // Start a 60s timer; if driver doesn't accept/decline, mark as open and remove assigned driver
-      setTimeout(async () => {
-        try {
-          const fresh = await Ride.findById(ride._id);
-          if (fresh && fresh.status === 'pending') {
-            // mark as open again and add driver to declinedDrivers
-            fresh.status = 'open';
-            if (!fresh.declinedDrivers) fresh.declinedDrivers = [];
-            if (!fresh.declinedDrivers.find(d => d.toString() === driverId.toString())) {
-              fresh.declinedDrivers.push(driverId);
-            }
-            fresh.assignedDriver = null;
-            await fresh.save();
-            // notify rider and driver about timeout/decline
-            if (io && driverSock) {
-              io.to(driverSock).emit('rideRequestTimeout', { rideId: fresh._id });
-            }
-            // Notify rider via socket room if connected
-            io.to(`ride_${fresh._id}`).emit('rideDeclined', { rideId: fresh._id, driverId: driverId });
-          }
-        } catch (timeoutErr) {
-          console.error('Error handling ride request timeout', timeoutErr);
-        }
-      }, 60000);
+      if (scheduledFor) await requestPreAccept(req.app, ride, driver);
+      else await offerRideToDriver(req.app, ride._id, driverId, { timeoutMs: 60000, pricing });
     } catch (emitErr) {
       console.error('Error emitting rideRequest', emitErr);
     }
 
     res.json({ ride });
   } catch (err) {
+    if (err instanceof QuoteError || err instanceof PromoError || err instanceof ScheduleError || err instanceof StopError) return res.status(err.status).json({ error: err.message });
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.quoteId) return res.status(409).json({ error: 'Quote has already been used' });
     res.status(500).json({ error: err.message });
   }
 });
@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const Tariff = require('../models/Tariff');
+const auth = require('../middleware/auth');
+const { calculateRidePrice, getRates } = require('../utils/pricing');
+const { getTariffAt, validateTariffConfig, activateTariff } = require('../utils/tariffs');
+
+// Sample trips used by preview when the request doesn't specify any
+const PREVIEW_TRIPS = [
+  { distanceKm: 3, carType: 'standard' },
+  { distanceKm: 10, carType: 'standard' },
+  { distanceKm: 10, carType: 'comfort' },
+  { distanceKm: 25, carType: 'premium' }
+];
+
+// Admin only
+router.use(auth, (req, res, next) => {
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Only admins can manage tariffs' });
+  next();
+});
+
+// List all tariffs, newest version first
+router.get('/', async (req, res) => {
+  try {
+    const tariffs = await Tariff.find().sort({ version: -1 });
+    res.json({ tariffs });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Tariff in effect now (or at ?at=), with the merged rates calculateRidePrice uses
+router.get('/active', async (req, res) => {
+  try {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at)) return res.status(400).json({ error: 'Invalid at' });
+    const tariff = getTariffAt(at);
+    res.json({ version: tariff ? tariff.version : 0, name: tariff ? tariff.name : 'Built-in defaults', rates: getRates(tariff) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  try {
+    const tariff = await Tariff.findById(req.params.id);
+    if (!tariff) return res.status(404).json({ error: 'Tariff not found' });
+    res.json({ tariff });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a draft tariff. Fields left out of config keep the built-in defaults
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, effectiveFrom, config } = req.body;
+    if (!name) return res.status(400).json({ error: 'name is required' });
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date();
+    if (isNaN(from)) return res.status(400).json({ error: 'Invalid effectiveFrom' });
+    const configError = validateTariffConfig(config);
+    if (configError) return res.status(400).json({ error: configError });
+
+    const latest = await Tariff.findOne().sort({ version: -1 }).select('version');
+    const tariff = new Tariff({
+      version: latest ? latest.version + 1 : 1,
+      name,
+      description,
+      effectiveFrom: from,
+      config,
+      createdBy: req.user._id
+    });
+    await tariff.save();
+    console.log(`[tariffs] Admin ${req.user._id} created draft tariff v${tariff.version} (${name})`);
+    res.status(201).json({ tariff });
+  } catch (err) {
+    if (err.code === 11000) return res.status(409).json({ error: 'Another tariff was created at the same time, please retry' });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Compare prices under this tariff with the tariff currently in effect
+// Body (optional): { trips: [{ distanceKm, carType, driverToPickupKm, waitingMinutes }], pickupTime }
+router.post('/:id/preview', async (req, res) => {
+  try {
+    const tariff = await Tariff.findById(req.params.id).lean();
+    if (!tariff) return res.status(404).json({ error: 'Tariff not found' });
+
+    const pickupTime = req.body.pickupTime ? new Date(req.body.pickupTime) : new Date();
+    if (isNaN(pickupTime)) return res.status(400).json({ error: 'Invalid pickupTime' });
+    const trips = Array.isArray(req.body.trips) && req.body.trips.length > 0 ? req.body.trips : PREVIEW_TRIPS;
+    if (trips.some(trip => !(trip.distanceKm >= 0))) return res.status(400).json({ error: 'Each trip needs a distanceKm' });
+
+    const current = getTariffAt(pickupTime);
+    const proposed = { id: tariff._id.toString(), version: tariff.version, name: tariff.name, config: tariff.config || {} };
+    const comparisons = trips.map(trip => {
+      const options = {
+        driverToPickupKm: trip.driverToPickupKm || 0,
+        waitingMinutes: trip.waitingMinutes || 0,
+        stops: trip.stops || 0,
+        pickupTime
+      };
+      const before = calculateRidePrice(trip.distanceKm, trip.carType || 'standard', { ...options, tariff: current });
+      const after = calculateRidePrice(trip.distanceKm, trip.carType || 'standard', { ...options, tariff: proposed });
+      return {
+        trip: { distanceKm: trip.distanceKm, carType: trip.carType || 'standard', ...options },
+        current: before,
+        proposed: after,
+        difference: after.totalPrice - before.totalPrice,
+        differencePercent: Math.round((after.totalPrice - before.totalPrice) / before.totalPrice * 1000) / 10
+      };
+    });
+
+    res.json({
+      currentVersion: current ? current.version : 0,
+      proposedVersion: tariff.version,
+      pickupTime: pickupTime.toISOString(),
+      comparisons
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Activate a draft. It applies to rides priced from its effectiveFrom on
+router.post('/:id/activate', async (req, res) => {
+  try {
+    const tariff = await activateTariff(req.params.id, req.user._id);
+    if (!tariff) {
+      const existing = await Tariff.findById(req.params.id).select('status');
+      if (!existing) return res.status(404).json({ error: 'Tariff not found' });
+      return res.status(409).json({ error: `Tariff is already ${existing.status}` });
+    }
+    console.log(`[tariffs] Admin ${req.user._id} activated tariff v${tariff.version}, effective from ${tariff.effectiveFrom.toISOString()}`);
+    res.json({ tariff });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,8 @@ const multer = require('multer');
 const path = require('path');
 
 const User = require('../models/User');
+const Rating = require('../models/Rating');
+const { publicRating } = require('../utils/ratings');
 const { uploadBuffer, getSignedUploadUrl } = require('../utils/gcs');
 
 // Multer memory storage to get file buffer
@@ -31,7 +33,24 @@ router.get('/:id', async (req, res) => {
     const user = await User.findById(req.params.id).lean();
     if (!user) return res.status(404).json({ error: 'User not found' });
     // Return public fields only
-    res.json({ id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, avatarUrl: user.avatarUrl });
+    res.json({ id: user._id, name: user.name, email: user.email, phone: user.phone, role: user.role, avatarUrl: user.avatarUrl, rating: publicRating(user) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Recent ratings a user received (without who gave them). ?limit= (default 20, max 100)
+router.get('/:id/ratings', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('rating').lean();
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const ratings = await Rating.find({ ratee: user._id })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('stars tags comment raterRole createdAt')
+      .lean();
+    res.json({ rating: publicRating(user), ratings });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
@@ -0,0 +1,28 @@
+const express = require('express');
+const bodyParser = require('body-parser');
+const router = express.Router();
+const stripe = require('../utils/stripe');
+const { processStripeEvent } = require('../utils/stripeEvents');
+
+// Stripe webhook endpoint. Mounted before the JSON body parser: signature verification needs the raw body
+router.post('/', bodyParser.raw({ type: 'application/json' }), async (req, res) => {
+  const sig = req.headers['stripe-signature'];
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
+  } catch (err) {
+    console.error('⚠️  Webhook signature verification failed.', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  try {
+    const result = await processStripeEvent(req.app, event);
+    res.json({ received: true, duplicate: result.duplicate });
+  } catch (err) {
+    // Not acknowledged, so Stripe delivers the event again later
+    console.error(`Error handling webhook event ${event.id} (${event.type})`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+// Cancellation policy and refunds
+// Riders cancel for free before a driver accepts, or within the free window after booking. After that a
+// fee applies (higher once the driver has arrived at the pickup). Drivers can cancel accepted rides too:
+// the rider is always refunded in full, and late driver cancellations are recorded as a penalty.
+// Authorized holds are released (or only the fee is captured), paid rides are refunded (fully or minus
+// the fee) through Stripe, and the result is stored on the ride.
+
+const Ride = require('../models/Ride');
+const stripe = require('./stripe');
+const { transitionRide, RideTransitionError } = require('./rideLifecycle');
+const { clearOffer } = require('./dispatch');
+const { captureHold, releaseHold, isHoldIntent } = require('./paymentHold');
+const { payoutRideSafely } = require('./payouts');
+const { recordPenalty } = require('./ledger');
+const { sendReceiptSafely } = require('./receipts');
+const { releasePromo } = require('./promos');
+const { releaseShares } = require('./fareShares');
+const { syncPoolPlan } = require('./pools');
+
+const CANCELLATION = {
+  freeMinutes: parseInt(process.env.CANCELLATION_FREE_MINUTES) || 5, // free window after booking
+  acceptedFee: parseInt(process.env.CANCELLATION_FEE_ACCEPTED) || 5000, // 50 NOK once a driver is on the way
+  arrivedFee: parseInt(process.env.CANCELLATION_FEE_ARRIVED) || 10000, // 100 NOK once the driver is waiting at pickup
+  driverGraceMinutes: parseInt(process.env.DRIVER_CANCELLATION_GRACE_MINUTES) || 2, // after accepting
+  driverPenalty: parseInt(process.env.DRIVER_CANCELLATION_PENALTY) || 5000 // 50 NOK, deducted from payouts
+};
+
+// Statuses each side may cancel from
+const CANCELLABLE = {
+  rider: ['open', 'pending', 'accepted'],
+  driver: ['accepted']
+};
+
+function acceptedAt(ride) {
+  const entry = (ride.statusHistory || []).find(h => h.to === 'accepted');
+  return entry ? new Date(entry.at) : null;
+}
+
+/**
+ * Work out what a cancellation costs under the policy
+ * @param {object} ride - Ride document
+ * @param {string} cancelledBy - 'rider' | 'driver'
+ * @param {Date} now
+ * @returns {object} { policy, fee, driverPenalty }
+ */
+function getCancellationTerms(ride, cancelledBy, now = new Date()) {
+  if (cancelledBy === 'driver') {
+    const accepted = acceptedAt(ride);
+    const late = ride.driverArrivedAt || (accepted && now - accepted > CANCELLATION.driverGraceMinutes * 60 * 1000);
+    return { policy: late ? 'driver_late' : 'driver_grace', fee: 0, driverPenalty: late ? CANCELLATION.driverPenalty : 0 };
+  }
+
+  if (ride.driverArrivedAt) {
+    return { policy: 'driver_arrived', fee: CANCELLATION.arrivedFee, driverPenalty: 0 };
+  }
+  const withinFreeWindow = now - new Date(ride.createdAt) <= CANCELLATION.freeMinutes * 60 * 1000;
+  if (ride.status !== 'accepted' || withinFreeWindow) {
+    return { policy: ride.status !== 'accepted' ? 'no_driver' : 'free_window', fee: 0, driverPenalty: 0 };
+  }
+  return { policy: 'driver_accepted', fee: CANCELLATION.acceptedFee, driverPenalty: 0 };
+}
+
+/**
+ * Refund a cancelled ride's payment, keeping the cancellation fee
+ * @param {object} ride - Ride document (already cancelled)
+ * @param {number} fee - Cancellation fee in øre
+ * @returns {Promise<object>} { feeCharged, refundAmount, refundId, refundStatus, paymentStatus }
+ */
+async function refundCancelledRide(ride, fee) {
+  if (!ride.stripePaymentIntentId) {
+    return { feeCharged: 0, refundAmount: 0, refundStatus: 'none', paymentStatus: ride.paymentStatus };
+  }
+
+  const pi = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+  if (pi.status === 'requires_capture') {
+    // Authorized hold: charge only the fee, or release it entirely
+    if (fee > 0) {
+      const feeCharged = await captureHold(ride, pi, fee);
+      return { feeCharged, refundAmount: 0, refundStatus: 'none', paymentStatus: 'captured' };
+    }
+    await releaseHold(ride, pi, 'requested_by_customer');
+    return { feeCharged: 0, refundAmount: 0, refundStatus: 'none', paymentStatus: 'released' };
+  }
+  if (isHoldIntent(pi) && pi.status !== 'succeeded') {
+    // Hold the rider never confirmed
+    await releaseHold(ride, pi, 'requested_by_customer');
+    return { feeCharged: 0, refundAmount: 0, refundStatus: 'none', paymentStatus: 'released' };
+  }
+  if (pi.status !== 'succeeded') {
+    // Nothing was charged: drop the open PaymentIntent. The fee can't be collected without a payment.
+    if (pi.status !== 'canceled') await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: 'abandoned' });
+    return { feeCharged: 0, refundAmount: 0, refundStatus: 'none', paymentStatus: ride.paymentStatus };
+  }
+
+  const paid = pi.amount_received;
+  const feeCharged = Math.min(fee, paid);
+  const refundAmount = paid - feeCharged;
+  if (refundAmount <= 0) {
+    return { feeCharged, refundAmount: 0, refundStatus: 'none', paymentStatus: 'paid' };
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: pi.id,
+    amount: refundAmount,
+    metadata: { rideId: ride._id.toString(), reason: 'ride_cancelled' }
+  });
+  return {
+    feeCharged,
+    refundAmount,
+    refundId: refund.id,
+    refundStatus: refund.status === 'succeeded' ? 'succeeded' : 'pending',
+    paymentStatus: feeCharged > 0 ? 'partially_refunded' : 'refunded'
+  };
+}
+
+/**
+ * Cancel a ride for the rider or assigned driver, apply the policy and refund through Stripe
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} user - Rider or driver cancelling
+ * @param {string} reason - Optional free-text reason
+ * @returns {Promise<object>} The cancelled ride (with ride.cancellation filled in)
+ * @throws {RideTransitionError} 404/403/409 when the ride can't be cancelled by this user
+ */
+async function cancelRide(app, rideId, user, reason) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new RideTransitionError('Ride not found', 404);
+
+  const userId = user._id.toString();
+  const cancelledBy = ride.rider.toString() === userId ? 'rider'
+    : ride.assignedDriver && ride.assignedDriver.toString() === userId && user.role === 'driver' ? 'driver'
+    : null;
+  if (!cancelledBy) throw new RideTransitionError('Only the rider or the assigned driver can cancel this ride', 403);
+  if (!CANCELLABLE[cancelledBy].includes(ride.status)) {
+    throw new RideTransitionError(`A ${cancelledBy} cannot cancel a ride that is ${ride.status}`);
+  }
+
+  const terms = getCancellationTerms(ride, cancelledBy);
+  const cancellation = { by: cancelledBy, reason, at: new Date(), ...terms };
+
+  clearOffer(ride._id);
+  // Conditional on the status we checked, so the fee matches the state the ride was cancelled in
+  const cancelled = await transitionRide(app, ride._id, 'cancelled', {
+    actor: user,
+    reason,
+    from: [ride.status],
+    filter: cancelledBy === 'driver' ? { assignedDriver: user._id } : {},
+    set: { cancellation },
+    // A driver who pre-accepted a scheduled ride hears about it too
+    driverId: ride.assignedDriver || (ride.scheduling && ride.scheduling.preAcceptedBy) || undefined,
+    eventPayload: {
+      message: cancelledBy === 'driver' ? 'Driver cancelled the ride' : 'Rider cancelled the ride',
+      cancelledBy,
+      fee: terms.fee
+    }
+  });
+
+  await releasePromo(cancelled._id);
+  // Co-riders of a split fare are never charged for a cancellation
+  await releaseShares(cancelled);
+  // Frees the seats in a pool for other riders
+  await syncPoolPlan(app, cancelled);
+
+  let settlement;
+  try {
+    settlement = await refundCancelledRide(cancelled, terms.fee);
+  } catch (err) {
+    console.error(`[cancel] Refund failed for ride ${cancelled._id}`, err);
+    settlement = { feeCharged: 0, refundAmount: 0, refundStatus: 'failed', paymentStatus: cancelled.paymentStatus, error: err.message };
+  }
+  const { paymentStatus, ...refund } = settlement;
+
+  cancelled.cancellation = { ...cancellation, ...refund };
+  cancelled.paymentStatus = paymentStatus;
+  await cancelled.save();
+
+  console.log(`[cancel] Ride ${cancelled._id} cancelled by ${cancelledBy} (${terms.policy}): fee ${refund.feeCharged / 100} NOK, refunded ${refund.refundAmount / 100} NOK`);
+
+  const io = app.get('io');
+  if (io && refund.refundStatus !== 'none') {
+    io.to(`rider_${cancelled.rider.toString()}`).emit('rideRefunded', {
+      rideId: cancelled._id,
+      refundAmount: refund.refundAmount,
+      feeCharged: refund.feeCharged,
+      refundStatus: refund.refundStatus
+    });
+  }
+
+  if (terms.driverPenalty > 0) {
+    try {
+      await recordPenalty(cancelled);
+    } catch (err) {
+      console.error(`[ledger] Could not record penalty for ride ${cancelled._id}`, err);
+    }
+  }
+
+  // The driver gets their share of a cancellation fee, and the rider a receipt for it
+  if (refund.feeCharged > 0) {
+    const paidOut = await payoutRideSafely(cancelled._id);
+    await sendReceiptSafely(cancelled._id);
+    return paidOut || cancelled;
+  }
+  return cancelled;
+}
+
+module.exports = {
+  cancelRide,
+  getCancellationTerms,
+  CANCELLATION
+};
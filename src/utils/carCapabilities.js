@@ -0,0 +1,118 @@
+// Vehicle capabilities
+// A ride's needs (carType, passengerCount, luggageCount, needsBabySeat, needsHandicapSupport, needsBlindSupport)
+// are matched against what the driver's active car declares (carType, seats, luggageCapacity, childSeat,
+// wheelchairRamp, guideDogFriendly). Drivers without an active car aren't matched with rides.
+
+const Car = require('../models/Car');
+const { getCarTypeInfo } = require('./pricing');
+const { CAR_TYPES } = require('./tariffs');
+
+// Ride flag -> the car equipment it needs
+const EQUIPMENT_NEEDS = [
+  { need: 'needsBabySeat', equipment: 'childSeat', label: 'a child seat' },
+  { need: 'needsHandicapSupport', equipment: 'wheelchairRamp', label: 'a wheelchair ramp' },
+  { need: 'needsBlindSupport', equipment: 'guideDogFriendly', label: 'a guide-dog friendly car' }
+];
+
+// Cars are loaded lean, so cars saved before luggageCapacity existed get the schema default here
+const DEFAULT_LUGGAGE_CAPACITY = Car.schema.path('luggageCapacity').defaultValue;
+
+function luggageCapacityOf(car) {
+  return car.luggageCapacity ?? DEFAULT_LUGGAGE_CAPACITY;
+}
+
+// Booleans from JSON bodies, socket payloads or query strings
+function flag(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * What a ride (or a rider looking for drivers) needs from the car
+ * @param {object} source - Ride document, request body or socket payload
+ * @returns {object} { carType, passengerCount, luggageCount, needsBabySeat, needsHandicapSupport, needsBlindSupport },
+ *   carType null when any class will do
+ */
+function rideNeeds(source = {}) {
+  return {
+    carType: CAR_TYPES.includes(source.carType) ? source.carType : null,
+    passengerCount: Math.max(1, parseInt(source.passengerCount) || 1),
+    luggageCount: Math.max(0, parseInt(source.luggageCount) || 0),
+    needsBabySeat: flag(source.needsBabySeat),
+    needsHandicapSupport: flag(source.needsHandicapSupport),
+    needsBlindSupport: flag(source.needsBlindSupport)
+  };
+}
+
+/**
+ * What a car is missing for a ride
+ * @param {object|null} car - The driver's active car
+ * @param {object} needs - Result of rideNeeds
+ * @returns {Array<string>} Empty when the car can take the ride
+ */
+function unmetNeeds(car, needs) {
+  if (!car) return ['an active car'];
+  const unmet = [];
+  if (needs.carType && car.carType !== needs.carType) unmet.push(`the ${getCarTypeInfo(needs.carType).name} class`);
+  if (needs.passengerCount > car.seats) unmet.push(`${needs.passengerCount} seats`);
+  if (needs.luggageCount > luggageCapacityOf(car)) unmet.push(`room for ${needs.luggageCount} bags`);
+  for (const { need, equipment, label } of EQUIPMENT_NEEDS) {
+    if (needs[need] && !car[equipment]) unmet.push(label);
+  }
+  return unmet;
+}
+
+/**
+ * Whether a car can take a ride
+ * @param {object|null} car - The driver's active car
+ * @param {object} needs - Result of rideNeeds
+ * @returns {boolean}
+ */
+function carSatisfies(car, needs) {
+  return unmetNeeds(car, needs).length === 0;
+}
+
+/**
+ * Ride query conditions for the rides a car can take
+ * @param {object} car - The driver's active car
+ * @returns {object} Mongo filter on Ride
+ */
+function rideFilterForCar(car) {
+  // $not/$gt so rides created before a field existed still match
+  const filter = {
+    carType: { $in: [car.carType, null] }, // rides without a class (booked before classes) fit any car
+    passengerCount: { $not: { $gt: car.seats } },
+    luggageCount: { $not: { $gt: luggageCapacityOf(car) } }
+  };
+  for (const { need, equipment } of EQUIPMENT_NEEDS) {
+    if (!car[equipment]) filter[need] = { $ne: true };
+  }
+  return filter;
+}
+
+/**
+ * A driver's active car
+ * @param {string} driverId
+ * @returns {Promise<object|null>}
+ */
+function activeCarOf(driverId) {
+  return Car.findOne({ driver: driverId, isActive: true }).lean();
+}
+
+/**
+ * Active cars of several drivers at once
+ * @param {Array<string>} driverIds
+ * @returns {Promise<object>} { driverId: car }, drivers without an active car are left out
+ */
+async function activeCarsOf(driverIds) {
+  const cars = await Car.find({ driver: { $in: driverIds }, isActive: true }).lean();
+  return Object.fromEntries(cars.map(car => [car.driver.toString(), car]));
+}
+
+module.exports = {
+  rideNeeds,
+  unmetNeeds,
+  carSatisfies,
+  rideFilterForCar,
+  activeCarOf,
+  activeCarsOf
+};
@@ -0,0 +1,221 @@
+// Saved cards through Stripe Customers
+// Each rider is linked to a Stripe Customer (created on first use). Cards are saved with SetupIntents (or a
+// PaymentSheet payment with saveCard), and a rider who opts in can pay a ride with their default card
+// off-session instead of going through the PaymentSheet again.
+
+const User = require('../models/User');
+const stripe = require('./stripe');
+
+class PaymentMethodError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PaymentMethodError';
+    this.status = status;
+  }
+}
+
+/**
+ * The rider's Stripe Customer id, creating the Customer on first use
+ * @param {object} user - Rider user document
+ * @returns {Promise<string>}
+ */
+async function ensureCustomer(user) {
+  if (user.stripeCustomerId) return user.stripeCustomerId;
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    phone: user.phone,
+    metadata: { userId: user._id.toString() }
+  }, { idempotencyKey: `customer_${user._id}` });
+  // Conditional so two concurrent first payments keep the same Customer
+  const linked = await User.findOneAndUpdate(
+    { _id: user._id, stripeCustomerId: null },
+    { $set: { stripeCustomerId: customer.id } },
+    { new: true }
+  ) || await User.findById(user._id).select('stripeCustomerId');
+  if (linked.stripeCustomerId === customer.id) console.log(`[payment] Created Stripe customer ${customer.id} for rider ${user._id}`);
+  user.stripeCustomerId = linked.stripeCustomerId;
+  return user.stripeCustomerId;
+}
+
+// A saved card of this rider, or a 404
+async function ownCard(user, paymentMethodId) {
+  let pm;
+  try {
+    pm = await stripe.paymentMethods.retrieve(paymentMethodId);
+  } catch (err) {
+    if (err.statusCode === 404) throw new PaymentMethodError('Card not found', 404);
+    throw err;
+  }
+  if (!user.stripeCustomerId || pm.customer !== user.stripeCustomerId) throw new PaymentMethodError('Card not found', 404);
+  return pm;
+}
+
+/**
+ * The rider's saved cards
+ * @param {object} user - Rider user document
+ * @returns {Promise<Array>} [{ id, brand, last4, expMonth, expYear, isDefault }]
+ */
+async function listCards(user) {
+  if (!user.stripeCustomerId) return [];
+  const methods = await stripe.customers.listPaymentMethods(user.stripeCustomerId, { type: 'card', limit: 100 });
+  return methods.data.map(pm => ({
+    id: pm.id,
+    brand: pm.card.brand,
+    last4: pm.card.last4,
+    expMonth: pm.card.exp_month,
+    expYear: pm.card.exp_year,
+    isDefault: pm.id === user.defaultPaymentMethodId
+  }));
+}
+
+/**
+ * Start saving a card: a SetupIntent for the rider's Customer (confirmed by the app's PaymentSheet)
+ * @param {object} user - Rider user document
+ * @param {string} apiVersion - Stripe API version of the mobile SDK, to also return an ephemeral key
+ * @returns {Promise<object>} { setupIntentClientSecret, setupIntentId, customerId, ephemeralKey }
+ */
+async function createSetupIntent(user, apiVersion) {
+  const customerId = await ensureCustomer(user);
+  const setupIntent = await stripe.setupIntents.create({
+    customer: customerId,
+    usage: 'off_session',
+    payment_method_types: ['card'],
+    metadata: { userId: user._id.toString() }
+  });
+  const ephemeralKey = apiVersion ? await stripe.ephemeralKeys.create({ customer: customerId }, { apiVersion }) : null;
+  return {
+    setupIntentClientSecret: setupIntent.client_secret,
+    setupIntentId: setupIntent.id,
+    customerId,
+    ephemeralKey: ephemeralKey ? ephemeralKey.secret : null
+  };
+}
+
+/**
+ * Make a saved card the rider's default
+ * @param {object} user - Rider user document
+ * @param {string} paymentMethodId
+ */
+async function setDefaultCard(user, paymentMethodId) {
+  await ownCard(user, paymentMethodId);
+  await stripe.customers.update(user.stripeCustomerId, { invoice_settings: { default_payment_method: paymentMethodId } });
+  user.defaultPaymentMethodId = paymentMethodId;
+  await user.save();
+}
+
+/**
+ * Remove a saved card
+ * @param {object} user - Rider user document
+ * @param {string} paymentMethodId
+ */
+async function removeCard(user, paymentMethodId) {
+  await ownCard(user, paymentMethodId);
+  await stripe.paymentMethods.detach(paymentMethodId);
+  if (user.defaultPaymentMethodId === paymentMethodId) {
+    user.defaultPaymentMethodId = null;
+    await user.save();
+  }
+}
+
+/**
+ * Record a newly saved card (SetupIntent, or a payment with setup_future_usage): a rider's first card becomes the default
+ * @param {string} customerId
+ * @param {string} paymentMethodId
+ * @returns {Promise<object|null>} The rider, if the card became their default
+ */
+async function rememberSavedCard(customerId, paymentMethodId) {
+  if (!customerId || !paymentMethodId) return null;
+  const user = await User.findOneAndUpdate(
+    { stripeCustomerId: customerId, defaultPaymentMethodId: null },
+    { $set: { defaultPaymentMethodId: paymentMethodId } },
+    { new: true }
+  );
+  if (user) {
+    await stripe.customers.update(customerId, { invoice_settings: { default_payment_method: paymentMethodId } });
+    console.log(`[payment] Rider ${user._id} saved their first card ${paymentMethodId}`);
+  }
+  return user;
+}
+
+/**
+ * How a ride payment should be made for this rider
+ * @param {object} user - Rider user document
+ * @param {object} options
+ * @param {boolean} options.useSavedCard - Charge a saved card off-session (the default one unless paymentMethodId is given)
+ * @param {string} options.paymentMethodId - Saved card to charge
+ * @param {boolean} options.saveCard - Save the card used in the PaymentSheet for next time
+ * @returns {Promise<object>} { customerId, paymentMethodId, saveCard }
+ * @throws {PaymentMethodError} 400 when a saved card was requested but there is none
+ */
+async function resolvePayment(user, { useSavedCard, paymentMethodId, saveCard } = {}) {
+  const customerId = await ensureCustomer(user);
+  if (!useSavedCard && !paymentMethodId) return { customerId, saveCard: !!saveCard };
+  if (paymentMethodId) {
+    await ownCard(user, paymentMethodId);
+    return { customerId, paymentMethodId };
+  }
+  if (!user.defaultPaymentMethodId) throw new PaymentMethodError('No default card saved, add a card first');
+  return { customerId, paymentMethodId: user.defaultPaymentMethodId };
+}
+
+/**
+ * PaymentIntent parameters for a resolved payment (see resolvePayment)
+ * @param {object} payment - { customerId, paymentMethodId, saveCard }
+ * @returns {object}
+ */
+function paymentIntentParams({ customerId, paymentMethodId, saveCard } = {}) {
+  if (!customerId) return {};
+  if (paymentMethodId) return { customer: customerId, payment_method: paymentMethodId, confirm: true, off_session: true };
+  return saveCard ? { customer: customerId, setup_future_usage: 'off_session' } : { customer: customerId };
+}
+
+// A declined or authentication-requiring off-session charge still leaves a PaymentIntent the rider can
+// complete in the PaymentSheet: return it instead of failing
+function offSessionResult(err) {
+  if (err.raw && err.raw.payment_intent) return { paymentIntent: err.raw.payment_intent, error: err.message };
+  throw err;
+}
+
+/**
+ * Create a PaymentIntent, charging a saved card off-session when the params say so
+ * @param {object} params - PaymentIntent params (including paymentIntentParams)
+ * @returns {Promise<object>} { paymentIntent, error }
+ */
+async function createPaymentIntent(params) {
+  try {
+    return { paymentIntent: await stripe.paymentIntents.create(params) };
+  } catch (err) {
+    if (!params.off_session) throw err;
+    return offSessionResult(err);
+  }
+}
+
+/**
+ * Pay an existing PaymentIntent (e.g. the hold created at accept) with a saved card off-session
+ * @param {object} pi - PaymentIntent awaiting a payment method
+ * @param {object} payment - Resolved payment with paymentMethodId
+ * @returns {Promise<object>} { paymentIntent, error }
+ */
+async function confirmWithSavedCard(pi, { customerId, paymentMethodId }) {
+  try {
+    if (pi.customer !== customerId) await stripe.paymentIntents.update(pi.id, { customer: customerId });
+    return { paymentIntent: await stripe.paymentIntents.confirm(pi.id, { payment_method: paymentMethodId, off_session: true }) };
+  } catch (err) {
+    return offSessionResult(err);
+  }
+}
+
+module.exports = {
+  ensureCustomer,
+  listCards,
+  createSetupIntent,
+  setDefaultCard,
+  removeCard,
+  rememberSavedCard,
+  resolvePayment,
+  paymentIntentParams,
+  createPaymentIntent,
+  confirmWithSavedCard,
+  PaymentMethodError
+};
@@ -0,0 +1,317 @@
+// Nearest-driver dispatch engine
+// Offers an open ride to one online driver at a time (closest first) over their socket.
+// If the driver declines or the offer times out, the ride moves on to the next candidate
+// until someone accepts or no eligible drivers are left.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { calculateRidePrice } = require('./pricing');
+const { getDistanceKm } = require('./geo');
+const { transitionRide, RideTransitionError } = require('./rideLifecycle');
+const { getSurgeForLocation } = require('./surge');
+const { routePricingOptions } = require('./stops');
+const { publicRating, meetsMinRating, RATINGS } = require('./ratings');
+const { rideNeeds, carSatisfies, activeCarOf } = require('./carCapabilities');
+
+const DISPATCH = {
+  offerTimeoutMs: parseInt(process.env.DISPATCH_OFFER_TIMEOUT_MS) || 20000, // 20s per driver
+  maxRadiusKm: parseFloat(process.env.DISPATCH_MAX_RADIUS_KM) || 10,
+  maxLocationAgeMs: 2 * 60 * 1000, // ignore drivers whose last location is older than 2 minutes
+  // After a restart no driver is connected yet: wait this long for their apps to reconnect before dispatching
+  reconnectGraceMs: parseInt(process.env.DISPATCH_RECONNECT_GRACE_MS) || 60000
+};
+
+// Outstanding offers, one per ride: { rideId: { driverId, timer } }
+const activeOffers = {};
+
+/**
+ * Rank online drivers by straight-line distance to the ride pickup
+ * @param {object} app - Express app (holds driverLocations, onlineDrivers, driverSocketMap)
+ * @param {object} ride - Ride document
+ * @returns {Array<{driverId: string, distanceKm: number}>} Closest driver first
+ */
+function rankDrivers(app, ride) {
+  const driverLocations = app.get('driverLocations') || {};
+  const onlineDrivers = app.get('onlineDrivers') || new Set();
+  const driverSocketMap = app.get('driverSocketMap') || {};
+  if (!ride.pickupLocation || !ride.pickupLocation.coordinates || ride.pickupLocation.coordinates.length !== 2) return [];
+
+  const [pickupLng, pickupLat] = ride.pickupLocation.coordinates;
+  const declined = new Set((ride.declinedDrivers || []).map(d => d.toString()));
+  const now = Date.now();
+  const candidates = [];
+
+  for (const [driverId, loc] of Object.entries(driverLocations)) {
+    if (!onlineDrivers.has(driverId) || !driverSocketMap[driverId]) continue;
+    if (declined.has(driverId)) continue;
+    if (loc.updatedAt && now - loc.updatedAt > DISPATCH.maxLocationAgeMs) continue;
+    const distanceKm = getDistanceKm(loc.latitude, loc.longitude, pickupLat, pickupLng);
+    if (distanceKm <= DISPATCH.maxRadiusKm) candidates.push({ driverId, distanceKm });
+  }
+
+  return candidates.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Build the rideRequest payload sent to a driver's socket
+ * @param {object} ride - Ride document
+ * @param {object} pricing - Result of calculateRidePrice
+ * @returns {Promise<object>}
+ */
+async function buildRideRequestPayload(ride, pricing) {
+  const riderPublic = await User.findById(ride.rider).select('name email avatarUrl rating');
+  return {
+    rideId: ride._id,
+    rider: { id: riderPublic?._id, name: riderPublic?.name, email: riderPublic?.email, avatarUrl: riderPublic?.avatarUrl, rating: publicRating(riderPublic) },
+    pickupAddress: ride.pickupAddress,
+    pickupLocation: ride.pickupLocation,
+    destinationAddress: ride.destinationAddress,
+    stops: ride.stops,
+    pooled: ride.pooled,
+    passengerCount: ride.passengerCount,
+    luggageCount: ride.luggageCount,
+    needsBabySeat: ride.needsBabySeat,
+    needsHandicapSupport: ride.needsHandicapSupport,
+    needsBlindSupport: ride.needsBlindSupport,
+    estimatedPrice: pricing ? pricing.totalPriceNOK : (ride.amount || 0) / 100,
+    estimatedDistance: (ride.estimatedDistance || 0).toFixed(2),
+    currency: 'NOK'
+  };
+}
+
+/**
+ * Price a ride for a specific driver (class + driver to pickup distance)
+ * @param {object} ride - Ride document
+ * @param {object|null} car - The driver's active car, its class is used for rides without one
+ * @param {number} driverToPickupKm
+ * @returns {object|null} Pricing breakdown, or null if the ride has no destination
+ */
+function priceForDriver(ride, car, driverToPickupKm) {
+  if (!ride.destinationLocation || !ride.destinationLocation.coordinates || ride.destinationLocation.coordinates.length !== 2) return null;
+  const pickupCoords = ride.pickupLocation.coordinates; // [lng, lat]
+  const destCoords = ride.destinationLocation.coordinates; // [lng, lat]
+  const tripDistanceKm = getDistanceKm(pickupCoords[1], pickupCoords[0], destCoords[1], destCoords[0]);
+  return calculateRidePrice(tripDistanceKm, ride.carType || (car && car.carType) || 'standard', {
+    ...routePricingOptions(ride),
+    driverToPickupKm,
+    surgeMultiplier: getSurgeForLocation(ride.pickupLocation).multiplier,
+    pickupTime: ride.scheduledFor || undefined,
+    pooled: ride.pooled,
+    promo: ride.promo && ride.promo.code ? ride.promo : undefined
+  });
+}
+
+function clearOffer(rideId) {
+  const key = rideId.toString();
+  const offer = activeOffers[key];
+  if (offer) {
+    clearTimeout(offer.timer);
+    delete activeOffers[key];
+  }
+}
+
+/**
+ * Offer a ride to one driver. The ride is reserved for that driver (status 'pending')
+ * until they accept, decline or the timeout fires.
+ * @param {object} app - Express app
+ * @param {string} rideId
+ * @param {string} driverId
+ * @param {object} options
+ * @param {number} options.timeoutMs - How long the driver has to respond
+ * @param {object} options.update - Extra fields to set on the ride together with the reservation
+ * @param {object} options.pricing - Pricing shown to the driver in the request payload
+ * @param {number} options.distanceKm - Driver distance to pickup (reported to the rider)
+ * @returns {Promise<object|null>} The reserved ride, or null if it was no longer available
+ */
+async function offerRideToDriver(app, rideId, driverId, options = {}) {
+  const io = app.get('io');
+  const driverSocketMap = app.get('driverSocketMap') || {};
+  const timeoutMs = options.timeoutMs || DISPATCH.offerTimeoutMs;
+
+  // Reserve the ride for this driver. book-driver creates it already pending for the booked driver.
+  let ride = await Ride.findOneAndUpdate(
+    { _id: rideId, status: 'pending', assignedDriver: driverId },
+    { $set: options.update || {} },
+    { new: true }
+  );
+  if (!ride) {
+    try {
+      ride = await transitionRide(app, rideId, 'pending', {
+        actorRole: 'system',
+        reason: 'offered',
+        from: ['open'],
+        filter: { declinedDrivers: { $ne: driverId } },
+        set: { assignedDriver: driverId, ...(options.update || {}) },
+        notify: false
+      });
+    } catch (err) {
+      if (err instanceof RideTransitionError) return null;
+      throw err;
+    }
+  }
+
+  clearOffer(rideId);
+  activeOffers[rideId.toString()] = {
+    driverId: driverId.toString(),
+    timer: setTimeout(() => {
+      releaseOffer(app, rideId, driverId, 'timeout').catch(err => console.error('[dispatch] Error handling offer timeout', err));
+    }, timeoutMs)
+  };
+
+  const payload = await buildRideRequestPayload(ride, options.pricing);
+  const driverSock = driverSocketMap[driverId.toString()];
+  if (io && driverSock) {
+    io.to(driverSock).emit('rideRequest', { ...payload, expiresInMs: timeoutMs });
+    console.log(`[dispatch] Offered ride ${ride._id} to driver ${driverId} (${timeoutMs / 1000}s)`);
+  } else {
+    console.log(`[dispatch] ⚠️ Driver ${driverId} has no socket, offer will time out`);
+  }
+
+  if (io) {
+    io.to(`rider_${ride.rider.toString()}`).emit('searchingDriver', {
+      rideId: ride._id,
+      attempt: (ride.declinedDrivers || []).length + 1,
+      distanceKm: options.distanceKm != null ? Math.round(options.distanceKm * 100) / 100 : undefined
+    });
+  }
+
+  return ride;
+}
+
+/**
+ * Offer the ride to the nearest eligible driver, or tell the rider nobody is available.
+ * The ride stays 'open' when candidates run out so drivers polling /available can still take it.
+ * @param {object} app - Express app
+ * @param {string} rideId
+ * @returns {Promise<object|null>} The reserved ride, or null if no offer was made
+ */
+async function dispatchRide(app, rideId) {
+  const io = app.get('io');
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'open') return null;
+  // Scheduled rides wait for the scheduler (see utils/scheduledRides)
+  if (ride.scheduledFor && !(ride.scheduling && ride.scheduling.dispatchedAt)) return null;
+
+  const candidates = rankDrivers(app, ride);
+  for (const candidate of candidates) {
+    const driver = await User.findById(candidate.driverId);
+    if (!driver || driver.role !== 'driver') continue;
+    if (!meetsMinRating(driver, RATINGS.minDriverRating)) continue;
+    // Only drivers whose active car has the seats and equipment the ride needs
+    const car = await activeCarOf(driver._id);
+    if (!carSatisfies(car, rideNeeds(ride))) continue;
+
+    // A ride booked from a signed quote keeps the quoted price whoever ends up driving it
+    const pricing = ride.quoteId ? ride.fareEstimate : priceForDriver(ride, car, candidate.distanceKm);
+    const update = pricing && !ride.quoteId
+      ? { amount: pricing.totalPrice, currency: 'nok', estimatedDistance: pricing.tripDistanceKm, fareEstimate: pricing, tariffVersion: pricing.tariffVersion }
+      : {};
+    const reserved = await offerRideToDriver(app, ride._id, candidate.driverId, { update, pricing, distanceKm: candidate.distanceKm });
+    if (reserved) return reserved;
+
+    // Ride was taken or cancelled in the meantime
+    const fresh = await Ride.findById(ride._id);
+    if (!fresh || fresh.status !== 'open') return null;
+  }
+
+  console.log(`[dispatch] No drivers available for ride ${ride._id} (${candidates.length} candidates)`);
+  if (io) {
+    io.to(`rider_${ride.rider.toString()}`).emit('noDriversAvailable', { rideId: ride._id });
+  }
+  return null;
+}
+
+/**
+ * Release a pending offer (driver declined or timed out), mark the driver as declined
+ * and continue dispatching to the next candidate.
+ * @param {object} app - Express app
+ * @param {string} rideId
+ * @param {string} driverId
+ * @param {string} reason - 'declined' | 'timeout'
+ * @param {object} options
+ * @param {object} options.actor - The declining driver (recorded in statusHistory)
+ * @returns {Promise<object|null>} The re-opened ride, or null if the offer was no longer pending
+ */
+async function releaseOffer(app, rideId, driverId, reason = 'declined', options = {}) {
+  const io = app.get('io');
+  const driverSocketMap = app.get('driverSocketMap') || {};
+  clearOffer(rideId);
+
+  let ride;
+  try {
+    ride = await transitionRide(app, rideId, 'open', {
+      actor: reason === 'declined' ? options.actor : null,
+      actorRole: reason === 'declined' ? 'driver' : 'system',
+      reason,
+      from: ['pending'],
+      filter: { assignedDriver: driverId },
+      set: { assignedDriver: null },
+      addToSet: { declinedDrivers: driverId },
+      driverId
+    });
+  } catch (err) {
+    if (err instanceof RideTransitionError) return null;
+    throw err;
+  }
+
+  const driverSock = driverSocketMap[driverId.toString()];
+  if (io && reason === 'timeout' && driverSock) {
+    io.to(driverSock).emit('rideRequestTimeout', { rideId: ride._id });
+  }
+  console.log(`[dispatch] Driver ${driverId} ${reason === 'timeout' ? 'did not respond to' : 'declined'} ride ${ride._id}`);
+
+  await dispatchRide(app, ride._id);
+  return ride;
+}
+
+/**
+ * Re-open rides left 'pending' by a restart. Offer timeouts only live in memory, so without this those rides
+ * would stay reserved for a driver who may never answer. The rides are dispatched again once drivers have had
+ * DISPATCH.reconnectGraceMs to reconnect
+ * @param {object} app - Express app
+ * @returns {Promise<Array>} Ids of the re-opened rides
+ */
+async function releaseStaleOffers(app) {
+  const stale = await Ride.find({ status: 'pending' }).select('_id assignedDriver');
+  const released = [];
+  for (const { _id, assignedDriver } of stale) {
+    if (activeOffers[_id.toString()]) continue;
+    try {
+      // Not a decline, so no rideDeclined: the rider hears from dispatch when it tries again
+      await transitionRide(app, _id, 'open', {
+        actorRole: 'system',
+        reason: 'restart',
+        from: ['pending'],
+        filter: { assignedDriver },
+        set: { assignedDriver: null },
+        notify: false
+      });
+      released.push(_id);
+      console.log(`[dispatch] Re-opened ride ${_id}, its offer to driver ${assignedDriver} was lost in a restart`);
+    } catch (err) {
+      if (err instanceof RideTransitionError) continue;
+      console.error(`[dispatch] Could not release stale offer for ride ${_id}`, err);
+    }
+  }
+
+  if (released.length > 0) {
+    setTimeout(async () => {
+      for (const rideId of released) {
+        await dispatchRide(app, rideId).catch(err => console.error('[dispatch] Error dispatching ride', rideId, err));
+      }
+    }, DISPATCH.reconnectGraceMs);
+  }
+  return released;
+}
+
+module.exports = {
+  dispatchRide,
+  releaseStaleOffers,
+  offerRideToDriver,
+  releaseOffer,
+  clearOffer,
+  rankDrivers,
+  priceForDriver,
+  buildRideRequestPayload,
+  DISPATCH
+};
@@ -10,15 +10,25 @@ const transporter = nodemailer.createTransport({
   }
 });
 
-async function sendMail({ to, subject, html, text }) {
+async function sendMail({ to, subject, html, text, attachments }) {
   const info = await transporter.sendMail({
     from: process.env.EMAIL_USER,
     to,
     subject,
     text,
-    html
+    html,
+    attachments
   });
   return info;
 }
 
-module.exports = { sendMail };
+// For user-provided text (names, addresses) put into email HTML
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { sendMail, escapeHtml };
@@ -0,0 +1,193 @@
+// Metered final fare at ride end
+// Prices the ride from the recorded trip (driven distance, elapsed and waiting time) and settles
+// it with Stripe: capture the authorized hold, adjust an unconfirmed PaymentIntent, refund an
+// overpayment or ask the rider to pay a top-up. Differences within PRICING.fareTolerancePercent are not charged.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const RideTrack = require('../models/RideTrack');
+const stripe = require('./stripe');
+const { calculateMeteredFare, PRICING } = require('./pricing');
+const { computeTrackStats } = require('./rideTrack');
+const { getTariffByVersion } = require('./tariffs');
+const { captureHold } = require('./paymentHold');
+const { payoutRideSafely } = require('./payouts');
+const { sendReceiptSafely } = require('./receipts');
+const { redeemPromo } = require('./promos');
+const { captureShares } = require('./fareShares');
+
+// PaymentIntent states where the amount can still be changed
+const ADJUSTABLE_INTENT_STATES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+// Ask the rider to pay the part of the fare that couldn't be charged on the original PaymentIntent
+async function createTopUp(ride, amount) {
+  const topUp = await stripe.paymentIntents.create({
+    amount,
+    currency: ride.currency || 'nok',
+    metadata: { rideId: ride._id.toString(), purpose: 'fare_top_up' }
+  });
+  return { action: 'top_up_required', topUpPaymentIntentId: topUp.id, clientSecret: topUp.client_secret, status: 'pending' };
+}
+
+/**
+ * Settle the charged amount against the ride's PaymentIntent
+ * @param {object} ride - Ride document (amount = what the rider was quoted)
+ * @param {number} chargedAmount - What the rider should pay in total (øre)
+ * @returns {Promise<object>} fareAdjustment fields (+ clientSecret when a top-up is required)
+ */
+async function settleWithStripe(ride, chargedAmount) {
+  if (!ride.stripePaymentIntentId) {
+    // Not paid yet: create-intent will charge ride.amount, which we update to the charged amount
+    return { action: 'none', status: 'settled' };
+  }
+
+  const pi = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+  if (pi.status === 'requires_capture') {
+    // Authorized at accept: capture the final amount, anything above the hold becomes a top-up
+    const captured = await captureHold(ride, pi, chargedAmount);
+    const remainder = chargedAmount - captured;
+    if (remainder > 0) return createTopUp(ride, remainder);
+    return { action: 'captured', status: 'settled' };
+  }
+
+  if (ADJUSTABLE_INTENT_STATES.includes(pi.status)) {
+    if (pi.amount !== chargedAmount) await stripe.paymentIntents.update(pi.id, { amount: chargedAmount });
+    return { action: pi.amount !== chargedAmount ? 'adjusted' : 'none', status: 'settled' };
+  }
+
+  if (pi.status === 'succeeded') {
+    const difference = chargedAmount - pi.amount_received;
+    if (difference < 0) {
+      const refund = await stripe.refunds.create({
+        payment_intent: pi.id,
+        amount: -difference,
+        metadata: { rideId: ride._id.toString(), reason: 'fare_adjustment' }
+      });
+      return { action: 'refunded', refundId: refund.id, refundAmount: -difference, status: 'settled' };
+    }
+    if (difference > 0) return createTopUp(ride, difference);
+    return { action: 'none', status: 'settled' };
+  }
+
+  // processing / canceled etc: nothing we can safely change now
+  console.log(`[fare] PaymentIntent ${pi.id} for ride ${ride._id} is ${pi.status}, not adjusting`);
+  return { action: 'none', status: 'pending' };
+}
+
+/**
+ * Compute the metered fare for a completed ride, store it and settle the difference with Stripe
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @returns {Promise<object>} The updated ride
+ */
+async function finalizeFare(app, rideId) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new Error('Ride not found');
+
+  const track = await RideTrack.findOne({ ride: ride._id }).lean();
+  const stats = computeTrackStats(ride, track ? track.points : []);
+
+  // Without usable GPS data fall back to the straight-line distance used for the estimate. A rider who shared
+  // the car with a pool pays for their own trip, not for the detours driven for the others
+  const shared = !!ride.pool;
+  const distanceSource = !shared && (stats.distanceKm >= 0.1 || !ride.estimatedDistance) ? 'gps' : 'estimate';
+  const distanceKm = distanceSource === 'gps' ? stats.distanceKm : ride.estimatedDistance;
+
+  const estimate = ride.fareEstimate || {};
+  let carType = estimate.carType || ride.carType;
+  if (!carType && ride.assignedDriver) {
+    const driver = await User.findById(ride.assignedDriver).select('carType');
+    carType = driver && driver.carType;
+  }
+
+  // Meter with the tariff the ride was quoted under, even if a newer one was activated since
+  const tariffVersion = ride.tariffVersion != null ? ride.tariffVersion : estimate.tariffVersion;
+  const tariffOptions = tariffVersion != null ? { tariff: await getTariffByVersion(tariffVersion) } : {};
+
+  const finalFare = {
+    ...calculateMeteredFare(shared ? { distanceKm, durationMinutes: estimate.durationMinutes } : {
+      distanceKm,
+      durationMinutes: stats.durationSeconds / 60,
+      waitingMinutes: stats.waitingSeconds / 60
+    }, carType || 'standard', {
+      driverToPickupKm: estimate.driverToPickupKm || 0,
+      pickupTime: stats.startedAt || estimate.pickupTime,
+      surgeMultiplier: estimate.surgeMultiplier, // surge is locked in at booking
+      stops: (ride.stops || []).filter(s => s.status === 'reached').length, // skipped stops aren't charged
+      pooled: ride.pooled,
+      promo: ride.promo && ride.promo.code ? ride.promo : undefined,
+      ...tariffOptions
+    }),
+    distanceSource,
+    durationSeconds: stats.durationSeconds,
+    waitingSeconds: stats.waitingSeconds
+  };
+
+  const estimatedAmount = ride.amount || estimate.totalPrice || finalFare.totalPrice;
+  const finalAmount = finalFare.totalPrice;
+  const withinTolerance = Math.abs(finalAmount - estimatedAmount) <= estimatedAmount * PRICING.fareTolerancePercent / 100;
+  const chargedAmount = withinTolerance ? estimatedAmount : finalAmount;
+
+  let settlement;
+  try {
+    // On a split fare the co-riders' shares are captured first and the booking rider pays the rest
+    const sharesCaptured = await captureShares(ride, chargedAmount);
+    settlement = await settleWithStripe(ride, chargedAmount - sharesCaptured);
+  } catch (err) {
+    console.error(`[fare] Stripe settlement failed for ride ${ride._id}`, err);
+    settlement = { action: 'none', status: 'failed', error: err.message };
+  }
+  const { clientSecret, ...adjustment } = settlement;
+
+  ride.finalFare = finalFare;
+  ride.fareAdjustment = {
+    ...adjustment,
+    estimatedAmount,
+    finalAmount,
+    chargedAmount,
+    difference: chargedAmount - estimatedAmount,
+    withinTolerance
+  };
+  ride.amount = chargedAmount;
+  await ride.save();
+  await redeemPromo(ride);
+
+  console.log(`[fare] Ride ${ride._id}: estimate ${estimatedAmount / 100} NOK, metered ${finalAmount / 100} NOK, charged ${chargedAmount / 100} NOK (${adjustment.action})`);
+
+  const io = app.get('io');
+  if (io) {
+    const payload = { rideId: ride._id, finalFare, fareAdjustment: ride.fareAdjustment };
+    io.to(`rider_${ride.rider.toString()}`).emit('fareFinalized', { ...payload, topUpClientSecret: clientSecret });
+    if (ride.assignedDriver) io.to(`driver_${ride.assignedDriver.toString()}`).emit('fareFinalized', payload);
+  }
+
+  // Pay the driver and send the receipt if the fare has been collected (captured hold or already paid)
+  const paidOut = await payoutRideSafely(ride._id);
+  await sendReceiptSafely(ride._id);
+  return paidOut || ride;
+}
+
+/**
+ * Mark a paid fare top-up PaymentIntent as settled on its ride
+ * @param {object} pi - Stripe PaymentIntent with metadata.purpose === 'fare_top_up'
+ * @returns {Promise<object|null>} The updated ride
+ */
+async function markTopUpPaid(pi) {
+  const rideId = pi.metadata && pi.metadata.rideId;
+  if (!rideId) return null;
+  return Ride.findOneAndUpdate(
+    { _id: rideId, 'fareAdjustment.topUpPaymentIntentId': pi.id },
+    { $set: { 'fareAdjustment.status': 'settled' } },
+    { new: true }
+  );
+}
+
+function isTopUpIntent(pi) {
+  return !!(pi && pi.metadata && pi.metadata.purpose === 'fare_top_up');
+}
+
+module.exports = {
+  finalizeFare,
+  markTopUpPaid,
+  isTopUpIntent
+};
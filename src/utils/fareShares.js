@@ -0,0 +1,440 @@
+// Split fares
+// Before a driver accepts, the booking rider can invite other riders (up to passengerCount) to share the
+// fare. Invitees accept or decline. When a driver accepts, the estimate is split equally between the booking
+// rider and everyone who hasn't declined: the booking rider's share goes on the ride's own hold (see
+// paymentHold), every other share gets a manual-capture PaymentIntent of its own. The driver is only told
+// to head to the pickup once every share is authorized, or the booking rider has covered the missing ones.
+// At ride end each share is captured in proportion to the final fare; the booking rider pays the rest.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const stripe = require('./stripe');
+const { sendMail, escapeHtml } = require('./email');
+const { holdAmountFor, requestAuthorization } = require('./paymentHold');
+const { paymentIntentParams, createPaymentIntent, confirmWithSavedCard } = require('./customers');
+
+// Shares can be set up until a driver accepts
+const SPLITTABLE_STATUSES = ['open', 'pending'];
+// Participant states in which a share is paid for (or no longer expected from them)
+const SECURED_STATES = ['authorized', 'captured', 'covered'];
+
+class SplitError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SplitError';
+    this.status = status;
+  }
+}
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+function isShareIntent(pi) {
+  return !!(pi && pi.metadata && pi.metadata.purpose === 'split_share');
+}
+
+function participantOf(ride, userId) {
+  const participants = (ride.split && ride.split.participants) || [];
+  return participants.find(p => !p.isCover && idOf(p.user) === idOf(userId));
+}
+
+function emitToRiders(app, ride, event, payload) {
+  const io = app.get('io');
+  if (!io) return;
+  const riders = new Set([idOf(ride.rider), ...((ride.split && ride.split.participants) || []).map(p => idOf(p.user))]);
+  io.to([...riders].map(id => `rider_${id}`)).emit(event, { rideId: ride._id.toString(), ...payload });
+}
+
+/**
+ * Whether every share of a ride is authorized or covered (true for rides that aren't split)
+ * @param {object} ride - Ride document
+ * @returns {boolean}
+ */
+function sharesSecured(ride) {
+  const participants = (ride.split && ride.split.participants) || [];
+  // Riders who declined before the shares were fixed have no share
+  return participants.filter(p => p.amount).every(p => SECURED_STATES.includes(p.status));
+}
+
+/**
+ * Total captured from riders other than the booking rider's own hold
+ * @param {object} ride - Ride document
+ * @returns {number} øre
+ */
+function sharesCaptured(ride) {
+  return ((ride.split && ride.split.participants) || []).reduce((sum, p) => sum + (p.capturedAmount || 0), 0);
+}
+
+/**
+ * Invite riders to share the fare of a ride
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} initiator - Booking rider
+ * @param {Array} invitees - Rider user documents
+ * @returns {Promise<object>} The updated ride
+ * @throws {SplitError}
+ */
+async function inviteToSplit(app, rideId, initiator, invitees) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new SplitError('Ride not found', 404);
+  if (idOf(ride.rider) !== idOf(initiator._id)) throw new SplitError('Only the rider who booked can split the fare', 403);
+  if (!SPLITTABLE_STATUSES.includes(ride.status)) throw new SplitError('The fare can only be split before a driver accepts', 409);
+
+  const current = ((ride.split && ride.split.participants) || []).filter(p => p.status !== 'declined');
+  const fresh = invitees.filter(user =>
+    user.role === 'rider' && idOf(user._id) !== idOf(ride.rider) && !current.some(p => idOf(p.user) === idOf(user._id))
+  );
+  if (fresh.length === 0) throw new SplitError('No new riders to invite');
+  const riders = current.length + fresh.length + 1;
+  const tooMany = (count) => new SplitError(`This ride is booked for ${ride.passengerCount || 1} passenger(s), increase passengerCount to split between ${count} riders`);
+  if (riders > (ride.passengerCount || 1)) throw tooMany(riders);
+
+  // Riders who declined earlier can be invited again
+  const freshIds = fresh.map(user => user._id);
+  await Ride.updateOne({ _id: ride._id }, { $pull: { 'split.participants': { user: { $in: freshIds }, status: 'declined' } } });
+  // The passengerCount cap is part of the update, so concurrent invites can't go over it together
+  const notDeclined = { $filter: { input: { $ifNull: ['$split.participants', []] }, cond: { $ne: ['$$this.status', 'declined'] } } };
+  const updated = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      status: { $in: SPLITTABLE_STATUSES },
+      'split.participants.user': { $nin: freshIds },
+      $expr: { $lte: [{ $add: [{ $size: notDeclined }, fresh.length + 1] }, { $ifNull: ['$passengerCount', 1] }] }
+    },
+    { $push: { 'split.participants': { $each: fresh.map(user => ({ user: user._id })) } } },
+    { new: true }
+  );
+  if (!updated) {
+    const latest = await Ride.findById(ride._id).select('status split passengerCount');
+    if (!latest || !SPLITTABLE_STATUSES.includes(latest.status)) throw new SplitError('The fare can only be split before a driver accepts', 409);
+    const invited = ((latest.split && latest.split.participants) || []).filter(p => p.status !== 'declined').length;
+    throw new SplitError(`${tooMany(invited + fresh.length + 1).message}, or some of these riders were just invited`, 409);
+  }
+
+  const estimatedShare = updated.amount ? Math.round(updated.amount / riders) : null;
+  const io = app.get('io');
+  for (const user of fresh) {
+    const invitation = {
+      rideId: updated._id.toString(),
+      from: initiator.name,
+      pickupAddress: updated.pickupAddress,
+      destinationAddress: updated.destinationAddress,
+      estimatedShare
+    };
+    if (io) io.to(`rider_${idOf(user._id)}`).emit('splitInvitation', invitation);
+    try {
+      const rideUrl = `${process.env.FRONTEND_URL}/ride/${updated._id}`;
+      const share = estimatedShare ? ` Your share is about ${estimatedShare / 100} NOK.` : '';
+      await sendMail({
+        to: user.email,
+        subject: `${initiator.name} wants to split a ride with you`,
+        html: `<p>${escapeHtml(initiator.name)} invited you to share the fare of a ride from ${escapeHtml(updated.pickupAddress || 'the pickup')} to ${escapeHtml(updated.destinationAddress || 'the destination')}.${share}</p><p>Accept or decline: <a href="${rideUrl}">Open ride</a></p>`
+      });
+    } catch (mailErr) {
+      console.error('Failed to send split invitation email:', mailErr);
+    }
+  }
+  console.log(`[split] Ride ${updated._id}: ${initiator._id} invited ${fresh.length} rider(s) to split the fare`);
+  return updated;
+}
+
+/**
+ * Accept or decline an invitation to share a fare. Accepting after the driver accepted places the hold right away
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} user - Invited rider
+ * @param {boolean} accept
+ * @param {object} payment - Resolved payment for the hold (see utils/customers resolvePayment)
+ * @returns {Promise<object>} { ride, hold }
+ * @throws {SplitError}
+ */
+async function respondToSplit(app, rideId, user, accept, payment) {
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: { $in: ['open', 'pending', 'accepted'] },
+      'split.participants': { $elemMatch: { user: user._id, isCover: false, status: 'invited' } }
+    },
+    { $set: { 'split.participants.$.status': accept ? 'accepted' : 'declined', 'split.participants.$.respondedAt': new Date() } },
+    { new: true }
+  );
+  if (!ride) throw new SplitError('No open invitation to split this ride', 404);
+  console.log(`[split] Ride ${ride._id}: ${user._id} ${accept ? 'accepted' : 'declined'} to split the fare`);
+
+  let hold = null;
+  const participant = participantOf(ride, user._id);
+  if (accept && ride.status === 'accepted' && participant.amount) hold = await authorizeShare(ride, participant, payment);
+  emitToRiders(app, ride, 'splitUpdated', { participant: { user: idOf(user._id), name: user.name, status: participant.status } });
+  return { ride, hold };
+}
+
+/**
+ * Create (or reuse) the hold for one share
+ * @param {object} ride - Ride document
+ * @param {object} participant - Entry of ride.split.participants with an amount
+ * @param {object} payment - Resolved payment (customer and optional saved card)
+ * @returns {Promise<object>} { clientSecret, paymentIntentId, amount, status, error }
+ */
+async function authorizeShare(ride, participant, payment = {}) {
+  const result = (pi, error) => ({ clientSecret: pi.client_secret, paymentIntentId: pi.id, amount: pi.amount, status: pi.status, ...(error ? { error } : {}) });
+
+  if (participant.paymentIntentId) {
+    const existing = await stripe.paymentIntents.retrieve(participant.paymentIntentId);
+    if (existing.status !== 'canceled') {
+      if (payment.paymentMethodId && ['requires_payment_method', 'requires_confirmation'].includes(existing.status)) {
+        const { paymentIntent, error } = await confirmWithSavedCard(existing, payment);
+        return result(paymentIntent, error);
+      }
+      return result(existing);
+    }
+  }
+
+  const amount = holdAmountFor(participant.amount);
+  const { paymentIntent: pi, error } = await createPaymentIntent({
+    amount,
+    currency: ride.currency || 'nok',
+    capture_method: 'manual',
+    metadata: { rideId: ride._id.toString(), purpose: 'split_share', participantId: participant._id.toString(), userId: idOf(participant.user) },
+    ...paymentIntentParams(payment)
+  });
+  await Ride.updateOne(
+    { _id: ride._id, 'split.participants._id': participant._id },
+    { $set: { 'split.participants.$.paymentIntentId': pi.id, 'split.participants.$.holdAmount': amount } }
+  );
+  participant.paymentIntentId = pi.id;
+  participant.holdAmount = amount;
+  console.log(`[split] Created ${amount / 100} NOK hold ${pi.id} for ${participant.isCover ? 'covered shares' : 'the share of ' + idOf(participant.user)} on ride ${ride._id}`);
+  return result(pi, error);
+}
+
+/**
+ * Compute the shares in one update from the stored participants, so responses to the invitation that land while the
+ * driver accepts are neither overwritten nor given the wrong share. Equal shares in whole NOK for everyone who hasn't
+ * declined; the booking rider takes the rounding
+ * @param {string} rideId
+ * @returns {Promise<object|null>} The ride with its shares, null if they were already fixed
+ */
+async function fixShares(rideId) {
+  const isSharing = (p) => ({ $and: [{ $in: [`${p}.status`, ['invited', 'accepted']] }, { $ne: [`${p}.isCover`, true] }] });
+  const sharingCount = { $size: { $filter: { input: '$split.participants', as: 'p', cond: isSharing('$$p') } } };
+  return Ride.findOneAndUpdate(
+    { _id: rideId, amount: { $gt: 0 }, 'split.totalAmount': null },
+    [{
+      $set: {
+        split: {
+          $let: {
+            vars: { perRider: { $multiply: [{ $floor: { $divide: ['$amount', { $multiply: [{ $add: [sharingCount, 1] }, 100] }] } }, 100] } },
+            in: {
+              totalAmount: '$amount',
+              initiatorAmount: { $subtract: ['$amount', { $multiply: ['$$perRider', sharingCount] }] },
+              participants: {
+                $map: {
+                  input: '$split.participants',
+                  as: 'p',
+                  in: { $cond: [isSharing('$$p'), { $mergeObjects: ['$$p', { amount: '$$perRider' }] }, '$$p'] }
+                }
+              }
+            }
+          }
+        }
+      }
+    }],
+    { new: true }
+  );
+}
+
+/**
+ * Fix the shares once the ride has an amount (driver accepted) and place the holds: the booking rider's through
+ * requestAuthorization, and one for every invitee who already accepted. Used instead of requestAuthorization at accept.
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Accepted ride document
+ */
+async function requestRidePayments(app, ride) {
+  const participants = (ride.split && ride.split.participants) || [];
+  if (participants.length > 0 && ride.amount && ride.split.totalAmount == null) {
+    try {
+      const fixed = await fixShares(ride._id);
+      if (fixed) ride = fixed;
+      const sharing = fixed ? ride.split.participants.filter(p => p.amount && !p.isCover) : [];
+
+      const io = app.get('io');
+      for (const p of sharing.filter(p => p.status === 'accepted')) {
+        const hold = await authorizeShare(ride, p, await customerPayment(p.user));
+        if (io) io.to(`rider_${idOf(p.user)}`).emit('paymentAuthorizationRequired', { rideId: ride._id, share: p.amount, ...hold });
+      }
+      for (const p of sharing.filter(p => p.status === 'invited')) {
+        if (io) io.to(`rider_${idOf(p.user)}`).emit('splitInvitation', { rideId: ride._id.toString(), share: p.amount, reminder: true });
+      }
+    } catch (err) {
+      console.error(`[split] Could not place share holds for ride ${ride._id}`, err);
+    }
+  }
+  await requestAuthorization(app, ride);
+}
+
+// The rider's Stripe Customer (if any), so their share's PaymentSheet shows saved cards
+async function customerPayment(userId) {
+  const user = await User.findById(userId).select('stripeCustomerId');
+  return { customerId: user && user.stripeCustomerId };
+}
+
+/**
+ * Let the booking rider pay for every share that isn't authorized (declined, or not confirmed in time)
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} initiator - Booking rider
+ * @param {object} payment - Resolved payment for the extra hold
+ * @returns {Promise<object>} { ride, hold }
+ * @throws {SplitError}
+ */
+async function coverRemainingShares(app, rideId, initiator, payment) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new SplitError('Ride not found', 404);
+  if (idOf(ride.rider) !== idOf(initiator._id)) throw new SplitError('Only the rider who booked can cover the remaining shares', 403);
+  if (ride.status !== 'accepted' || !ride.split || ride.split.totalAmount == null) {
+    throw new SplitError('Shares can be covered once a driver has accepted the ride', 409);
+  }
+
+  const missing = ride.split.participants.filter(p => p.amount && !p.isCover && !SECURED_STATES.includes(p.status));
+  if (missing.length === 0) throw new SplitError('All shares are already authorized', 409);
+
+  // Holds of the shares being covered are no longer needed
+  for (const p of missing) {
+    if (p.paymentIntentId) {
+      const pi = await stripe.paymentIntents.retrieve(p.paymentIntentId);
+      if (!['canceled', 'succeeded'].includes(pi.status)) await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: 'abandoned' });
+    }
+    p.status = 'covered';
+  }
+  const cover = { user: initiator._id, isCover: true, status: 'accepted', amount: missing.reduce((sum, p) => sum + p.amount, 0) };
+  ride.split.participants.push(cover);
+  await ride.save();
+
+  const entry = ride.split.participants[ride.split.participants.length - 1];
+  const hold = await authorizeShare(ride, entry, payment);
+  console.log(`[split] Ride ${ride._id}: booking rider covers ${missing.length} share(s), ${cover.amount / 100} NOK`);
+  emitToRiders(app, ride, 'splitUpdated', { covered: missing.map(p => idOf(p.user)) });
+  return { ride, hold };
+}
+
+// Find the ride and participant a share PaymentIntent belongs to
+async function findShare(pi) {
+  const rideId = pi.metadata && pi.metadata.rideId;
+  if (!rideId) return {};
+  const ride = await Ride.findOne({ _id: rideId, 'split.participants.paymentIntentId': pi.id });
+  const participant = ride && ride.split.participants.find(p => p.paymentIntentId === pi.id);
+  return { ride, participant };
+}
+
+/**
+ * Record that a share's hold was authorized. Holds confirmed after the ride ended or was cancelled are released
+ * @param {object} pi - Share PaymentIntent in requires_capture
+ * @returns {Promise<object|null>} The updated ride
+ */
+async function markShareAuthorized(pi) {
+  if (pi.status !== 'requires_capture') return null;
+  const ride = await Ride.findOneAndUpdate(
+    { 'split.participants': { $elemMatch: { paymentIntentId: pi.id, status: { $in: ['invited', 'accepted'] } } } },
+    { $set: { 'split.participants.$.status': 'authorized', 'split.participants.$.holdAmount': pi.amount_capturable }, $unset: { 'split.participants.$.error': 1 } },
+    { new: true }
+  );
+  if (!ride) return null;
+  console.log(`[split] Share hold ${pi.id} authorized for ride ${ride._id}`);
+  // Too late to count: the ride was cancelled, or ended and the booking rider was charged the rest
+  if (['cancelled', 'completed'].includes(ride.status)) await releaseShares(ride);
+  return ride;
+}
+
+/**
+ * Record a failed share payment
+ * @param {object} pi - Share PaymentIntent
+ * @param {string} error
+ * @returns {Promise<object|null>} { ride, participant }
+ */
+async function markShareFailed(pi, error) {
+  const { ride, participant } = await findShare(pi);
+  if (!ride) return null;
+  await Ride.updateOne({ _id: ride._id, 'split.participants.paymentIntentId': pi.id }, { $set: { 'split.participants.$.error': error } });
+  return { ride, participant };
+}
+
+/**
+ * Record that a share's hold was cancelled
+ * @param {object} pi - Share PaymentIntent
+ */
+async function markShareReleased(pi) {
+  await Ride.updateOne(
+    { 'split.participants': { $elemMatch: { paymentIntentId: pi.id, status: { $in: ['accepted', 'authorized'] } } } },
+    { $set: { 'split.participants.$.status': 'released' } }
+  );
+}
+
+/**
+ * Capture every authorized share in proportion to the final fare (at most its hold)
+ * @param {object} ride - Completed ride document
+ * @param {number} chargedAmount - Final fare of the whole ride (øre)
+ * @returns {Promise<number>} Total captured from shares; the booking rider pays the rest
+ */
+async function captureShares(ride, chargedAmount) {
+  if (!ride.split || !ride.split.totalAmount) return 0;
+  let total = 0;
+  for (const p of ride.split.participants) {
+    if (p.status !== 'authorized' || !p.paymentIntentId) continue;
+    const portion = Math.round(chargedAmount * p.amount / ride.split.totalAmount);
+    try {
+      const pi = await stripe.paymentIntents.retrieve(p.paymentIntentId);
+      const captured = Math.min(portion, pi.amount_capturable);
+      await stripe.paymentIntents.capture(pi.id, { amount_to_capture: captured });
+      await Ride.updateOne(
+        { _id: ride._id, 'split.participants._id': p._id },
+        { $set: { 'split.participants.$.status': 'captured', 'split.participants.$.capturedAmount': captured } }
+      );
+      p.status = 'captured';
+      p.capturedAmount = captured;
+      total += captured;
+    } catch (err) {
+      // Whatever isn't captured from the share is charged to the booking rider
+      console.error(`[split] Could not capture share ${p.paymentIntentId} for ride ${ride._id}`, err);
+      await Ride.updateOne({ _id: ride._id, 'split.participants._id': p._id }, { $set: { 'split.participants.$.error': err.message } });
+    }
+  }
+  if (total > 0) console.log(`[split] Ride ${ride._id}: captured ${total / 100} NOK from shared fares`);
+  return total;
+}
+
+/**
+ * Cancel the holds of all shares (ride cancelled)
+ * @param {object} ride - Ride document
+ */
+async function releaseShares(ride) {
+  if (!ride.split) return;
+  for (const p of ride.split.participants) {
+    if (!p.paymentIntentId || !['accepted', 'authorized'].includes(p.status)) continue;
+    try {
+      const pi = await stripe.paymentIntents.retrieve(p.paymentIntentId);
+      if (pi.status !== 'canceled') await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: 'requested_by_customer' });
+      await Ride.updateOne({ _id: ride._id, 'split.participants._id': p._id }, { $set: { 'split.participants.$.status': 'released' } });
+    } catch (err) {
+      console.error(`[split] Could not release share ${p.paymentIntentId} for ride ${ride._id}`, err);
+    }
+  }
+}
+
+module.exports = {
+  inviteToSplit,
+  respondToSplit,
+  authorizeShare,
+  requestRidePayments,
+  coverRemainingShares,
+  markShareAuthorized,
+  markShareFailed,
+  markShareReleased,
+  captureShares,
+  releaseShares,
+  sharesSecured,
+  sharesCaptured,
+  participantOf,
+  isShareIntent,
+  SplitError
+};
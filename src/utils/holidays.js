@@ -0,0 +1,121 @@
+// Market calendar helpers: local time in the market's time zone and Norwegian public holidays
+
+const MARKET_TIME_ZONE = process.env.MARKET_TIME_ZONE || 'Europe/Oslo';
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Break a timestamp into wall-clock parts in the market time zone
+ * @param {Date|number|string} date
+ * @param {string} timeZone
+ * @returns {object} { year, month (1-12), day, hour, minute, weekday (0 = Sunday), dateKey: 'YYYY-MM-DD' }
+ */
+function getLocalParts(date = new Date(), timeZone = MARKET_TIME_ZONE) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(date))) parts[type] = value;
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    weekday: WEEKDAYS[parts.weekday],
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+/**
+ * Format a timestamp as 'YYYY-MM-DD HH:mm' in the market time zone
+ * @param {Date|number|string} date
+ * @returns {string} Empty for a missing date
+ */
+function formatLocalTime(date) {
+  if (!date) return '';
+  const local = getLocalParts(date, MARKET_TIME_ZONE);
+  return `${local.dateKey} ${String(local.hour).padStart(2, '0')}:${String(local.minute).padStart(2, '0')}`;
+}
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year
+ * @returns {Date} UTC midnight of Easter Sunday
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function toDateKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Cache of holidays per year: { year: { 'YYYY-MM-DD': name } }
+const holidayCache = {};
+
+/**
+ * Norwegian public holidays ("helligdager") for a year
+ * @param {number} year
+ * @returns {object} Map of 'YYYY-MM-DD' -> holiday name
+ */
+function getNorwegianHolidays(year) {
+  if (holidayCache[year]) return holidayCache[year];
+  const easter = getEasterSunday(year);
+  const fromEaster = (days) => toDateKey(new Date(easter.getTime() + days * 24 * 60 * 60 * 1000));
+  const holidays = {
+    [`${year}-01-01`]: 'Første nyttårsdag',
+    [fromEaster(-3)]: 'Skjærtorsdag',
+    [fromEaster(-2)]: 'Langfredag',
+    [fromEaster(0)]: 'Første påskedag',
+    [fromEaster(1)]: 'Andre påskedag',
+    [`${year}-05-01`]: 'Arbeidernes dag',
+    [`${year}-05-17`]: 'Grunnlovsdag',
+    [fromEaster(39)]: 'Kristi himmelfartsdag',
+    [fromEaster(49)]: 'Første pinsedag',
+    [fromEaster(50)]: 'Andre pinsedag',
+    [`${year}-12-25`]: 'Første juledag',
+    [`${year}-12-26`]: 'Andre juledag'
+  };
+  holidayCache[year] = holidays;
+  return holidays;
+}
+
+/**
+ * Name of the public holiday on the given local date, or null
+ * @param {object} local - Result of getLocalParts
+ * @returns {string|null}
+ */
+function getHolidayName(local) {
+  return getNorwegianHolidays(local.year)[local.dateKey] || null;
+}
+
+module.exports = {
+  MARKET_TIME_ZONE,
+  getLocalParts,
+  formatLocalTime,
+  getEasterSunday,
+  getNorwegianHolidays,
+  getHolidayName
+};
@@ -0,0 +1,165 @@
+// Driver earnings ledger
+// Entries are written when a ride's fare is collected (see payoutRide), when a collected fare is refunded
+// and when a driver incurs a late-cancellation penalty. Reports group them by day, ISO week or month in
+// the market time zone.
+
+const LedgerEntry = require('../models/LedgerEntry');
+const { getLocalParts, MARKET_TIME_ZONE } = require('./holidays');
+
+const GROUP_BY = ['day', 'week', 'month'];
+
+async function recordEntry(entry) {
+  try {
+    await LedgerEntry.updateOne({ reference: entry.reference }, { $setOnInsert: entry }, { upsert: true });
+  } catch (err) {
+    if (err.code !== 11000) throw err; // recorded concurrently
+  }
+}
+
+function statusTime(ride, status) {
+  const entry = (ride.statusHistory || []).find(h => h.to === status);
+  return entry ? entry.at : ride.updatedAt || new Date();
+}
+
+/**
+ * Record the earnings of a ride whose fare (or cancellation fee) was collected
+ * @param {object} ride - Ride document
+ * @param {object} split - Result of splitFare for the collected amount
+ * @param {number} refunded - Refunds already deducted from the collected amount (øre)
+ */
+async function recordRideEarnings(ride, split, refunded = 0) {
+  const rideId = ride._id.toString();
+  const base = { driver: ride.assignedDriver, ride: ride._id, currency: ride.currency || 'nok' };
+
+  if (ride.status === 'cancelled') {
+    const occurredAt = (ride.cancellation && ride.cancellation.at) || statusTime(ride, 'cancelled');
+    await recordEntry({ ...base, type: 'cancellation_fee', amount: split.grossAmount, occurredAt, description: 'Cancellation fee', reference: `cancellation_fee:${rideId}` });
+    await recordEntry({ ...base, type: 'commission', amount: -split.commission, occurredAt, description: `Platform commission ${split.commissionPercent}%`, reference: `commission:${rideId}` });
+    return;
+  }
+
+  const occurredAt = statusTime(ride, 'completed');
+  const route = [ride.pickupAddress, ride.destinationAddress].filter(Boolean).join(' – ');
+  await recordEntry({ ...base, type: 'fare', amount: split.grossAmount + refunded, occurredAt, description: route ? `Fare ${route}` : 'Fare', reference: `fare:${rideId}` });
+  if (refunded > 0) {
+    await recordEntry({ ...base, type: 'refund', amount: -refunded, occurredAt, description: 'Refund to rider', reference: `refund:${rideId}:${ride.refundedAmount}` });
+  }
+  await recordEntry({ ...base, type: 'commission', amount: -split.commission, occurredAt, description: `Platform commission ${split.commissionPercent}%`, reference: `commission:${rideId}` });
+}
+
+/**
+ * Record a refund issued after the driver's earnings were booked (commission on it is given back)
+ * @param {object} ride - Ride document (refundedAmount = new refund total)
+ * @param {number} amount - Newly refunded amount in øre
+ * @param {number} commissionPercent
+ */
+async function recordRefund(ride, amount, commissionPercent) {
+  const rideId = ride._id.toString();
+  const base = { driver: ride.assignedDriver, ride: ride._id, currency: ride.currency || 'nok', occurredAt: new Date() };
+  await recordEntry({ ...base, type: 'refund', amount: -amount, description: 'Refund to rider', reference: `refund:${rideId}:${ride.refundedAmount}` });
+  await recordEntry({ ...base, type: 'commission', amount: Math.round(amount * commissionPercent / 100), description: 'Commission on refund', reference: `commission:${rideId}:refund:${ride.refundedAmount}` });
+}
+
+/**
+ * Record a late-cancellation penalty for the driver of a cancelled ride
+ * @param {object} ride - Cancelled ride document
+ */
+async function recordPenalty(ride) {
+  if (!ride.assignedDriver || !ride.cancellation || !(ride.cancellation.driverPenalty > 0)) return;
+  await recordEntry({
+    driver: ride.assignedDriver,
+    ride: ride._id,
+    type: 'penalty',
+    amount: -ride.cancellation.driverPenalty,
+    currency: ride.currency || 'nok',
+    occurredAt: ride.cancellation.at || new Date(),
+    description: 'Late cancellation penalty',
+    reference: `penalty:${ride._id}`
+  });
+}
+
+// ISO 8601 week ('2024-W07') of a local calendar date
+function isoWeekKey({ year, month, day }) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = (date.getUTCDay() + 6) % 7; // Monday = 0
+  date.setUTCDate(date.getUTCDate() - weekday + 3); // Thursday of this week decides the year
+  const weekYear = date.getUTCFullYear();
+  const firstThursday = new Date(Date.UTC(weekYear, 0, 4));
+  firstThursday.setUTCDate(firstThursday.getUTCDate() - ((firstThursday.getUTCDay() + 6) % 7) + 3);
+  const week = 1 + Math.round((date - firstThursday) / (7 * 24 * 60 * 60 * 1000));
+  return `${weekYear}-W${String(week).padStart(2, '0')}`;
+}
+
+function periodKey(date, groupBy) {
+  const local = getLocalParts(date, MARKET_TIME_ZONE);
+  if (groupBy === 'month') return local.dateKey.slice(0, 7);
+  if (groupBy === 'week') return isoWeekKey(local);
+  return local.dateKey;
+}
+
+/**
+ * Sum ledger entries into report totals (øre)
+ * @param {Array} entries
+ * @returns {object} { gross, tips, refunds, commission, penalties, net, rides }
+ */
+function summarize(entries) {
+  const totals = { gross: 0, tips: 0, refunds: 0, commission: 0, penalties: 0, net: 0, rides: 0 };
+  const rides = new Set();
+  for (const entry of entries) {
+    if (entry.type === 'fare' || entry.type === 'cancellation_fee') {
+      totals.gross += entry.amount;
+      if (entry.ride) rides.add(entry.ride.toString());
+    }
+    if (entry.type === 'tip') totals.tips += entry.amount;
+    if (entry.type === 'refund') totals.refunds += entry.amount;
+    if (entry.type === 'commission') totals.commission += entry.amount;
+    if (entry.type === 'penalty') totals.penalties += entry.amount;
+    totals.net += entry.amount;
+  }
+  totals.rides = rides.size;
+  return totals;
+}
+
+/**
+ * Ledger entries of a driver in [from, to)
+ * @param {string} driverId
+ * @param {Date} from
+ * @param {Date} to
+ * @returns {Promise<Array>}
+ */
+function listEntries(driverId, from, to) {
+  return LedgerEntry.find({ driver: driverId, occurredAt: { $gte: from, $lt: to } }).sort({ occurredAt: 1 }).lean();
+}
+
+/**
+ * Earnings report for a driver
+ * @param {string} driverId
+ * @param {object} options
+ * @param {Date} options.from
+ * @param {Date} options.to - Exclusive
+ * @param {string} options.groupBy - 'day' | 'week' | 'month'
+ * @returns {Promise<object>} { totals, periods: [{ period, ...totals }] }
+ */
+async function getEarnings(driverId, { from, to, groupBy = 'day' }) {
+  const entries = await listEntries(driverId, from, to);
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = periodKey(entry.occurredAt, groupBy);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return {
+    totals: summarize(entries),
+    periods: [...groups.entries()].map(([period, group]) => ({ period, ...summarize(group) }))
+  };
+}
+
+module.exports = {
+  recordRideEarnings,
+  recordRefund,
+  recordPenalty,
+  getEarnings,
+  listEntries,
+  summarize,
+  GROUP_BY
+};
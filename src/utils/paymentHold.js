@@ -0,0 +1,219 @@
+// Card pre-authorization for rides
+// When a driver accepts a ride we create a manual-capture PaymentIntent for the estimate plus a buffer.
+// The rider confirms it (the card is authorized, nothing is charged yet), the final fare is captured when
+// the ride ends, and the hold is released when the ride is cancelled or the authorization gets too old.
+// Ride.paymentStatus follows the hold: pending -> authorized -> captured | released.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const stripe = require('./stripe');
+const { paymentIntentParams, createPaymentIntent, confirmWithSavedCard } = require('./customers');
+
+const PAYMENT_HOLD = {
+  bufferPercent: parseFloat(process.env.AUTH_BUFFER_PERCENT) || 20, // authorize the estimate + 20%
+  maxHoldHours: parseFloat(process.env.AUTH_MAX_HOLD_HOURS) || 24, // release holds for rides that never started
+  sweepMs: 10 * 60 * 1000
+};
+
+/**
+ * Amount to authorize for an estimate
+ * @param {number} amount - Estimate in øre
+ * @returns {number} Estimate plus the buffer, rounded up to whole NOK
+ */
+function holdAmountFor(amount) {
+  return Math.ceil(amount * (1 + PAYMENT_HOLD.bufferPercent / 100) / 100) * 100;
+}
+
+// Persist payment fields and mirror them on the in-memory ride, so a later ride.save() doesn't work on stale values
+async function updatePayment(ride, fields) {
+  await Ride.updateOne({ _id: ride._id }, { $set: fields });
+  Object.assign(ride, fields);
+}
+
+function isHoldIntent(pi) {
+  return !!(pi && pi.capture_method === 'manual');
+}
+
+function holdResult(pi, error) {
+  const result = { clientSecret: pi.client_secret, paymentIntentId: pi.id, amount: pi.amount, status: pi.status };
+  if (error) result.error = error;
+  return result;
+}
+
+/**
+ * Create the authorization hold for an accepted ride (reuses an existing one)
+ * @param {object} ride - Ride document with amount set
+ * @param {object} payment - Resolved payment (see utils/customers resolvePayment). With a paymentMethodId the
+ *   hold is authorized off-session on that saved card. Defaults to the rider's Customer, if they have one
+ * @returns {Promise<object>} { clientSecret, paymentIntentId, amount, status, error }
+ */
+async function authorizeRide(ride, payment) {
+  if (!payment) {
+    const rider = await User.findById(ride.rider).select('stripeCustomerId');
+    payment = { customerId: rider && rider.stripeCustomerId };
+  }
+
+  if (ride.stripePaymentIntentId) {
+    let existing = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+    if (existing.status !== 'canceled') {
+      if (payment.saveCard && existing.status === 'requires_payment_method' && !existing.setup_future_usage) {
+        existing = await stripe.paymentIntents.update(existing.id, { customer: payment.customerId, setup_future_usage: 'off_session' });
+      }
+      if (payment.paymentMethodId && ['requires_payment_method', 'requires_confirmation'].includes(existing.status)) {
+        const { paymentIntent, error } = await confirmWithSavedCard(existing, payment);
+        return holdResult(paymentIntent, error);
+      }
+      return holdResult(existing);
+    }
+  }
+
+  // On a split fare this hold only covers the booking rider's share (see utils/fareShares)
+  const estimate = ride.split && ride.split.initiatorAmount != null ? ride.split.initiatorAmount : ride.amount;
+  const amount = holdAmountFor(estimate || 0);
+  const { paymentIntent: pi, error } = await createPaymentIntent({
+    amount,
+    currency: ride.currency || 'nok',
+    capture_method: 'manual',
+    metadata: { rideId: ride._id.toString(), purpose: 'ride_hold' },
+    ...paymentIntentParams(payment)
+  });
+  await updatePayment(ride, { stripePaymentIntentId: pi.id, authorizedAmount: amount, paymentStatus: 'pending' });
+  console.log(`[payment] Created ${amount / 100} NOK hold ${pi.id} for ride ${ride._id} (estimate ${estimate / 100} NOK)`);
+  return holdResult(pi, error);
+}
+
+/**
+ * Create the hold after a driver accepted and send the client secret to the rider
+ * Failures are logged only: the rider can still get a hold through POST /api/payment/create-intent
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Accepted ride document
+ */
+async function requestAuthorization(app, ride) {
+  try {
+    const hold = await authorizeRide(ride);
+    const io = app.get('io');
+    if (io) {
+      io.to(`rider_${ride.rider.toString()}`).emit('paymentAuthorizationRequired', {
+        rideId: ride._id,
+        estimate: ride.amount,
+        ...hold
+      });
+    }
+  } catch (err) {
+    console.error(`[payment] Could not create payment hold for ride ${ride._id}`, err);
+  }
+}
+
+/**
+ * Capture the final amount of an authorized hold
+ * @param {object} ride - Ride document
+ * @param {object} pi - PaymentIntent in requires_capture
+ * @param {number} amount - Amount to charge in øre
+ * @returns {Promise<number>} The captured amount (at most what was authorized)
+ */
+async function captureHold(ride, pi, amount) {
+  const captured = Math.min(amount, pi.amount_capturable);
+  await stripe.paymentIntents.capture(pi.id, { amount_to_capture: captured });
+  await updatePayment(ride, { paymentStatus: 'captured', capturedAmount: captured, capturedAt: new Date(), transactionId: pi.id });
+  console.log(`[payment] Captured ${captured / 100} NOK of ${pi.amount_capturable / 100} NOK hold for ride ${ride._id}`);
+  return captured;
+}
+
+/**
+ * Cancel an authorization hold without charging anything
+ * @param {object} ride - Ride document
+ * @param {object} pi - PaymentIntent
+ * @param {string} reason - Stripe cancellation_reason
+ */
+async function releaseHold(ride, pi, reason = 'abandoned') {
+  if (pi.status !== 'canceled') await stripe.paymentIntents.cancel(pi.id, { cancellation_reason: reason });
+  await updatePayment(ride, { paymentStatus: 'released', releasedAt: new Date() });
+  console.log(`[payment] Released hold ${pi.id} for ride ${ride._id}`);
+}
+
+/**
+ * Record that the rider confirmed the hold (PaymentIntent is requires_capture).
+ * If the ride already ended before the rider confirmed, the final amount is captured right away.
+ * @param {object} pi - PaymentIntent
+ * @returns {Promise<object|null>} The updated ride
+ */
+async function markAuthorized(pi) {
+  const rideId = pi.metadata && pi.metadata.rideId;
+  if (!rideId || pi.status !== 'requires_capture') return null;
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, stripePaymentIntentId: pi.id, paymentStatus: { $in: ['pending', 'failed'] } },
+    { $set: { paymentStatus: 'authorized', authorizedAmount: pi.amount_capturable, authorizedAt: new Date() } },
+    { new: true }
+  );
+  if (!ride) return null;
+  if (ride.status === 'completed') {
+    const sharesCaptured = ((ride.split && ride.split.participants) || []).reduce((sum, p) => sum + (p.capturedAmount || 0), 0);
+    await captureHold(ride, pi, ride.amount - sharesCaptured);
+  }
+  if (ride.status === 'cancelled') await releaseHold(ride, pi);
+  return Ride.findById(rideId);
+}
+
+/**
+ * Record that Stripe cancelled a hold (e.g. the authorization expired)
+ * @param {object} pi - PaymentIntent
+ * @returns {Promise<object|null>} The updated ride
+ */
+async function markReleased(pi) {
+  if (!isHoldIntent(pi)) return null;
+  return Ride.findOneAndUpdate(
+    { stripePaymentIntentId: pi.id, paymentStatus: { $in: ['pending', 'authorized'] } },
+    { $set: { paymentStatus: 'released', releasedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Release holds on cancelled rides that weren't released yet, and on rides that never started within maxHoldHours
+ * @returns {Promise<number>} Number of released holds
+ */
+async function releaseExpiredHolds() {
+  const cutoff = new Date(Date.now() - PAYMENT_HOLD.maxHoldHours * 60 * 60 * 1000);
+  const rides = await Ride.find({
+    paymentStatus: 'authorized',
+    $or: [
+      { status: 'cancelled' },
+      { status: { $in: ['open', 'pending', 'accepted'] }, authorizedAt: { $lt: cutoff } }
+    ]
+  });
+  let released = 0;
+  for (const ride of rides) {
+    try {
+      const pi = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+      await releaseHold(ride, pi);
+      released++;
+    } catch (err) {
+      console.error(`[payment] Could not release hold for ride ${ride._id}`, err);
+    }
+  }
+  return released;
+}
+
+/**
+ * Periodically release stale holds
+ * @returns {object} The interval handle
+ */
+function startHoldSweeper() {
+  return setInterval(() => {
+    releaseExpiredHolds().catch(err => console.error('[payment] Error releasing expired holds', err));
+  }, PAYMENT_HOLD.sweepMs);
+}
+
+module.exports = {
+  authorizeRide,
+  requestAuthorization,
+  captureHold,
+  releaseHold,
+  markAuthorized,
+  markReleased,
+  releaseExpiredHolds,
+  startHoldSweeper,
+  holdAmountFor,
+  isHoldIntent,
+  PAYMENT_HOLD
+};
@@ -0,0 +1,231 @@
+// Driver payouts through Stripe Connect
+// Drivers onboard to an Express connected account. Once a ride is completed and paid (or a cancellation
+// fee was charged) the driver's share, minus the platform commission and any outstanding late-cancellation
+// penalties, is transferred to their account. The payout state is stored on the ride (Ride.payout).
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const stripe = require('./stripe');
+const { recordRideEarnings } = require('./ledger');
+const { promoDiscount } = require('./promos');
+
+const PAYOUTS = {
+  commissionPercent: parseFloat(process.env.PLATFORM_COMMISSION_PERCENT) || 20,
+  country: process.env.STRIPE_CONNECT_COUNTRY || 'NO'
+};
+
+// Payment states in which the rider's money has been collected
+const COLLECTED_PAYMENT_STATES = ['captured', 'paid', 'partially_refunded'];
+
+/**
+ * Split a collected amount between the platform and the driver
+ * @param {number} grossAmount - øre
+ * @returns {object} { grossAmount, commission, commissionPercent, driverAmount }
+ */
+function splitFare(grossAmount) {
+  const commission = Math.round(grossAmount * PAYOUTS.commissionPercent / 100);
+  return { grossAmount, commission, commissionPercent: PAYOUTS.commissionPercent, driverAmount: grossAmount - commission };
+}
+
+/**
+ * Refunds issued on top of the fare adjustment (the metered-fare refund already lowered ride.amount)
+ * @param {object} ride - Ride document
+ * @returns {number} øre
+ */
+function refundsAfterFare(ride) {
+  const adjustment = (ride.fareAdjustment && ride.fareAdjustment.refundAmount) || 0;
+  return Math.max(0, (ride.refundedAmount || 0) - adjustment);
+}
+
+/**
+ * What the driver should be paid out of for a ride, or null if nothing is payable (yet)
+ * @param {object} ride - Ride document
+ * @returns {number|null} Collected amount in øre (plus any promo discount)
+ */
+function payableAmount(ride) {
+  if (!ride.assignedDriver) return null;
+  if (ride.status === 'completed') {
+    if (!COLLECTED_PAYMENT_STATES.includes(ride.paymentStatus)) return null;
+    // Wait until a metered top-up has been paid too
+    if (ride.fareAdjustment && ride.fareAdjustment.action === 'top_up_required' && ride.fareAdjustment.status !== 'settled') return null;
+    // Promo discounts are funded by the platform, not the driver
+    return Math.max(0, (ride.amount || 0) - refundsAfterFare(ride)) + promoDiscount(ride);
+  }
+  if (ride.status === 'cancelled' && ride.cancellation && ride.cancellation.feeCharged > 0) {
+    return ride.cancellation.feeCharged;
+  }
+  return null;
+}
+
+// Late-cancellation penalties not yet deducted, oldest first, that fit into the driver's share
+async function collectPenalties(driverId, available) {
+  const rides = await Ride.find({
+    assignedDriver: driverId,
+    status: 'cancelled',
+    'cancellation.driverPenalty': { $gt: 0 },
+    'cancellation.penaltyDeductedAt': null
+  }).sort({ 'cancellation.at': 1 }).select('cancellation');
+
+  const deducted = [];
+  let total = 0;
+  for (const ride of rides) {
+    if (total + ride.cancellation.driverPenalty > available) break;
+    total += ride.cancellation.driverPenalty;
+    deducted.push(ride._id);
+  }
+  return { total, rideIds: deducted };
+}
+
+/**
+ * Transfer the driver's share of a ride (idempotent: does nothing once transferred)
+ * @param {string} rideId
+ * @returns {Promise<object|null>} The updated ride, or null if nothing was payable
+ */
+async function payoutRide(rideId) {
+  const ride = await Ride.findById(rideId);
+  if (!ride || (ride.payout && ['processing', 'transferred'].includes(ride.payout.status))) return null;
+  const gross = payableAmount(ride);
+  if (gross == null) return null;
+
+  const split = splitFare(gross);
+  try {
+    await recordRideEarnings(ride, split, ride.status === 'completed' ? refundsAfterFare(ride) : 0);
+  } catch (err) {
+    console.error(`[ledger] Could not record earnings for ride ${ride._id}`, err);
+  }
+
+  const driver = await User.findById(ride.assignedDriver).select('stripeAccountId payoutsEnabled');
+  if (!driver || !driver.stripeAccountId || !driver.payoutsEnabled) {
+    return Ride.findByIdAndUpdate(ride._id, { $set: { payout: { ...split, status: 'awaiting_account' } } }, { new: true });
+  }
+
+  // Claim the payout so concurrent triggers (webhook + ride end) can't both transfer
+  const claimed = await Ride.findOneAndUpdate(
+    { _id: ride._id, 'payout.status': { $nin: ['processing', 'transferred'] } },
+    { $set: { payout: { ...split, status: 'processing' } } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const penalties = await collectPenalties(driver._id, split.driverAmount);
+  const transferAmount = split.driverAmount - penalties.total;
+  try {
+    let transfer = null;
+    if (transferAmount > 0) {
+      transfer = await stripe.transfers.create({
+        amount: transferAmount,
+        currency: ride.currency || 'nok',
+        destination: driver.stripeAccountId,
+        transfer_group: `ride_${ride._id}`,
+        metadata: { rideId: ride._id.toString(), driverId: driver._id.toString() }
+      }, { idempotencyKey: `ride_payout_${ride._id}_${transferAmount}` });
+    }
+    if (penalties.rideIds.length > 0) {
+      await Ride.updateMany(
+        { _id: { $in: penalties.rideIds } },
+        { $set: { 'cancellation.penaltyDeductedAt': new Date(), 'cancellation.penaltyDeductedFrom': ride._id } }
+      );
+    }
+    console.log(`[payout] Ride ${ride._id}: transferred ${transferAmount / 100} NOK to driver ${driver._id} (commission ${split.commission / 100} NOK, penalties ${penalties.total / 100} NOK)`);
+    return Ride.findByIdAndUpdate(ride._id, {
+      $set: {
+        payout: {
+          ...split,
+          penaltiesDeducted: penalties.total,
+          transferAmount,
+          transferId: transfer ? transfer.id : null,
+          transferredAt: new Date(),
+          status: 'transferred'
+        }
+      }
+    }, { new: true });
+  } catch (err) {
+    console.error(`[payout] Transfer failed for ride ${ride._id}`, err);
+    return Ride.findByIdAndUpdate(ride._id, { $set: { payout: { ...split, status: 'failed', error: err.message } } }, { new: true });
+  }
+}
+
+/**
+ * Pay out a ride, logging instead of throwing (used after payments and ride end)
+ * @param {string} rideId
+ * @returns {Promise<object|null>}
+ */
+async function payoutRideSafely(rideId) {
+  try {
+    return await payoutRide(rideId);
+  } catch (err) {
+    console.error(`[payout] Could not pay out ride ${rideId}`, err);
+    return null;
+  }
+}
+
+/**
+ * Retry payouts that waited for an account or failed
+ * @param {string} driverId
+ * @returns {Promise<number>} Number of rides retried
+ */
+async function retryDriverPayouts(driverId) {
+  const rides = await Ride.find({ assignedDriver: driverId, 'payout.status': { $in: ['awaiting_account', 'failed'] } }).select('_id');
+  for (const ride of rides) await payoutRideSafely(ride._id);
+  return rides.length;
+}
+
+/**
+ * Create (or reuse) the driver's connected account and return an onboarding link
+ * @param {object} driver - Driver user document
+ * @param {object} urls - { returnUrl, refreshUrl }
+ * @returns {Promise<object>} { accountId, url, expiresAt }
+ */
+async function createOnboardingLink(driver, { returnUrl, refreshUrl }) {
+  if (!driver.stripeAccountId) {
+    const account = await stripe.accounts.create({
+      type: 'express',
+      country: PAYOUTS.country,
+      email: driver.email,
+      capabilities: { transfers: { requested: true } },
+      metadata: { driverId: driver._id.toString() }
+    });
+    driver.stripeAccountId = account.id;
+    await driver.save();
+    console.log(`[payout] Created connected account ${account.id} for driver ${driver._id}`);
+  }
+  const link = await stripe.accountLinks.create({
+    account: driver.stripeAccountId,
+    refresh_url: refreshUrl,
+    return_url: returnUrl,
+    type: 'account_onboarding'
+  });
+  return { accountId: driver.stripeAccountId, url: link.url, expiresAt: new Date(link.expires_at * 1000) };
+}
+
+/**
+ * Store a connected account's payout capability on its driver and release waiting payouts once enabled
+ * @param {object} account - Stripe Account (retrieved or from account.updated)
+ * @returns {Promise<object|null>} The driver
+ */
+async function syncConnectAccount(account) {
+  const driver = await User.findOne({ stripeAccountId: account.id });
+  if (!driver) return null;
+  const enabled = !!account.payouts_enabled;
+  const wasEnabled = driver.payoutsEnabled;
+  driver.payoutsEnabled = enabled;
+  driver.payoutDetailsSubmitted = !!account.details_submitted;
+  await driver.save();
+  if (enabled && !wasEnabled) {
+    const retried = await retryDriverPayouts(driver._id);
+    console.log(`[payout] Driver ${driver._id} can receive payouts, retried ${retried} waiting payout(s)`);
+  }
+  return driver;
+}
+
+module.exports = {
+  payoutRide,
+  payoutRideSafely,
+  retryDriverPayouts,
+  createOnboardingLink,
+  syncConnectAccount,
+  splitFare,
+  payableAmount,
+  refundsAfterFare,
+  PAYOUTS
+};
@@ -0,0 +1,366 @@
+// Pooled rides
+// Riders who opt in (Ride.pooled) share the car with others going the same way and pay a discounted fare
+// (PRICING.poolDiscountPercent). A new pooled request is first matched into pooled rides a nearby driver has
+// already accepted: the driver's active car must have a seat for everyone at every point of the plan (Car.seats
+// against the passengerCount of the riders on board), and fitting the new pickup and drop-off in may not take
+// anyone more than POOLING.maxDetourKm out of their way. Requests that can't be matched are dispatched as usual
+// and can take in riders once accepted. The driver follows Pool.plan, the ordered pickups and drop-offs, which is
+// pushed to everyone in the pool whenever it changes.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Pool = require('../models/Pool');
+const { calculateRidePrice } = require('./pricing');
+const { getDistanceKm } = require('./geo');
+const { getSurgeForLocation } = require('./surge');
+const { transitionRide, RideTransitionError } = require('./rideLifecycle');
+const { buildRideRequestPayload } = require('./dispatch');
+const { requestRidePayments } = require('./fareShares');
+const { publicRating } = require('./ratings');
+const { rideNeeds, carSatisfies, activeCarOf } = require('./carCapabilities');
+
+const POOLING = {
+  maxDetourKm: parseFloat(process.env.POOL_MAX_DETOUR_KM) || 3, // extra km any rider may be driven for the others
+  searchRadiusKm: parseFloat(process.env.POOL_SEARCH_RADIUS_KM) || 3 // drivers this close to the pickup are tried
+};
+
+// Statuses of rides a driver is busy with
+const ACTIVE_STATUSES = ['accepted', 'in_progress'];
+
+class PoolError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PoolError';
+    this.status = status;
+  }
+}
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+function validPoint(location) {
+  const coords = location && location.coordinates;
+  return !!(coords && coords.length === 2 && coords.every(c => typeof c === 'number' && Number.isFinite(c)));
+}
+
+// Distance between two [lng, lat] pairs
+function kmBetween(a, b) {
+  return getDistanceKm(a[1], a[0], b[1], b[0]);
+}
+
+/**
+ * Check that a ride request can be pooled
+ * @param {object} request - { scheduledFor, stops } of the request
+ * @throws {PoolError} For rides booked ahead or with stops
+ */
+function assertPoolable({ scheduledFor, stops }) {
+  if (scheduledFor) throw new PoolError("Scheduled rides can't be pooled");
+  if (stops && stops.length > 0) throw new PoolError("Rides with stops can't be pooled");
+}
+
+// Pickup and drop-off of a ride as plan entries
+function waypointsFor(ride) {
+  const base = { ride: ride._id, passengerCount: ride.passengerCount || 1 };
+  const pickedUp = ride.status === 'in_progress';
+  return [
+    { ...base, kind: 'pickup', address: ride.pickupAddress, location: { type: 'Point', coordinates: ride.pickupLocation.coordinates }, status: pickedUp ? 'done' : 'pending' },
+    { ...base, kind: 'dropoff', address: ride.destinationAddress, location: { type: 'Point', coordinates: ride.destinationLocation.coordinates }, status: 'pending' }
+  ];
+}
+
+/**
+ * A driver's active pool, or a new (unsaved) one built from the pooled rides they are driving
+ * @param {string} driverId
+ * @param {number} seats - Passenger seats of the driver's active car
+ * @returns {Promise<object|null>} null when the driver is busy with a ride that isn't pooled, or with none
+ */
+async function loadDriverPool(driverId, seats) {
+  const rides = await Ride.find({ assignedDriver: driverId, status: { $in: ACTIVE_STATUSES } }).sort({ createdAt: 1 });
+  if (rides.length === 0 || rides.some(r => !r.pooled || !validPoint(r.destinationLocation))) return null;
+  const pool = await Pool.findOne({ driver: driverId, status: 'active' });
+  if (pool) return pool;
+  return new Pool({ driver: driverId, seats, rides: rides.map(r => r._id), plan: rides.flatMap(waypointsFor) });
+}
+
+// passengerCount per ride in the car: picked up, not dropped off yet
+function ridersOnBoard(plan) {
+  const onBoard = {};
+  for (const wp of plan) {
+    if (wp.kind !== 'dropoff' || wp.status !== 'pending') continue;
+    const pickup = plan.find(p => p.kind === 'pickup' && idOf(p.ride) === idOf(wp.ride));
+    if (!pickup || pickup.status === 'done') onBoard[idOf(wp.ride)] = wp.passengerCount || 1;
+  }
+  return onBoard;
+}
+
+/**
+ * Length of a route through the waypoints, if it keeps within the seats and the detour limit
+ * @param {Array<number>} start - Driver position [lng, lat]
+ * @param {Array} waypoints - Pending plan entries, in order
+ * @param {object} onBoard - passengerCount per ride already in the car
+ * @param {number} seats
+ * @returns {number|null} km, null when a seat or detour limit is broken
+ */
+function routeKm(start, waypoints, onBoard, seats) {
+  let km = 0;
+  let position = start;
+  let occupancy = Object.values(onBoard).reduce((sum, count) => sum + count, 0);
+  // Where each rider's trip starts on this route: riders on board from here, the others at their pickup
+  const trips = {};
+  for (const rideId of Object.keys(onBoard)) trips[rideId] = { km: 0, from: start };
+
+  for (const wp of waypoints) {
+    const point = wp.location.coordinates;
+    km += kmBetween(position, point);
+    position = point;
+    const rideId = idOf(wp.ride);
+    if (wp.kind === 'pickup') {
+      occupancy += wp.passengerCount || 1;
+      if (occupancy > seats) return null;
+      trips[rideId] = { km, from: point };
+    } else {
+      occupancy -= wp.passengerCount || 1;
+      const trip = trips[rideId];
+      if (trip && km - trip.km - kmBetween(trip.from, point) > POOLING.maxDetourKm) return null;
+    }
+  }
+  return km;
+}
+
+/**
+ * Cheapest way to fit a ride's pickup and drop-off into a plan
+ * @param {Array<number>} start - Driver position [lng, lat]
+ * @param {Array} plan - The pool's plan
+ * @param {number} seats - Passenger seats of the driver's car
+ * @param {object} ride - Ride to add
+ * @returns {object|null} { plan, addedKm }, null if it doesn't fit
+ */
+function planInsertion(start, plan, seats, ride) {
+  const [pickup, dropoff] = waypointsFor(ride);
+  const pending = plan.filter(wp => wp.status === 'pending');
+  const onBoard = ridersOnBoard(plan);
+  const currentKm = routeKm(start, pending, onBoard, seats);
+
+  // The new rider is picked up before the last drop-off, so they actually share the car
+  let best = null;
+  for (let i = 0; i < Math.max(pending.length, 1); i++) {
+    for (let j = i; j <= pending.length; j++) {
+      const route = [...pending.slice(0, i), pickup, ...pending.slice(i, j), dropoff, ...pending.slice(j)];
+      const km = routeKm(start, route, onBoard, seats);
+      if (km != null && (!best || km < best.km)) best = { km, route };
+    }
+  }
+  if (!best) return null;
+  // Waypoints already passed stay at the front as the pool's history
+  return {
+    plan: [...plan.filter(wp => wp.status !== 'pending'), ...best.route],
+    addedKm: best.km - (currentKm || 0)
+  };
+}
+
+// Save the new plan, conditional on the one it was planned against so two requests can't take the same seat
+async function savePlan(pool, plan, seats, rideId) {
+  if (pool.isNew) {
+    pool.set({ plan, seats, rides: [...pool.rides, rideId] });
+    try {
+      return await pool.save();
+    } catch (err) {
+      if (err.code === 11000) return null; // another request formed the driver's pool first
+      throw err;
+    }
+  }
+  return Pool.findOneAndUpdate(
+    { _id: pool._id, status: 'active', updatedAt: pool.updatedAt },
+    { $set: { plan, seats }, $addToSet: { rides: rideId } },
+    { new: true }
+  );
+}
+
+/**
+ * The pool as shown to one of its riders (only their own addresses) or to the driver (everything)
+ * @param {object} pool - Pool document
+ * @param {string} rideId - The rider's ride, omit for the driver
+ * @returns {object}
+ */
+function poolView(pool, rideId) {
+  const onBoard = ridersOnBoard(pool.plan);
+  return {
+    poolId: pool._id.toString(),
+    status: pool.status,
+    seats: pool.seats,
+    passengersOnBoard: Object.values(onBoard).reduce((sum, count) => sum + count, 0),
+    riders: new Set(pool.plan.filter(wp => wp.status === 'pending').map(wp => idOf(wp.ride))).size,
+    plan: pool.plan.map(wp => {
+      const mine = !rideId || idOf(wp.ride) === rideId;
+      return {
+        rideId: mine ? idOf(wp.ride) : undefined,
+        kind: wp.kind,
+        status: wp.status,
+        passengerCount: wp.passengerCount,
+        address: mine ? wp.address : undefined,
+        location: mine ? wp.location : undefined,
+        yours: rideId ? mine : undefined
+      };
+    })
+  };
+}
+
+/**
+ * Send the current plan to the driver and every rider still in the pool
+ * @param {object} app - Express app (holds io)
+ * @param {object} pool - Pool document
+ */
+async function notifyPool(app, pool) {
+  const io = app.get('io');
+  if (!io) return;
+  io.to(`driver_${idOf(pool.driver)}`).emit('poolUpdated', poolView(pool));
+  const rides = await Ride.find({ _id: { $in: pool.rides }, status: { $in: ACTIVE_STATUSES } }).select('rider');
+  for (const ride of rides) {
+    io.to(`rider_${idOf(ride.rider)}`).emit('poolUpdated', { rideId: ride._id.toString(), ...poolView(pool, ride._id.toString()) });
+  }
+}
+
+// Add a ride to one driver's pool and accept it for them
+async function joinPool(app, ride, driverId, position) {
+  // The car must have the equipment the new rider needs; the seats are checked along the plan
+  const car = await activeCarOf(driverId);
+  if (!carSatisfies(car, rideNeeds(ride))) return null;
+  const pool = await loadDriverPool(driverId, car.seats);
+  if (!pool) return null;
+  const seats = car.seats;
+  const fit = planInsertion(position, pool.plan, seats, ride);
+  if (!fit) return null;
+
+  const driver = await User.findById(driverId);
+  if (!driver || driver.role !== 'driver') return null;
+  // The driver is already on their way, so there's no pickup distance to charge
+  const pricing = calculateRidePrice(kmBetween(ride.pickupLocation.coordinates, ride.destinationLocation.coordinates), car.carType, {
+    pooled: true,
+    surgeMultiplier: getSurgeForLocation(ride.pickupLocation).multiplier,
+    promo: ride.promo && ride.promo.code ? ride.promo : undefined
+  });
+
+  const saved = await savePlan(pool, fit.plan, seats, ride._id);
+  if (!saved) return null;
+
+  let accepted;
+  try {
+    accepted = await transitionRide(app, ride._id, 'accepted', {
+      actorRole: 'system',
+      reason: 'pooled',
+      from: ['open'],
+      set: {
+        assignedDriver: driver._id,
+        pool: saved._id,
+        amount: pricing.totalPrice,
+        currency: 'nok',
+        estimatedDistance: pricing.tripDistanceKm,
+        fareEstimate: pricing,
+        tariffVersion: pricing.tariffVersion
+      },
+      eventPayload: {
+        driver: { id: driver._id, name: driver.name, phone: driver.phone, carType: car.carType, rating: publicRating(driver) },
+        amount: pricing.totalPrice,
+        currency: 'nok',
+        poolId: saved._id.toString()
+      }
+    });
+  } catch (err) {
+    // Cancelled or taken in the meantime: give the seats back
+    const reverted = await Pool.findOneAndUpdate({ _id: saved._id }, { $pull: { rides: ride._id, plan: { ride: ride._id } } }, { new: true });
+    if (err instanceof RideTransitionError) {
+      if (reverted && reverted.rides.length < 2) await Pool.updateOne({ _id: reverted._id, status: 'active' }, { $set: { status: 'closed', closedAt: new Date() } });
+      return null;
+    }
+    throw err;
+  }
+  await Ride.updateMany({ _id: { $in: saved.rides }, pool: null }, { $set: { pool: saved._id } });
+  console.log(`[pool] Ride ${accepted._id} joined driver ${driverId}'s pool ${saved._id} (${saved.rides.length} rides, +${fit.addedKm.toFixed(2)} km)`);
+
+  const io = app.get('io');
+  if (io) {
+    const payload = await buildRideRequestPayload(accepted, pricing);
+    io.to(`driver_${driverId}`).emit('poolRideAdded', { ...payload, pool: poolView(saved) });
+  }
+  await notifyPool(app, saved);
+  await requestRidePayments(app, accepted);
+  return accepted;
+}
+
+/**
+ * Match a new pooled request into a nearby driver's pool, closest driver first
+ * @param {object} app - Express app (holds driverLocations, onlineDrivers)
+ * @param {object} ride - Open ride with pooled set
+ * @returns {Promise<object|null>} The accepted ride, or null when no pool has room (dispatch it instead)
+ */
+async function matchIntoPool(app, ride) {
+  if (!ride.pooled || ride.status !== 'open' || !validPoint(ride.pickupLocation) || !validPoint(ride.destinationLocation)) return null;
+  const driverLocations = app.get('driverLocations') || {};
+  const onlineDrivers = app.get('onlineDrivers') || new Set();
+  const [pickupLng, pickupLat] = ride.pickupLocation.coordinates;
+  const declined = new Set((ride.declinedDrivers || []).map(idOf));
+
+  const driverIds = await Ride.distinct('assignedDriver', { pooled: true, status: { $in: ACTIVE_STATUSES }, rider: { $ne: ride.rider } });
+  const candidates = driverIds
+    .map(idOf)
+    .filter(driverId => onlineDrivers.has(driverId) && driverLocations[driverId] && !declined.has(driverId))
+    .map(driverId => {
+      const loc = driverLocations[driverId];
+      return { driverId, position: [loc.longitude, loc.latitude], distanceKm: getDistanceKm(loc.latitude, loc.longitude, pickupLat, pickupLng) };
+    })
+    .filter(candidate => candidate.distanceKm <= POOLING.searchRadiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+
+  for (const candidate of candidates) {
+    const accepted = await joinPool(app, ride, candidate.driverId, candidate.position);
+    if (accepted) return accepted;
+  }
+  console.log(`[pool] No pool with room for ride ${ride._id} (${candidates.length} candidate drivers)`);
+  return null;
+}
+
+/**
+ * Record a pooled ride's pickup, drop-off or cancellation on its pool's plan and tell everyone in the pool.
+ * The pool closes with its last drop-off. Errors are logged, not thrown
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Ride document after it started, ended or was cancelled
+ * @returns {Promise<object|null>} The updated pool
+ */
+async function syncPoolPlan(app, ride) {
+  if (!ride || !ride.pool || !['in_progress', 'completed', 'cancelled'].includes(ride.status)) return null;
+  try {
+    let pool = await Pool.findOneAndUpdate(
+      { _id: ride.pool },
+      { $set: { 'plan.$[wp].status': ride.status === 'cancelled' ? 'cancelled' : 'done', 'plan.$[wp].doneAt': new Date() } },
+      {
+        arrayFilters: [{ 'wp.ride': ride._id, 'wp.kind': { $in: ride.status === 'in_progress' ? ['pickup'] : ['pickup', 'dropoff'] }, 'wp.status': 'pending' }],
+        new: true
+      }
+    );
+    if (!pool) return null;
+    if (pool.status === 'active' && !pool.plan.some(wp => wp.status === 'pending')) {
+      pool = await Pool.findOneAndUpdate(
+        { _id: pool._id, status: 'active', 'plan.status': { $ne: 'pending' } },
+        { $set: { status: 'closed', closedAt: new Date() } },
+        { new: true }
+      ) || pool;
+      console.log(`[pool] Pool ${pool._id} closed`);
+    }
+    await notifyPool(app, pool);
+    return pool;
+  } catch (err) {
+    console.error(`[pool] Could not update the pool of ride ${ride._id}`, err);
+    return null;
+  }
+}
+
+module.exports = {
+  assertPoolable,
+  matchIntoPool,
+  planInsertion,
+  syncPoolPlan,
+  poolView,
+  POOLING,
+  PoolError
+};
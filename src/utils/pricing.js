@@ -1,10 +1,25 @@
 // Pricing configuration for taxi rides
 // All prices in Norwegian Øre (1 NOK = 100 øre)
 
+const { getLocalParts, getHolidayName, MARKET_TIME_ZONE } = require('./holidays');
+const { getTariffAt } = require('./tariffs');
+
+// Parse "07:00-09:00,15:00-17:00" into [{ start: '07:00', end: '09:00' }, ...]
+function parseTimeWindows(value) {
+  return value.split(',').map(w => w.trim()).filter(Boolean).map(w => {
+    const [start, end] = w.split('-').map(t => t.trim());
+    return { start, end };
+  });
+}
+
+// Built-in defaults (tariff version 0). Active tariffs from utils/tariffs override any of these fields
 const PRICING = {
   baseFare: 5000, // 50 NOK base fare
   pricePerKm: 1500, // 15 NOK per km (base rate)
   waitingTimePerMinute: 300, // 3 NOK per minute waiting time
+  pricePerMinute: 200, // 2 NOK per minute of driving time
+  pricePerStop: 2000, // 20 NOK per intermediate stop
+  averageSpeedKmh: 30, // Used to estimate driving time before the trip
   
   // Car type multipliers
   carTypeMultipliers: {
@@ -17,84 +32,268 @@ const PRICING = {
   // Minimum fare
   minimumFare: 8000, // 80 NOK minimum
   
-  // Time-based surcharges (optional for future)
+  // Discount for riders who share the car with others going the same way (see utils/pools)
+  poolDiscountPercent: parseFloat(process.env.POOL_DISCOUNT_PERCENT) || 25,
+  
+  // Metered final fares within this % of the estimate are charged at the estimate
+  fareTolerancePercent: parseFloat(process.env.FARE_TOLERANCE_PERCENT) || 10,
+  
+  // Time-based surcharges, applied automatically from the pickup time in the market time zone
   surcharges: {
     nightTime: 1.2,   // 20% surcharge 23:00-06:00
     weekend: 1.1,     // 10% surcharge on weekends
-    rush: 1.15        // 15% surcharge during rush hours
-  }
+    holiday: 1.2,     // 20% surcharge on Norwegian public holidays (replaces the weekend surcharge)
+    rush: 1.15        // 15% surcharge during rush hours (weekdays only)
+  },
+  nightHours: { start: '23:00', end: '06:00' },
+  rushHours: parseTimeWindows(process.env.RUSH_HOURS || '07:00-09:00,15:00-17:00'),
+  timeZone: MARKET_TIME_ZONE
 };
 
+function definedOnly(values) {
+  return Object.fromEntries(Object.entries(values || {}).filter(([, value]) => value != null));
+}
+
+/**
+ * Merge a tariff's config over the built-in defaults
+ * @param {object|null} tariff - Result of getTariffAt / getTariffByVersion, null for the defaults
+ * @returns {object} Same shape as PRICING plus tariffVersion
+ */
+function getRates(tariff) {
+  const config = (tariff && tariff.config) || {};
+  return {
+    ...PRICING,
+    ...definedOnly({
+      baseFare: config.baseFare,
+      pricePerKm: config.pricePerKm,
+      waitingTimePerMinute: config.waitingTimePerMinute,
+      pricePerMinute: config.pricePerMinute,
+      pricePerStop: config.pricePerStop,
+      averageSpeedKmh: config.averageSpeedKmh,
+      minimumFare: config.minimumFare,
+      nightHours: config.nightHours && config.nightHours.start ? config.nightHours : null,
+      rushHours: config.rushHours
+    }),
+    carTypeMultipliers: { ...PRICING.carTypeMultipliers, ...definedOnly(config.carTypeMultipliers) },
+    surcharges: { ...PRICING.surcharges, ...definedOnly(config.surcharges) },
+    tariffVersion: tariff ? tariff.version : 0
+  };
+}
+
+// Rates for a pricing call: an explicit options.tariff (null = defaults) or the tariff in effect at pickup
+function resolveRates(options, pickupTime) {
+  return getRates(options.tariff !== undefined ? options.tariff : getTariffAt(pickupTime));
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+// True if minuteOfDay falls in [start, end), windows may wrap past midnight
+function inWindow(minuteOfDay, { start, end }) {
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  return from <= to ? minuteOfDay >= from && minuteOfDay < to : minuteOfDay >= from || minuteOfDay < to;
+}
+
+/**
+ * Determine which surcharges apply at a pickup time (in the market time zone)
+ * @param {Date|number|string} pickupTime - Defaults to now
+ * @param {object} rates - Result of getRates (defaults to the tariff in effect at pickupTime)
+ * @returns {Array<{type: string, name: string, multiplier: number}>}
+ */
+function getApplicableSurcharges(pickupTime = new Date(), rates = getRates(getTariffAt(pickupTime))) {
+  const local = getLocalParts(pickupTime, rates.timeZone);
+  const minuteOfDay = local.hour * 60 + local.minute;
+  const holidayName = getHolidayName(local);
+  const isWeekend = local.weekday === 0 || local.weekday === 6;
+  const applied = [];
+
+  if (inWindow(minuteOfDay, rates.nightHours)) {
+    applied.push({ type: 'night', name: `Night (${rates.nightHours.start}-${rates.nightHours.end})`, multiplier: rates.surcharges.nightTime });
+  }
+  if (holidayName) {
+    applied.push({ type: 'holiday', name: `Public holiday (${holidayName})`, multiplier: rates.surcharges.holiday });
+  } else if (isWeekend) {
+    applied.push({ type: 'weekend', name: 'Weekend', multiplier: rates.surcharges.weekend });
+  } else {
+    const rush = rates.rushHours.find(w => inWindow(minuteOfDay, w));
+    if (rush) applied.push({ type: 'rush', name: `Rush hour (${rush.start}-${rush.end})`, multiplier: rates.surcharges.rush });
+  }
+
+  return applied;
+}
+
 /**
  * Calculate ride price based on distance and car type
- * @param {number} distanceKm - Distance in kilometers (pickup to destination)
+ * @param {number} distanceKm - Distance in kilometers (pickup to destination, ignored when options.legsKm is given)
  * @param {string} carType - Type of car (standard, comfort, xl, premium)
  * @param {object} options - Additional pricing options
+ * @param {Array<number>} options.legsKm - Leg distances of a multi-stop trip (pickup, stops..., destination); summed as the trip distance
+ * @param {number} options.stops - Intermediate stops charged at pricePerStop (defaults to one less than the legs)
  * @param {number} options.driverToPickupKm - Distance from driver to pickup location
  * @param {number} options.waitingMinutes - Waiting time in minutes
+ * @param {number} options.durationMinutes - Driving time in minutes (estimated from distance if omitted)
+ * @param {Date} options.pickupTime - Pickup time used for night/weekend/holiday/rush surcharges (defaults to now)
+ * @param {boolean} options.applySurcharges - Set to false to price without time-based surcharges
+ * @param {number} options.surgeMultiplier - Demand-based surge for the pickup area (see utils/surge)
+ * @param {object|null} options.tariff - Tariff to price with (see utils/tariffs), defaults to the one in effect at pickupTime
+ * @param {boolean} options.pooled - Pooled ride, discounted by poolDiscountPercent
+ * @param {object} options.promo - Promo code terms to discount with (see utils/promos)
  * @returns {object} Pricing breakdown
  */
 function calculateRidePrice(distanceKm, carType = 'standard', options = {}) {
-  const multiplier = PRICING.carTypeMultipliers[carType] || 1.0;
+  const pickupTime = options.pickupTime ? new Date(options.pickupTime) : new Date();
+  const rates = resolveRates(options, pickupTime);
+  const multiplier = rates.carTypeMultipliers[carType] || 1.0;
+  
+  // Multi-stop trips are priced on the sum of their legs, plus a flat fee per stop
+  const legsKm = options.legsKm && options.legsKm.length > 0 ? options.legsKm : null;
+  if (legsKm) distanceKm = legsKm.reduce((sum, km) => sum + km, 0);
+  const stops = options.stops != null ? options.stops : (legsKm ? legsKm.length - 1 : 0);
+  const stopsPrice = stops * rates.pricePerStop;
   
   // Calculate pickup to destination price
-  let tripDistancePrice = distanceKm * PRICING.pricePerKm * multiplier;
+  let tripDistancePrice = distanceKm * rates.pricePerKm * multiplier;
   
   // Add driver to pickup distance (charged at base rate, no multiplier)
   let driverToPickupPrice = 0;
   if (options.driverToPickupKm) {
-    driverToPickupPrice = options.driverToPickupKm * PRICING.pricePerKm;
+    driverToPickupPrice = options.driverToPickupKm * rates.pricePerKm;
   }
   
   // Add waiting time charge
   let waitingTimePrice = 0;
   if (options.waitingMinutes) {
-    waitingTimePrice = options.waitingMinutes * PRICING.waitingTimePerMinute * multiplier;
+    waitingTimePrice = options.waitingMinutes * rates.waitingTimePerMinute * multiplier;
   }
   
-  let totalPrice = PRICING.baseFare + tripDistancePrice + driverToPickupPrice + waitingTimePrice;
+  // Add driving time charge (estimated from an average city speed unless metered)
+  const durationEstimated = options.durationMinutes == null;
+  const durationMinutes = durationEstimated ? distanceKm / rates.averageSpeedKmh * 60 : options.durationMinutes;
+  let timePrice = durationMinutes * rates.pricePerMinute * multiplier;
   
-  // Apply surcharges if specified
-  if (options.applyNightSurcharge) {
-    totalPrice *= PRICING.surcharges.nightTime;
-  }
-  if (options.applyWeekendSurcharge) {
-    totalPrice *= PRICING.surcharges.weekend;
-  }
-  if (options.applyRushSurcharge) {
-    totalPrice *= PRICING.surcharges.rush;
-  }
+  let totalPrice = rates.baseFare + tripDistancePrice + driverToPickupPrice + waitingTimePrice + timePrice + stopsPrice;
+  
+  // Apply time-based surcharges for the pickup time, one after another
+  const surcharges = options.applySurcharges === false ? [] : getApplicableSurcharges(pickupTime, rates).map(surcharge => {
+    const amount = Math.round(totalPrice * (surcharge.multiplier - 1));
+    totalPrice += amount;
+    return { ...surcharge, amount };
+  });
+  
+  // Apply surge pricing on top
+  const surgeMultiplier = options.surgeMultiplier && options.surgeMultiplier > 1 ? options.surgeMultiplier : 1.0;
+  const surgePrice = Math.round(totalPrice * (surgeMultiplier - 1));
+  totalPrice += surgePrice;
   
   // Ensure minimum fare
-  totalPrice = Math.max(totalPrice, PRICING.minimumFare);
+  totalPrice = Math.max(totalPrice, rates.minimumFare);
   
   // Round to nearest 100 øre (1 NOK)
   totalPrice = Math.round(totalPrice / 100) * 100;
   
+  // Pooled riders share the car, so they pay less (in whole NOK), but still at least the minimum fare
+  const poolDiscount = options.pooled
+    ? {
+      percent: PRICING.poolDiscountPercent,
+      amount: Math.min(Math.round(totalPrice * PRICING.poolDiscountPercent / 100 / 100) * 100, Math.max(0, totalPrice - rates.minimumFare))
+    }
+    : null;
+  if (poolDiscount) totalPrice -= poolDiscount.amount;
+  
+  // Promo discount comes off the final fare
+  const discount = options.promo ? calculateDiscount(options.promo, carType, totalPrice) : null;
+  if (discount) totalPrice -= discount.amount;
+  
   return {
-    baseFare: PRICING.baseFare,
+    baseFare: rates.baseFare,
     tripDistancePrice: Math.round(tripDistancePrice),
     tripDistanceKm: Math.round(distanceKm * 100) / 100,
+    legsKm: legsKm ? legsKm.map(km => Math.round(km * 100) / 100) : undefined,
+    stops,
+    stopsPrice,
     driverToPickupPrice: Math.round(driverToPickupPrice),
     driverToPickupKm: options.driverToPickupKm ? Math.round(options.driverToPickupKm * 100) / 100 : 0,
     waitingTimePrice: Math.round(waitingTimePrice),
     waitingMinutes: options.waitingMinutes || 0,
+    timePrice: Math.round(timePrice),
+    durationMinutes: Math.round(durationMinutes * 10) / 10,
+    durationEstimated,
     carType,
     carTypeMultiplier: multiplier,
+    pickupTime: pickupTime.toISOString(),
+    surcharges,
+    surchargeMultiplier: surcharges.reduce((m, surcharge) => m * surcharge.multiplier, 1),
+    surgeMultiplier,
+    surgePrice,
+    pooled: !!options.pooled,
+    poolDiscount,
+    discount,
     totalPrice,
     totalPriceNOK: totalPrice / 100,
-    currency: 'nok'
+    currency: 'nok',
+    tariffVersion: rates.tariffVersion
+  };
+}
+
+/**
+ * Discount a promo gives on a fare
+ * @param {object} promo - Promo terms { code, discountType: 'percent'|'fixed', value, maxDiscount, carTypes }
+ * @param {string} carType
+ * @param {number} totalPrice - Fare before the discount (øre)
+ * @returns {object|null} { code, discountType, value, amount } or null if the promo doesn't apply to this car type
+ */
+function calculateDiscount(promo, carType, totalPrice) {
+  if (promo.carTypes && promo.carTypes.length > 0 && !promo.carTypes.includes(carType)) return null;
+  let amount = promo.discountType === 'percent' ? totalPrice * promo.value / 100 : promo.value;
+  if (promo.maxDiscount) amount = Math.min(amount, promo.maxDiscount);
+  // Whole NOK, and the rider still pays Stripe's minimum charge (3 NOK) so the ride can be paid by card
+  amount = Math.max(0, Math.min(Math.round(amount / 100) * 100, totalPrice - 300));
+  return { code: promo.code, discountType: promo.discountType, value: promo.value, amount };
+}
+
+/**
+ * The breakdown a ride's charged amount is based on: the metered fare, or the estimate when that was charged
+ * @param {object} ride - Ride document
+ * @returns {object|null} calculateRidePrice output
+ */
+function getChargedBreakdown(ride) {
+  const adjustment = ride.fareAdjustment;
+  if (ride.finalFare && !(adjustment && adjustment.withinTolerance)) return ride.finalFare;
+  return ride.fareEstimate || ride.finalFare || null;
+}
+
+/**
+ * Calculate the final fare from what was actually driven
+ * @param {object} trip - Measured trip (see computeTrackStats in utils/rideTrack)
+ * @param {number} trip.distanceKm - Driven distance from pickup to drop-off
+ * @param {number} trip.durationMinutes - Elapsed trip time
+ * @param {number} trip.waitingMinutes - Part of the trip spent standing still
+ * @param {string} carType - Type of car (standard, comfort, xl, premium)
+ * @param {object} options - Additional pricing options (same as calculateRidePrice)
+ * @returns {object} Pricing breakdown
+ */
+function calculateMeteredFare(trip, carType = 'standard', options = {}) {
+  // Standing still is charged as waiting time, the rest of the trip as driving time
+  const waitingMinutes = Math.min(trip.waitingMinutes || 0, trip.durationMinutes || 0);
+  const drivingMinutes = Math.max(0, (trip.durationMinutes || 0) - waitingMinutes);
+  return {
+    ...calculateRidePrice(trip.distanceKm, carType, { ...options, waitingMinutes, durationMinutes: drivingMinutes }),
+    metered: true
   };
 }
 
 /**
  * Get estimated price range for a distance
  * @param {number} distanceKm - Distance in kilometers
+ * @param {object} options - Same options as calculateRidePrice (legsKm, surgeMultiplier, pickupTime, ...)
  * @returns {object} Price range across all car types
  */
-function getPriceRange(distanceKm) {
-  const standard = calculateRidePrice(distanceKm, 'standard');
-  const premium = calculateRidePrice(distanceKm, 'premium');
+function getPriceRange(distanceKm, options = {}) {
+  const standard = calculateRidePrice(distanceKm, 'standard', options);
+  const premium = calculateRidePrice(distanceKm, 'premium', options);
   
   return {
     minimum: standard.totalPrice,
@@ -144,7 +343,12 @@ function getCarTypeInfo(carType) {
 
 module.exports = {
   calculateRidePrice,
+  calculateMeteredFare,
+  getApplicableSurcharges,
   getPriceRange,
   getCarTypeInfo,
+  getRates,
+  calculateDiscount,
+  getChargedBreakdown,
   PRICING
 };
@@ -0,0 +1,170 @@
+// Promo codes
+// Riders apply a code to an estimate (POST /api/rides/estimate-price with promoCode, or POST /api/promos/apply)
+// and the discount becomes its own line in the pricing breakdown. Booking reserves one use of the code for the
+// ride and stores its terms on the ride (Ride.promo), so repricing at accept and the metered fare keep the
+// discount. The use is redeemed when the ride completes and released again if it is cancelled.
+// Discounts are funded by the platform: the driver is paid on the undiscounted fare.
+
+const Promo = require('../models/Promo');
+const PromoRedemption = require('../models/PromoRedemption');
+const Ride = require('../models/Ride');
+const { getDistanceKm } = require('./geo');
+const { getChargedBreakdown, calculateDiscount } = require('./pricing');
+
+class PromoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'PromoError';
+    this.status = status;
+  }
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+/**
+ * The terms calculateRidePrice needs, as stored on a ride
+ * @param {object} promo - Promo document
+ * @returns {object} { promoId, code, discountType, value, maxDiscount, carTypes }
+ */
+function promoTerms(promo) {
+  return {
+    promoId: promo._id,
+    code: promo.code,
+    discountType: promo.discountType,
+    value: promo.value,
+    maxDiscount: promo.maxDiscount,
+    carTypes: promo.carTypes || []
+  };
+}
+
+function inArea(promo, pickupLocation) {
+  const area = promo.area;
+  if (!area || area.latitude == null || area.longitude == null || !area.radiusKm) return true;
+  if (!pickupLocation || !pickupLocation.coordinates) return false;
+  const [lng, lat] = pickupLocation.coordinates;
+  return getDistanceKm(area.latitude, area.longitude, lat, lng) <= area.radiusKm;
+}
+
+/**
+ * Look up a code and check that this rider may use it for this trip
+ * @param {string} code
+ * @param {object} context
+ * @param {string} context.userId - Rider
+ * @param {string} context.carType - Optional, checked when known
+ * @param {object} context.pickupLocation - GeoJSON point, checked against the promo area
+ * @param {Date} context.at - Defaults to now
+ * @returns {Promise<object>} The promo document
+ * @throws {PromoError} 404 unknown, 410 expired, 409 used up, 400 not applicable
+ */
+async function findValidPromo(code, { userId, carType, pickupLocation, at = new Date() }) {
+  const promo = await Promo.findOne({ code: normalizeCode(code), active: true });
+  if (!promo) throw new PromoError('Unknown promo code', 404);
+  if (promo.validFrom && at < promo.validFrom) throw new PromoError('This promo code is not valid yet');
+  if (promo.validUntil && at > promo.validUntil) throw new PromoError('This promo code has expired', 410);
+  if (promo.maxUses != null && promo.usesCount >= promo.maxUses) throw new PromoError('This promo code has been used up', 409);
+  if (carType && promo.carTypes.length > 0 && !promo.carTypes.includes(carType)) {
+    throw new PromoError(`This promo code is only valid for ${promo.carTypes.join(', ')} cars`);
+  }
+  if (!inArea(promo, pickupLocation)) throw new PromoError('This promo code is not valid in your area');
+
+  const used = await PromoRedemption.countDocuments({ promo: promo._id, user: userId, status: { $in: ['reserved', 'redeemed'] } });
+  if (used >= promo.perUserLimit) throw new PromoError('You have already used this promo code', 409);
+  if (promo.firstRideOnly && await Ride.exists({ rider: userId, status: 'completed' })) {
+    throw new PromoError('This promo code is only valid for your first ride');
+  }
+  return promo;
+}
+
+/**
+ * Apply a promo to an undiscounted estimate (same result as pricing it with the promo option)
+ * @param {object} pricing - calculateRidePrice output without a discount
+ * @param {object} promo - Promo document or terms
+ * @returns {object} Pricing breakdown with discount
+ */
+function applyPromoToPricing(pricing, promo) {
+  const discount = calculateDiscount(promoTerms(promo), pricing.carType, pricing.totalPrice);
+  if (!discount) return { ...pricing, discount: null };
+  const totalPrice = pricing.totalPrice - discount.amount;
+  return { ...pricing, discount, totalPrice, totalPriceNOK: totalPrice / 100 };
+}
+
+/**
+ * Reserve one use of a code for a ride that is about to be created
+ * @param {string} code
+ * @param {object} context - { userId, rideId, carType, pickupLocation }
+ * @returns {Promise<object>} Promo terms to store on the ride
+ * @throws {PromoError}
+ */
+async function reservePromo(code, { userId, rideId, carType, pickupLocation }) {
+  const promo = await findValidPromo(code, { userId, carType, pickupLocation });
+
+  // Conditional increment so concurrent bookings can't exceed maxUses
+  const claimed = await Promo.findOneAndUpdate(
+    { _id: promo._id, $or: [{ maxUses: null }, { $expr: { $lt: ['$usesCount', '$maxUses'] } }] },
+    { $inc: { usesCount: 1 } },
+    { new: true }
+  );
+  if (!claimed) throw new PromoError('This promo code has been used up', 409);
+
+  try {
+    await PromoRedemption.create({ promo: promo._id, code: promo.code, user: userId, ride: rideId });
+  } catch (err) {
+    await Promo.updateOne({ _id: promo._id }, { $inc: { usesCount: -1 } });
+    throw err;
+  }
+  return promoTerms(claimed);
+}
+
+/**
+ * Give a ride's reserved promo use back (ride cancelled or never created)
+ * @param {string} rideId
+ */
+async function releasePromo(rideId) {
+  const redemption = await PromoRedemption.findOneAndUpdate(
+    { ride: rideId, status: 'reserved' },
+    { $set: { status: 'released', releasedAt: new Date() } },
+    { new: true }
+  );
+  if (!redemption) return;
+  await Promo.updateOne({ _id: redemption.promo }, { $inc: { usesCount: -1 } });
+  console.log(`[promo] Released ${redemption.code} for ride ${rideId}`);
+}
+
+/**
+ * The promo discount included in what a ride was charged
+ * @param {object} ride - Ride document
+ * @returns {number} øre
+ */
+function promoDiscount(ride) {
+  if (!ride.promo || !ride.promo.code) return 0;
+  const breakdown = getChargedBreakdown(ride);
+  return breakdown && breakdown.discount ? breakdown.discount.amount : 0;
+}
+
+/**
+ * Mark a completed ride's promo use as redeemed with the discount it gave
+ * @param {object} ride - Completed ride document
+ */
+async function redeemPromo(ride) {
+  if (!ride.promo || !ride.promo.code) return;
+  const discount = promoDiscount(ride);
+  await PromoRedemption.updateOne(
+    { ride: ride._id, status: 'reserved' },
+    { $set: { status: 'redeemed', discount, redeemedAt: new Date() } }
+  );
+  console.log(`[promo] Redeemed ${ride.promo.code} on ride ${ride._id}: ${discount / 100} NOK off`);
+}
+
+module.exports = {
+  findValidPromo,
+  reservePromo,
+  releasePromo,
+  redeemPromo,
+  promoDiscount,
+  promoTerms,
+  applyPromoToPricing,
+  normalizeCode,
+  PromoError
+};
@@ -0,0 +1,115 @@
+// Signed fare quotes
+// estimate-price issues a quote (a JWT with the full pricing breakdown) bound to the rider, driver,
+// pickup/stops/destination and car type. book-driver only accepts an unexpired quote that matches the booking
+// and charges exactly the quoted amount, so the price can't change (or be tampered with) in between.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getDistanceKm } = require('./geo');
+
+const QUOTES = {
+  ttlSeconds: parseInt(process.env.QUOTE_TTL_SECONDS) || 5 * 60,
+  locationToleranceKm: 0.05, // clients may round coordinates; anything further away is a different trip
+  audience: 'fare-quote'
+};
+
+function quoteSecret() {
+  return process.env.QUOTE_SECRET || process.env.JWT_SECRET;
+}
+
+class QuoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+  }
+}
+
+function coordsOf(location) {
+  const coords = location && location.coordinates;
+  return coords && coords.length === 2 ? [Number(coords[0]), Number(coords[1])] : null;
+}
+
+function sameLocation(quoted, requested) {
+  if (!quoted || !requested) return !quoted && !requested;
+  return getDistanceKm(quoted[1], quoted[0], requested[1], requested[0]) <= QUOTES.locationToleranceKm;
+}
+
+/**
+ * Sign a quote for an estimate
+ * @param {object} params
+ * @param {string} params.riderId
+ * @param {string} params.driverId
+ * @param {object} params.pickupLocation - GeoJSON point
+ * @param {object} params.destinationLocation - GeoJSON point (optional)
+ * @param {Array} params.stops - Intermediate stops ({ location }) in order (optional)
+ * @param {object} params.pricing - Result of calculateRidePrice
+ * @param {Date} params.scheduledFor - Pickup time of a ride booked for later (optional)
+ * @returns {object} { id, expiresAt }
+ */
+function issueQuote({ riderId, driverId, pickupLocation, destinationLocation, stops, pricing, scheduledFor }) {
+  const id = jwt.sign({
+    rider: riderId.toString(),
+    driver: driverId.toString(),
+    pickup: coordsOf(pickupLocation),
+    destination: coordsOf(destinationLocation),
+    stops: (stops || []).map(stop => coordsOf(stop.location)),
+    carType: pricing.carType,
+    amount: pricing.totalPrice,
+    scheduledFor: scheduledFor ? scheduledFor.toISOString() : null,
+    pricing
+  }, quoteSecret(), {
+    audience: QUOTES.audience,
+    expiresIn: QUOTES.ttlSeconds,
+    jwtid: crypto.randomBytes(12).toString('hex')
+  });
+  return { id, expiresAt: new Date(Date.now() + QUOTES.ttlSeconds * 1000).toISOString() };
+}
+
+/**
+ * Verify a quote against the booking it is used for
+ * @param {string} quoteId - Token returned by issueQuote
+ * @param {object} booking
+ * @param {string} booking.riderId
+ * @param {string} booking.driverId
+ * @param {object} booking.pickupLocation
+ * @param {object} booking.destinationLocation
+ * @param {Array} booking.stops - Intermediate stops ({ location }) in order
+ * @param {string} booking.carType - Class of the driver's active car
+ * @param {Date|null} booking.scheduledFor - Pickup time of the booking (null for now), not checked when undefined
+ * @returns {object} { jti, amount, pricing, scheduledFor, expiresAt }
+ * @throws {QuoteError} 410 when expired, 400 when invalid or not matching the booking
+ */
+function verifyQuote(quoteId, { riderId, driverId, pickupLocation, destinationLocation, stops, carType, scheduledFor }) {
+  let payload;
+  try {
+    payload = jwt.verify(quoteId, quoteSecret(), { audience: QUOTES.audience });
+  } catch (err) {
+    if (err.name === 'TokenExpiredError') throw new QuoteError('Quote has expired, please request a new estimate', 410);
+    throw new QuoteError('Invalid quote');
+  }
+
+  if (payload.rider !== riderId.toString()) throw new QuoteError('Quote was issued to another rider');
+  if (payload.driver !== driverId.toString()) throw new QuoteError('Quote was issued for another driver');
+  if (!sameLocation(payload.pickup, coordsOf(pickupLocation))) throw new QuoteError('Pickup location does not match the quote');
+  if (!sameLocation(payload.destination, coordsOf(destinationLocation))) throw new QuoteError('Destination does not match the quote');
+  const quotedStops = payload.stops || [];
+  const requestedStops = (stops || []).map(stop => coordsOf(stop.location));
+  if (quotedStops.length !== requestedStops.length || quotedStops.some((quoted, i) => !sameLocation(quoted, requestedStops[i]))) {
+    throw new QuoteError('Stops do not match the quote');
+  }
+  if (payload.carType !== (carType || 'standard')) throw new QuoteError('Driver car type has changed since the quote, please request a new estimate');
+  const quotedFor = payload.scheduledFor ? new Date(payload.scheduledFor) : null;
+  if (scheduledFor !== undefined && (quotedFor ? quotedFor.getTime() : null) !== (scheduledFor ? scheduledFor.getTime() : null)) {
+    throw new QuoteError('Pickup time does not match the quote');
+  }
+
+  return { jti: payload.jti, amount: payload.amount, pricing: payload.pricing, scheduledFor: quotedFor, expiresAt: new Date(payload.exp * 1000) };
+}
+
+module.exports = {
+  issueQuote,
+  verifyQuote,
+  QuoteError,
+  QUOTES
+};
@@ -0,0 +1,194 @@
+// Two-way ratings
+// After a completed ride the rider rates the driver and the driver rates the rider: 1-5 stars, optional tags
+// from RATING_TAGS and a comment, within RATINGS.windowHours of the ride ending. Each rating is stored once per
+// side (Rating) and added to the rated user's running average (User.rating). Dispatch and the open-rides list
+// can leave out counterparts rated below a minimum once they have enough ratings for it to mean something.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Rating = require('../models/Rating');
+
+const RATINGS = {
+  windowHours: parseFloat(process.env.RATING_WINDOW_HOURS) || 72, // how long after the ride either side can rate
+  minDriverRating: parseFloat(process.env.MIN_DRIVER_RATING) || 0, // dispatch skips drivers rated lower (0 = off)
+  minRiderRating: parseFloat(process.env.MIN_RIDER_RATING) || 0, // /available hides riders rated lower (0 = off)
+  minCountToFilter: parseInt(process.env.RATING_MIN_COUNT) || 5, // users with fewer ratings are never filtered out
+  maxCommentLength: 500
+};
+
+// Tags each side can pick, by the role of the user being rated
+const RATING_TAGS = {
+  driver: ['friendly', 'safe_driving', 'clean_car', 'good_route', 'on_time', 'unsafe_driving', 'dirty_car', 'rude', 'late'],
+  rider: ['friendly', 'respectful', 'on_time', 'clean', 'rude', 'late', 'messy', 'wrong_pickup']
+};
+
+class RatingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RatingError';
+    this.status = status;
+  }
+}
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+/**
+ * A user's rating as shown to others
+ * @param {object} user - User document (or lean object) with rating
+ * @returns {object} { average, count }, average null until the first rating
+ */
+function publicRating(user) {
+  const rating = (user && user.rating) || {};
+  return { average: rating.count ? rating.average : null, count: rating.count || 0 };
+}
+
+/**
+ * Whether a user clears a minimum rating. Users with too few ratings always do
+ * @param {object} user - User document with rating
+ * @param {number} minRating - 0 to not filter
+ * @returns {boolean}
+ */
+function meetsMinRating(user, minRating) {
+  const rating = (user && user.rating) || {};
+  if (!minRating || !rating.count || rating.count < RATINGS.minCountToFilter) return true;
+  return rating.average >= minRating;
+}
+
+/**
+ * Ids of users of a role rated below a minimum (with enough ratings to count)
+ * @param {string} role - 'rider' | 'driver'
+ * @param {number} minRating
+ * @returns {Promise<Array>} User ids
+ */
+async function lowRatedUserIds(role, minRating) {
+  if (!minRating) return [];
+  return User.distinct('_id', { role, 'rating.count': { $gte: RATINGS.minCountToFilter }, 'rating.average': { $lt: minRating } });
+}
+
+/**
+ * Public ratings of several users at once
+ * @param {Array<string>} userIds
+ * @returns {Promise<object>} { userId: { average, count } }
+ */
+async function ratingsFor(userIds) {
+  const users = await User.find({ _id: { $in: userIds } }).select('rating').lean();
+  return Object.fromEntries(users.map(u => [u._id.toString(), publicRating(u)]));
+}
+
+function completedAt(ride) {
+  const entry = (ride.statusHistory || []).find(h => h.to === 'completed');
+  return entry ? new Date(entry.at) : ride.updatedAt;
+}
+
+// Who is rating whom on this ride
+function sidesOf(ride, user) {
+  const userId = idOf(user._id);
+  if (idOf(ride.rider) === userId) return { raterRole: 'rider', ratee: ride.assignedDriver };
+  if (user.role === 'driver' && idOf(ride.assignedDriver) === userId) return { raterRole: 'driver', ratee: ride.rider };
+  return null;
+}
+
+/**
+ * When the user can rate the other side of a ride until, if at all
+ * @param {object} ride - Ride document
+ * @returns {Date|null}
+ */
+function ratingDeadline(ride) {
+  if (ride.status !== 'completed' || !ride.assignedDriver) return null;
+  return new Date(completedAt(ride).getTime() + RATINGS.windowHours * 60 * 60 * 1000);
+}
+
+function validateRating({ stars, tags = [], comment }, rateeRole) {
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) throw new RatingError('stars must be a whole number from 1 to 5');
+  if (!Array.isArray(tags)) throw new RatingError('tags must be an array');
+  const unknown = tags.filter(tag => !RATING_TAGS[rateeRole].includes(tag));
+  if (unknown.length > 0) throw new RatingError(`Unknown tags: ${unknown.join(', ')}. Allowed: ${RATING_TAGS[rateeRole].join(', ')}`);
+  if (comment != null && typeof comment !== 'string') throw new RatingError('comment must be a string');
+  const text = comment ? comment.trim() : '';
+  if (text.length > RATINGS.maxCommentLength) throw new RatingError(`comment can be at most ${RATINGS.maxCommentLength} characters`);
+  return { stars, tags: [...new Set(tags)], comment: text || undefined };
+}
+
+/**
+ * Rate the other side of a completed ride
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} user - The ride's rider or assigned driver
+ * @param {object} input - { stars, tags, comment }
+ * @returns {Promise<object>} { rating, ratee: { average, count } }
+ * @throws {RatingError}
+ */
+async function rateRide(app, rideId, user, input) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new RatingError('Ride not found', 404);
+  const sides = sidesOf(ride, user);
+  if (!sides) throw new RatingError('Only the rider and the driver of this ride can rate it', 403);
+  const deadline = ratingDeadline(ride);
+  if (!deadline) throw new RatingError('Rides can be rated once they are completed', 409);
+  if (Date.now() > deadline.getTime()) throw new RatingError(`Rides can only be rated within ${RATINGS.windowHours} hours`, 409);
+
+  const rateeRole = sides.raterRole === 'rider' ? 'driver' : 'rider';
+  const values = validateRating(input || {}, rateeRole);
+  let rating;
+  try {
+    rating = await Rating.create({ ride: ride._id, rater: user._id, ratee: sides.ratee, raterRole: sides.raterRole, ...values });
+  } catch (err) {
+    if (err.code === 11000) throw new RatingError('You have already rated this ride', 409);
+    throw err;
+  }
+
+  // Running average, in one update so concurrent ratings can't lose each other
+  const ratee = await User.findOneAndUpdate({ _id: sides.ratee }, [
+    { $set: { 'rating.count': { $add: [{ $ifNull: ['$rating.count', 0] }, 1] }, 'rating.total': { $add: [{ $ifNull: ['$rating.total', 0] }, values.stars] } } },
+    { $set: { 'rating.average': { $round: [{ $divide: ['$rating.total', '$rating.count'] }, 2] } } }
+  ], { new: true });
+  const summary = publicRating(ratee);
+  console.log(`[rating] Ride ${ride._id}: ${sides.raterRole} gave ${values.stars}★, ${rateeRole} ${idOf(sides.ratee)} now ${summary.average} (${summary.count})`);
+
+  const io = app.get('io');
+  if (io) {
+    io.to(`${rateeRole}_${idOf(sides.ratee)}`).emit('ratingReceived', {
+      rideId: ride._id.toString(),
+      stars: values.stars,
+      tags: values.tags,
+      comment: values.comment,
+      rating: summary
+    });
+  }
+  return { rating, ratee: summary };
+}
+
+/**
+ * Ratings given and received on a ride, from the point of view of one of its users
+ * @param {object} ride - Ride document
+ * @param {object} user - Rider or assigned driver
+ * @returns {Promise<object|null>} { given, received, canRate, rateBefore }, null if the user isn't part of the ride
+ */
+async function rideRatingsFor(ride, user) {
+  if (!sidesOf(ride, user)) return null;
+  const ratings = await Rating.find({ ride: ride._id }).lean();
+  const userId = idOf(user._id);
+  const given = ratings.find(r => idOf(r.rater) === userId) || null;
+  const received = ratings.find(r => idOf(r.ratee) === userId) || null;
+  const deadline = ratingDeadline(ride);
+  return {
+    given,
+    received,
+    canRate: !given && !!deadline && Date.now() <= deadline.getTime(),
+    rateBefore: deadline
+  };
+}
+
+module.exports = {
+  rateRide,
+  rideRatingsFor,
+  publicRating,
+  meetsMinRating,
+  lowRatedUserIds,
+  ratingsFor,
+  RATINGS,
+  RATING_TAGS,
+  RatingError
+};
@@ -0,0 +1,268 @@
+// Ride receipts
+// Once a ride's fare (or cancellation fee) has been collected a receipt is issued: the driver and active car
+// are snapshotted on the ride (Ride.receipt) so later downloads show the same details, and the rider gets it
+// by email as HTML with a PDF attached. Prices include Norwegian VAT for passenger transport.
+
+const PDFDocument = require('pdfkit');
+const Ride = require('../models/Ride');
+const Car = require('../models/Car');
+const { sendMail, escapeHtml } = require('./email');
+const { payableAmount, refundsAfterFare } = require('./payouts');
+const { getChargedBreakdown } = require('./pricing');
+const { formatLocalTime } = require('./holidays');
+const { sharesCaptured } = require('./fareShares');
+
+const RECEIPTS = {
+  vatPercent: parseFloat(process.env.RECEIPT_VAT_PERCENT) || 12, // reduced rate for passenger transport
+  companyName: process.env.COMPANY_NAME || 'Taxi AS',
+  organisationNumber: process.env.COMPANY_ORG_NUMBER || '',
+  companyAddress: process.env.COMPANY_ADDRESS || ''
+};
+
+function formatNok(ore) {
+  return `${(ore / 100).toFixed(2)} NOK`;
+}
+
+function statusTime(ride, status) {
+  const entry = (ride.statusHistory || []).find(h => h.to === status);
+  return entry ? entry.at : null;
+}
+
+// Fare lines that add up to the charged amount
+function fareLines(ride, total) {
+  if (ride.status === 'cancelled') return [{ label: 'Cancellation fee', amount: total }];
+
+  const breakdown = getChargedBreakdown(ride);
+  if (!breakdown) return [{ label: 'Fare', amount: total }];
+
+  const lines = [{ label: 'Base fare', amount: breakdown.baseFare }];
+  lines.push({ label: `Distance ${breakdown.tripDistanceKm} km`, amount: breakdown.tripDistancePrice });
+  if (breakdown.stopsPrice) lines.push({ label: `Stops (${breakdown.stops})`, amount: breakdown.stopsPrice });
+  if (breakdown.driverToPickupPrice) lines.push({ label: `Drive to pickup ${breakdown.driverToPickupKm} km`, amount: breakdown.driverToPickupPrice });
+  if (breakdown.timePrice) lines.push({ label: `Time ${Math.round(breakdown.durationMinutes)} min`, amount: breakdown.timePrice });
+  if (breakdown.waitingTimePrice) lines.push({ label: `Waiting ${Math.round(breakdown.waitingMinutes)} min`, amount: breakdown.waitingTimePrice });
+  for (const surcharge of breakdown.surcharges || []) lines.push({ label: `${surcharge.name} surcharge`, amount: surcharge.amount });
+  if (breakdown.surgePrice) lines.push({ label: `High demand ×${breakdown.surgeMultiplier}`, amount: breakdown.surgePrice });
+  if (breakdown.poolDiscount && breakdown.poolDiscount.amount > 0) lines.push({ label: `Pooled ride (${breakdown.poolDiscount.percent}% off)`, amount: -breakdown.poolDiscount.amount });
+  if (breakdown.discount) lines.push({ label: `Promo code ${breakdown.discount.code}`, amount: -breakdown.discount.amount });
+
+  // Minimum fare, rounding to whole NOK, or the estimate charged when the metered fare was within tolerance
+  const difference = total - lines.reduce((sum, line) => sum + (line.amount || 0), 0);
+  if (difference !== 0) lines.push({ label: 'Adjustment (minimum fare / rounding)', amount: difference });
+  return lines;
+}
+
+/**
+ * Assemble the receipt for a ride with a collected payment
+ * @param {object} ride - Ride document with rider populated and receipt issued
+ * @returns {object} Receipt data (amounts in øre)
+ */
+function buildReceipt(ride) {
+  const total = ride.status === 'cancelled' ? ride.cancellation.feeCharged : ride.amount;
+  const refunded = ride.status === 'cancelled' ? 0 : refundsAfterFare(ride);
+  const paid = Math.max(0, total - refunded);
+  // Split fares: what the co-riders paid of the total
+  const paidByCoRiders = ride.status === 'cancelled' ? 0 : sharesCaptured(ride);
+  // Prices include VAT
+  const vat = Math.round(paid - paid / (1 + RECEIPTS.vatPercent / 100));
+  const breakdown = getChargedBreakdown(ride) || {};
+
+  return {
+    number: ride._id.toString(),
+    issuedAt: ride.receipt.issuedAt,
+    company: {
+      name: RECEIPTS.companyName,
+      organisationNumber: RECEIPTS.organisationNumber,
+      address: RECEIPTS.companyAddress
+    },
+    rider: { name: ride.rider.name, email: ride.rider.email },
+    driverName: ride.receipt.driverName,
+    licensePlate: ride.receipt.licensePlate,
+    carModel: ride.receipt.carModel,
+    status: ride.status,
+    pickupAddress: ride.pickupAddress,
+    destinationAddress: ride.destinationAddress,
+    startedAt: statusTime(ride, 'in_progress'),
+    endedAt: statusTime(ride, ride.status),
+    distanceKm: breakdown.tripDistanceKm,
+    lines: fareLines(ride, total),
+    total,
+    refunded,
+    paid,
+    paidByCoRiders,
+    vatPercent: RECEIPTS.vatPercent,
+    vat,
+    netAmount: paid - vat,
+    currency: ride.currency || 'nok'
+  };
+}
+
+/**
+ * Render a receipt as an HTML document (also used as the email body)
+ * @param {object} receipt - Result of buildReceipt
+ * @returns {string}
+ */
+function renderReceiptHtml(receipt) {
+  const row = (label, value, bold) => `<tr><td style="padding:2px 12px 2px 0">${bold ? '<b>' : ''}${escapeHtml(label)}${bold ? '</b>' : ''}</td><td style="text-align:right">${bold ? '<b>' : ''}${escapeHtml(value)}${bold ? '</b>' : ''}</td></tr>`;
+  const company = receipt.company;
+  const orgLine = company.organisationNumber ? `<p>Org.nr. ${escapeHtml(company.organisationNumber)} MVA</p>` : '';
+  const totals = [
+    row('Total', formatNok(receipt.total), true),
+    receipt.refunded ? row('Refunded', formatNok(-receipt.refunded)) : '',
+    receipt.refunded ? row('Paid', formatNok(receipt.paid), true) : '',
+    receipt.paidByCoRiders ? row('Paid by co-riders', formatNok(-receipt.paidByCoRiders)) : '',
+    receipt.paidByCoRiders ? row('Your share', formatNok(receipt.paid - receipt.paidByCoRiders), true) : '',
+    row(`Of which VAT ${receipt.vatPercent}%`, formatNok(receipt.vat)),
+    row('Amount excl. VAT', formatNok(receipt.netAmount))
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Receipt ${escapeHtml(receipt.number)}</title></head>
+<body style="font-family:sans-serif">
+<h2>${escapeHtml(company.name)}</h2>
+${orgLine}${company.address ? `<p>${escapeHtml(company.address)}</p>` : ''}
+<h3>Receipt ${escapeHtml(receipt.number)}</h3>
+<p>Issued ${escapeHtml(formatLocalTime(receipt.issuedAt))} to ${escapeHtml(receipt.rider.name)}</p>
+<table>
+${row('From', receipt.pickupAddress || '')}
+${row('To', receipt.destinationAddress || '')}
+${receipt.startedAt ? row('Started', formatLocalTime(receipt.startedAt)) : ''}
+${row(receipt.status === 'cancelled' ? 'Cancelled' : 'Ended', formatLocalTime(receipt.endedAt))}
+${row('Driver', receipt.driverName || '')}
+${receipt.licensePlate ? row('Vehicle', `${receipt.carModel || ''} ${receipt.licensePlate}`.trim()) : ''}
+</table>
+<h4>Fare</h4>
+<table>
+${receipt.lines.map(line => row(line.label, formatNok(line.amount))).join('\n')}
+${totals}
+</table>
+</body></html>`;
+}
+
+/**
+ * Render a receipt as a PDF
+ * @param {object} receipt - Result of buildReceipt
+ * @returns {Promise<Buffer>}
+ */
+function renderReceiptPdf(receipt) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const row = (label, value, bold) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+        .text(label, 50, y, { width: 330 })
+        .text(value, 380, y, { width: 165, align: 'right' });
+    };
+
+    const company = receipt.company;
+    doc.fontSize(16).font('Helvetica-Bold').text(company.name);
+    doc.fontSize(10).font('Helvetica');
+    if (company.organisationNumber) doc.text(`Org.nr. ${company.organisationNumber} MVA`);
+    if (company.address) doc.text(company.address);
+
+    doc.moveDown().fontSize(14).font('Helvetica-Bold').text(`Receipt ${receipt.number}`);
+    doc.fontSize(10).font('Helvetica').text(`Issued ${formatLocalTime(receipt.issuedAt)} to ${receipt.rider.name}`);
+
+    doc.moveDown();
+    row('From', receipt.pickupAddress || '');
+    row('To', receipt.destinationAddress || '');
+    if (receipt.startedAt) row('Started', formatLocalTime(receipt.startedAt));
+    row(receipt.status === 'cancelled' ? 'Cancelled' : 'Ended', formatLocalTime(receipt.endedAt));
+    row('Driver', receipt.driverName || '');
+    if (receipt.licensePlate) row('Vehicle', `${receipt.carModel || ''} ${receipt.licensePlate}`.trim());
+
+    doc.moveDown().fontSize(12).font('Helvetica-Bold').text('Fare', 50);
+    doc.fontSize(10);
+    for (const line of receipt.lines) row(line.label, formatNok(line.amount));
+    doc.moveDown(0.5);
+    row('Total', formatNok(receipt.total), true);
+    if (receipt.refunded) {
+      row('Refunded', formatNok(-receipt.refunded));
+      row('Paid', formatNok(receipt.paid), true);
+    }
+    if (receipt.paidByCoRiders) {
+      row('Paid by co-riders', formatNok(-receipt.paidByCoRiders));
+      row('Your share', formatNok(receipt.paid - receipt.paidByCoRiders), true);
+    }
+    row(`Of which VAT ${receipt.vatPercent}%`, formatNok(receipt.vat));
+    row('Amount excl. VAT', formatNok(receipt.netAmount));
+
+    doc.end();
+  });
+}
+
+function populateForReceipt(query) {
+  return query.populate('rider', 'name email').populate('assignedDriver', 'name');
+}
+
+/**
+ * Issue the receipt for a ride once its payment is collected (snapshots driver and car; idempotent)
+ * @param {string} rideId
+ * @returns {Promise<object|null>} { ride, receipt, issued } or null if there is nothing to receipt yet
+ */
+async function issueReceipt(rideId) {
+  const ride = await populateForReceipt(Ride.findById(rideId));
+  if (!ride) return null;
+  if (ride.receipt && ride.receipt.issuedAt) return { ride, receipt: buildReceipt(ride), issued: false };
+  if (payableAmount(ride) == null) return null;
+
+  const driver = ride.assignedDriver;
+  const car = await Car.findOne({ driver: driver._id, isActive: true }).select('model licensePlate');
+  const issued = await populateForReceipt(Ride.findOneAndUpdate(
+    { _id: ride._id, 'receipt.issuedAt': null },
+    {
+      $set: {
+        receipt: {
+          issuedAt: new Date(),
+          driverName: driver.name,
+          licensePlate: car ? car.licensePlate : null,
+          carModel: car ? car.model : null
+        }
+      }
+    },
+    { new: true }
+  ));
+  // Issued concurrently (e.g. webhook and ride end)
+  if (!issued) return null;
+  return { ride: issued, receipt: buildReceipt(issued), issued: true };
+}
+
+/**
+ * Issue a ride's receipt and email it to the rider, logging instead of throwing
+ * @param {string} rideId
+ */
+async function sendReceiptSafely(rideId) {
+  try {
+    const result = await issueReceipt(rideId);
+    if (!result || !result.issued || !result.receipt.rider.email) return;
+    const { receipt } = result;
+    try {
+      await sendMail({
+        to: receipt.rider.email,
+        subject: `Your receipt from ${receipt.company.name}`,
+        html: renderReceiptHtml(receipt),
+        attachments: [{ filename: `receipt-${receipt.number}.pdf`, content: await renderReceiptPdf(receipt), contentType: 'application/pdf' }]
+      });
+      await Ride.updateOne({ _id: rideId }, { $set: { 'receipt.emailedAt': new Date() } });
+      console.log(`[receipt] Emailed receipt for ride ${rideId} to ${receipt.rider.email}`);
+    } catch (mailErr) {
+      await Ride.updateOne({ _id: rideId }, { $set: { 'receipt.emailError': mailErr.message } });
+      throw mailErr;
+    }
+  } catch (err) {
+    console.error(`[receipt] Could not send receipt for ride ${rideId}`, err);
+  }
+}
+
+module.exports = {
+  issueReceipt,
+  sendReceiptSafely,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  RECEIPTS
+};
@@ -0,0 +1,195 @@
+// In-ride chat
+// The rider and the assigned driver can message each other while the ride is accepted or in progress. Messages
+// are stored (ChatMessage) and delivered to the ride room (ride_<id>) and both personal rooms, with read receipts,
+// typing indicators and canned quick replies. Once the ride is completed or cancelled the chat is locked: the
+// history can still be read, but nothing new can be sent.
+
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const ChatMessage = require('../models/ChatMessage');
+
+const CHAT = {
+  maxLength: 1000,
+  pageSize: 50,
+  maxPageSize: 200
+};
+
+// Rides whose chat is open
+const OPEN_STATUSES = ['accepted', 'in_progress'];
+
+// Canned replies each side can send with one tap, by the sender's role
+const QUICK_REPLIES = {
+  rider: [
+    { key: 'coming_out', text: "I'm coming out now" },
+    { key: 'side_entrance', text: "I'm at the side entrance" },
+    { key: 'two_minutes', text: 'I need 2 more minutes' },
+    { key: 'where_are_you', text: 'Where are you?' },
+    { key: 'call_me', text: 'Please call me' }
+  ],
+  driver: [
+    { key: 'arrived', text: "I've arrived" },
+    { key: 'on_my_way', text: "I'm on my way" },
+    { key: 'traffic', text: "I'm stuck in traffic, running a bit late" },
+    { key: 'cant_find_you', text: "I can't find you, where are you?" },
+    { key: 'waiting_outside', text: "I'm waiting outside" }
+  ]
+};
+
+class ChatError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ChatError';
+    this.status = status;
+  }
+}
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+/**
+ * The user's side of a ride's chat
+ * @param {object} ride - Ride document
+ * @param {object} user
+ * @returns {string|null} 'rider' | 'driver', null if the user isn't part of the ride
+ */
+function chatRole(ride, user) {
+  const userId = idOf(user._id);
+  if (idOf(ride.rider) === userId) return 'rider';
+  if (user.role === 'driver' && idOf(ride.assignedDriver) === userId) return 'driver';
+  return null;
+}
+
+function isLocked(ride) {
+  return !OPEN_STATUSES.includes(ride.status);
+}
+
+// Load a ride and check the user is part of it
+async function loadChat(rideId, user) {
+  const ride = await Ride.findById(rideId).select('rider assignedDriver status');
+  if (!ride) throw new ChatError('Ride not found', 404);
+  const role = chatRole(ride, user);
+  if (!role) throw new ChatError('Only the rider and the driver of this ride can use its chat', 403);
+  return { ride, role };
+}
+
+// A message of this ride, to read or page from
+async function findMessage(ride, messageId) {
+  const message = mongoose.Types.ObjectId.isValid(messageId)
+    ? await ChatMessage.findOne({ _id: messageId, ride: ride._id }).select('createdAt')
+    : null;
+  if (!message) throw new ChatError('Message not found', 404);
+  return message;
+}
+
+// Ride room plus both personal rooms, so apps that haven't joined the ride room still get it
+function chatRooms(ride) {
+  const rooms = [`ride_${ride._id}`, `rider_${idOf(ride.rider)}`];
+  if (ride.assignedDriver) rooms.push(`driver_${idOf(ride.assignedDriver)}`);
+  return rooms;
+}
+
+/**
+ * Send a message, either free text or a quick reply
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} user - The ride's rider or assigned driver
+ * @param {object} input - { text } or { quickReply: key from QUICK_REPLIES }
+ * @returns {Promise<object>} The stored message
+ * @throws {ChatError} 409 once the chat is locked
+ */
+async function sendMessage(app, rideId, user, input = {}) {
+  const { ride, role } = await loadChat(rideId, user);
+  if (isLocked(ride)) throw new ChatError(`The chat is closed, the ride is ${ride.status}`, 409);
+
+  let text;
+  let quickReply;
+  if (input.quickReply) {
+    const reply = QUICK_REPLIES[role].find(r => r.key === input.quickReply);
+    if (!reply) throw new ChatError(`Unknown quick reply: ${input.quickReply}`);
+    text = reply.text;
+    quickReply = reply.key;
+  } else {
+    text = typeof input.text === 'string' ? input.text.trim() : '';
+    if (!text) throw new ChatError('text or quickReply is required');
+    if (text.length > CHAT.maxLength) throw new ChatError(`Messages can be at most ${CHAT.maxLength} characters`);
+  }
+
+  const message = await ChatMessage.create({ ride: ride._id, sender: user._id, senderRole: role, text, quickReply });
+  const io = app.get('io');
+  if (io) io.to(chatRooms(ride)).emit('chatMessage', { rideId: ride._id.toString(), message });
+  return message;
+}
+
+/**
+ * Mark the other side's messages as read
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} user - The ride's rider or assigned driver
+ * @param {string} upTo - Last message read (optional, defaults to everything)
+ * @returns {Promise<object>} { read: number of messages marked, readAt }
+ */
+async function markRead(app, rideId, user, upTo) {
+  const { ride, role } = await loadChat(rideId, user);
+  const filter = { ride: ride._id, sender: { $ne: user._id }, readAt: null };
+  if (upTo) {
+    const last = await findMessage(ride, upTo);
+    filter.createdAt = { $lte: last.createdAt };
+  }
+  const readAt = new Date();
+  const result = await ChatMessage.updateMany(filter, { $set: { readAt } });
+  if (result.modifiedCount > 0) {
+    const io = app.get('io');
+    if (io) io.to(chatRooms(ride)).emit('chatRead', { rideId: ride._id.toString(), readerRole: role, upTo: upTo || null, readAt });
+  }
+  return { read: result.modifiedCount, readAt };
+}
+
+/**
+ * Tell the other side the user is (or stopped) typing. Nothing is stored
+ * @param {object} socket - The typing user's socket (excluded from the event)
+ * @param {string} rideId
+ * @param {object} user - The ride's rider or assigned driver
+ * @param {boolean} typing
+ */
+async function sendTyping(socket, rideId, user, typing) {
+  const { ride, role } = await loadChat(rideId, user);
+  if (isLocked(ride)) return;
+  socket.to(chatRooms(ride)).emit('chatTyping', { rideId: ride._id.toString(), role, typing: !!typing });
+}
+
+/**
+ * A page of a ride's chat, oldest first
+ * @param {string} rideId
+ * @param {object} user - The ride's rider or assigned driver
+ * @param {object} options - { before: message id to page back from, limit }
+ * @returns {Promise<object>} { messages, hasMore, unread, locked, quickReplies }
+ */
+async function getHistory(rideId, user, { before, limit } = {}) {
+  const { ride, role } = await loadChat(rideId, user);
+  const pageSize = Math.max(1, Math.min(parseInt(limit) || CHAT.pageSize, CHAT.maxPageSize));
+  const filter = { ride: ride._id };
+  if (before) {
+    const first = await findMessage(ride, before);
+    filter.createdAt = { $lt: first.createdAt };
+  }
+  const newestFirst = await ChatMessage.find(filter).sort({ createdAt: -1 }).limit(pageSize + 1).lean();
+  const unread = await ChatMessage.countDocuments({ ride: ride._id, sender: { $ne: user._id }, readAt: null });
+  return {
+    messages: newestFirst.slice(0, pageSize).reverse(),
+    hasMore: newestFirst.length > pageSize,
+    unread,
+    locked: isLocked(ride),
+    quickReplies: QUICK_REPLIES[role]
+  };
+}
+
+module.exports = {
+  sendMessage,
+  markRead,
+  sendTyping,
+  getHistory,
+  QUICK_REPLIES,
+  CHAT,
+  ChatError
+};
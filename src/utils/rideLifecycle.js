@@ -0,0 +1,157 @@
+// Ride lifecycle state machine
+// Every change of Ride.status goes through transitionRide() so that the legal transitions,
+// the statusHistory audit trail and the socket notifications live in one place.
+
+const Ride = require('../models/Ride');
+const { forgetRide } = require('./rideTrack');
+
+// Legal transitions for the Ride.status enum
+const TRANSITIONS = {
+  open: ['pending', 'accepted', 'cancelled'],     // offered to a driver, taken from the open list, or cancelled
+  pending: ['open', 'accepted', 'cancelled'],     // offered driver declined/timed out, accepted, or cancelled
+  accepted: ['in_progress', 'cancelled'],         // driver picked the rider up, or cancelled before pickup
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: []
+};
+
+// Socket event emitted (besides rideStatusChanged) when a ride enters a status, and who receives it
+const STATUS_EVENTS = {
+  open: { event: 'rideDeclined', to: ['ride'] },
+  accepted: { event: 'rideAccepted', to: ['ride', 'rider'] },
+  in_progress: { event: 'rideStarted', to: ['ride', 'rider'] },
+  completed: { event: 'rideEnded', to: ['ride', 'rider', 'driver'] },
+  cancelled: { event: 'rideCancelled', to: ['ride', 'rider', 'driver'] }
+};
+
+class RideTransitionError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.name = 'RideTransitionError';
+    this.status = status;
+  }
+}
+
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Notify everyone involved in a ride about a status change
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Ride document after the transition
+ * @param {string} from - Previous status
+ * @param {object} options - Same options passed to transitionRide
+ */
+function emitTransition(app, ride, from, options) {
+  const io = app.get('io');
+  if (!io) return;
+  const rideId = ride._id.toString();
+  const riderId = ride.rider.toString();
+  const driverId = (options.driverId || ride.assignedDriver || '').toString() || null;
+  const roomsFor = (targets) => targets
+    .map(t => (t === 'ride' ? `ride_${rideId}` : t === 'rider' ? `rider_${riderId}` : driverId && `driver_${driverId}`))
+    .filter(Boolean);
+
+  const entry = ride.statusHistory[ride.statusHistory.length - 1];
+  io.to(roomsFor(['ride', 'rider', 'driver'])).emit('rideStatusChanged', {
+    rideId,
+    from,
+    to: ride.status,
+    at: entry && entry.at,
+    actorRole: entry && entry.actorRole,
+    reason: entry && entry.reason
+  });
+
+  const statusEvent = STATUS_EVENTS[ride.status];
+  if (statusEvent) {
+    io.to(roomsFor(statusEvent.to)).emit(statusEvent.event, { rideId, driverId, riderId, ...(options.eventPayload || {}) });
+  }
+
+  // The ride's chat is read-only from now on (see utils/rideChat)
+  if (['completed', 'cancelled'].includes(ride.status)) {
+    io.to(roomsFor(['ride', 'rider', 'driver'])).emit('chatLocked', { rideId, status: ride.status });
+  }
+}
+
+/**
+ * Keep the in-memory activeRides cache (used to forward and record driver locations) in sync
+ * @param {object} app - Express app
+ * @param {object} ride - Ride document after the transition
+ */
+function syncActiveRides(app, ride) {
+  const activeRides = app.get('activeRides');
+  if (!activeRides) return;
+  const rideId = ride._id.toString();
+  if (['accepted', 'in_progress'].includes(ride.status)) {
+    activeRides[rideId] = { driverId: ride.assignedDriver.toString(), riderId: ride.rider.toString(), status: ride.status };
+  } else if (['completed', 'cancelled'].includes(ride.status)) {
+    delete activeRides[rideId];
+    forgetRide(rideId);
+  }
+}
+
+/**
+ * Atomically move a ride to a new status, append to statusHistory and emit socket events.
+ * @param {object} app - Express app (holds io and activeRides)
+ * @param {string} rideId
+ * @param {string} to - Target status
+ * @param {object} options
+ * @param {object} options.actor - User performing the transition (omit for system transitions)
+ * @param {string} options.actorRole - 'rider' | 'driver' | 'system' (defaults to actor.role)
+ * @param {string} options.reason - Optional free-text reason stored in the history
+ * @param {Array<string>} options.from - Restrict the statuses this entry point may transition from
+ * @param {object} options.filter - Extra conditions the ride must match (e.g. { assignedDriver })
+ * @param {object} options.set - Extra fields to $set together with the status
+ * @param {object} options.addToSet - Extra fields to $addToSet together with the status
+ * @param {string} options.driverId - Driver to notify when the ride no longer references them
+ * @param {object} options.eventPayload - Extra data merged into the status-specific socket event
+ * @param {boolean} options.notify - Emit socket events (default true)
+ * @returns {Promise<object>} The updated ride
+ * @throws {RideTransitionError} 404 if the ride does not exist, 409 if the transition is not allowed
+ */
+async function transitionRide(app, rideId, to, options = {}) {
+  if (!TRANSITIONS[to]) throw new RideTransitionError(`Unknown ride status: ${to}`, 400);
+
+  const current = await Ride.findById(rideId).select('status');
+  if (!current) throw new RideTransitionError('Ride not found', 404);
+  const from = current.status;
+  if (!canTransition(from, to) || (options.from && !options.from.includes(from))) {
+    throw new RideTransitionError(`Cannot change ride from ${from} to ${to}`);
+  }
+
+  const actor = options.actor || null;
+  const entry = {
+    from,
+    to,
+    at: new Date(),
+    actor: actor ? actor._id : null,
+    actorRole: options.actorRole || (actor ? actor.role : 'system'),
+    reason: options.reason
+  };
+  const update = {
+    $set: { ...(options.set || {}), status: to },
+    $push: { statusHistory: entry }
+  };
+  if (options.addToSet) update.$addToSet = options.addToSet;
+
+  // Conditional on the status we just read, so concurrent transitions cannot both win
+  const ride = await Ride.findOneAndUpdate(
+    { ...(options.filter || {}), _id: rideId, status: from },
+    update,
+    { new: true }
+  );
+  if (!ride) throw new RideTransitionError(`Ride is no longer ${from} or does not match the request`);
+
+  console.log(`[lifecycle] Ride ${ride._id}: ${from} -> ${to} (${entry.actorRole}${entry.actor ? ' ' + entry.actor : ''})`);
+  syncActiveRides(app, ride);
+  if (options.notify !== false) emitTransition(app, ride, from, options);
+  return ride;
+}
+
+module.exports = {
+  transitionRide,
+  canTransition,
+  RideTransitionError,
+  TRANSITIONS
+};
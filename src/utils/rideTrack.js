@@ -0,0 +1,173 @@
+// Recording and exporting the GPS route driven for a ride
+
+const RideTrack = require('../models/RideTrack');
+const { getDistanceKm } = require('./geo');
+
+const TRACKING = {
+  minIntervalMs: 5000, // store at most one sample every 5s per ride
+  minDistanceKm: 0.01, // ...unless the car moved at least 10 m
+  maxSpeedKmh: 250, // drop samples implying an impossible jump (GPS glitches)
+  waitingSpeedKmh: 5 // below this speed the car counts as waiting (traffic jams, stops)
+};
+
+// Last stored sample per ride, so throttling doesn't need a DB read: { rideId: { latitude, longitude, at } }
+const lastSamples = {};
+
+/**
+ * Store a driver location sample for a ride (throttled)
+ * @param {string} rideId
+ * @param {string} driverId
+ * @param {object} sample
+ * @param {number} sample.latitude
+ * @param {number} sample.longitude
+ * @param {string} sample.status - Ride status at the time of the sample ('accepted' | 'in_progress')
+ * @returns {Promise<boolean>} true if the sample was stored
+ */
+async function recordSample(rideId, driverId, { latitude, longitude, status }) {
+  const key = rideId.toString();
+  const now = Date.now();
+  const last = lastSamples[key];
+  if (last) {
+    const movedKm = getDistanceKm(last.latitude, last.longitude, latitude, longitude);
+    const elapsedMs = now - last.at;
+    if (elapsedMs < TRACKING.minIntervalMs && movedKm < TRACKING.minDistanceKm) return false;
+    if (elapsedMs > 0 && movedKm / (elapsedMs / 3600000) > TRACKING.maxSpeedKmh) return false;
+  }
+  lastSamples[key] = { latitude, longitude, at: now };
+
+  await RideTrack.updateOne(
+    { ride: rideId },
+    {
+      $setOnInsert: { driver: driverId },
+      $push: { points: { latitude, longitude, at: new Date(now), status } }
+    },
+    { upsert: true }
+  );
+  return true;
+}
+
+// Stop throttling state for a finished ride
+function forgetRide(rideId) {
+  delete lastSamples[rideId.toString()];
+}
+
+/**
+ * Sum the distance between consecutive points
+ * @param {Array<{latitude: number, longitude: number}>} points
+ * @returns {number} Distance in kilometers
+ */
+function pathDistanceKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += getDistanceKm(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+  return total;
+}
+
+/**
+ * Time spent (nearly) standing still between consecutive points
+ * @param {Array<{latitude: number, longitude: number, at: Date}>} points
+ * @returns {number} Waiting time in seconds
+ */
+function waitingSeconds(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const seconds = (new Date(points[i].at) - new Date(points[i - 1].at)) / 1000;
+    if (seconds <= 0) continue;
+    const km = getDistanceKm(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+    if (km / (seconds / 3600) < TRACKING.waitingSpeedKmh) total += seconds;
+  }
+  return Math.round(total);
+}
+
+/**
+ * Driven distance and duration for a ride
+ * @param {object} ride - Ride document (statusHistory is used for the trip duration)
+ * @param {Array} points - RideTrack points
+ * @returns {object} { distanceKm, pickupDistanceKm, durationSeconds, waitingSeconds, startedAt, endedAt }
+ */
+function computeTrackStats(ride, points) {
+  const tripPoints = points.filter(p => p.status === 'in_progress');
+  const pickupPoints = points.filter(p => p.status === 'accepted');
+
+  // Prefer the lifecycle timestamps; fall back to the first/last trip sample
+  const history = ride.statusHistory || [];
+  const startEntry = history.find(h => h.to === 'in_progress');
+  const endEntry = history.find(h => h.to === 'completed');
+  const startedAt = startEntry ? startEntry.at : (tripPoints[0] && tripPoints[0].at);
+  const endedAt = endEntry ? endEntry.at : (tripPoints.length ? tripPoints[tripPoints.length - 1].at : null);
+  const durationSeconds = startedAt && endedAt ? Math.max(0, Math.round((new Date(endedAt) - new Date(startedAt)) / 1000)) : 0;
+
+  return {
+    distanceKm: Math.round(pathDistanceKm(tripPoints) * 1000) / 1000,
+    pickupDistanceKm: Math.round(pathDistanceKm(pickupPoints) * 1000) / 1000,
+    durationSeconds,
+    waitingSeconds: waitingSeconds(tripPoints),
+    startedAt: startedAt || null,
+    endedAt: endedAt || null
+  };
+}
+
+/**
+ * GeoJSON Feature with a LineString of the trace ([lng, lat] like the Ride locations)
+ * @param {string} rideId
+ * @param {Array} points
+ * @param {object} stats - Result of computeTrackStats
+ * @returns {object}
+ */
+function trackToGeoJSON(rideId, points, stats) {
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(p => [p.longitude, p.latitude])
+    },
+    properties: {
+      rideId: rideId.toString(),
+      timestamps: points.map(p => p.at),
+      statuses: points.map(p => p.status),
+      ...stats
+    }
+  };
+}
+
+function escapeXml(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * GPX 1.1 document with one track segment per ride phase (to pickup, trip)
+ * @param {string} rideId
+ * @param {Array} points
+ * @returns {string}
+ */
+function trackToGpx(rideId, points) {
+  const segment = (pts) => [
+    '    <trkseg>',
+    ...pts.map(p => `      <trkpt lat="${p.latitude}" lon="${p.longitude}"><time>${new Date(p.at).toISOString()}</time></trkpt>`),
+    '    </trkseg>'
+  ].join('\n');
+  const segments = ['accepted', 'in_progress']
+    .map(status => points.filter(p => p.status === status))
+    .filter(pts => pts.length > 0)
+    .map(segment);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="taxi-backend" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <trk>',
+    `    <name>Ride ${escapeXml(rideId)}</name>`,
+    ...segments,
+    '  </trk>',
+    '</gpx>'
+  ].join('\n');
+}
+
+module.exports = {
+  recordSample,
+  forgetRide,
+  computeTrackStats,
+  trackToGeoJSON,
+  trackToGpx,
+  TRACKING
+};
@@ -0,0 +1,466 @@
+// Scheduled rides
+// Riders can book a ride for later (scheduledFor). The ride stays 'open' and out of the dispatch engine until
+// SCHEDULING.dispatchLeadMinutes before pickup. Until then drivers can pre-accept it, and a driver booked with
+// book-driver is asked to. The scheduler state lives on the ride (Ride.scheduling) and every step is claimed
+// with a conditional update, so a restart or a second instance neither loses nor repeats anything.
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { sendMail, escapeHtml } = require('./email');
+const { getDistanceKm } = require('./geo');
+const { formatLocalTime } = require('./holidays');
+const { dispatchRide, priceForDriver, DISPATCH } = require('./dispatch');
+const { transitionRide, RideTransitionError } = require('./rideLifecycle');
+const { requestRidePayments, releaseShares } = require('./fareShares');
+const { releasePromo } = require('./promos');
+const { publicRating } = require('./ratings');
+const { activeCarOf, rideFilterForCar } = require('./carCapabilities');
+
+const SCHEDULING = {
+  minLeadMinutes: parseFloat(process.env.SCHEDULE_MIN_LEAD_MINUTES) || 30, // book at least 30 minutes ahead
+  maxDaysAhead: parseFloat(process.env.SCHEDULE_MAX_DAYS_AHEAD) || 7,
+  dispatchLeadMinutes: parseFloat(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES) || 15, // start dispatching 15 minutes before pickup
+  reminderMinutes: parseFloat(process.env.SCHEDULE_REMINDER_MINUTES) || 60,
+  missedGraceMinutes: parseFloat(process.env.SCHEDULE_MISSED_GRACE_MINUTES) || 30, // cancel rides still without a driver this long after pickup
+  redispatchMinutes: parseFloat(process.env.SCHEDULE_REDISPATCH_MINUTES) || 2, // dispatch again rides left open this long
+  sweepMs: 30 * 1000
+};
+
+class ScheduleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.status = status;
+  }
+}
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+/**
+ * Validate a requested pickup time
+ * @param {Date|string|number} value - scheduledFor from the request
+ * @param {Date} now
+ * @param {object} options
+ * @param {number} options.minLeadMinutes - Defaults to SCHEDULING.minLeadMinutes. 0 when redeeming a quote,
+ *   whose pickup time was checked when it was issued
+ * @returns {Date|null} The pickup time, or null when the ride is for right now
+ * @throws {ScheduleError} When the time is invalid, too soon or too far ahead
+ */
+function parseScheduledFor(value, now = new Date(), { minLeadMinutes = SCHEDULING.minLeadMinutes } = {}) {
+  if (value == null || value === '') return null;
+  const scheduledFor = new Date(value);
+  if (Number.isNaN(scheduledFor.getTime())) throw new ScheduleError('scheduledFor must be a valid date');
+  const leadMinutes = (scheduledFor - now) / 60000;
+  if (leadMinutes <= 0) throw new ScheduleError('scheduledFor must be in the future');
+  if (leadMinutes < minLeadMinutes) {
+    throw new ScheduleError(`Scheduled rides must be booked at least ${SCHEDULING.minLeadMinutes} minutes ahead`);
+  }
+  if (leadMinutes > SCHEDULING.maxDaysAhead * 24 * 60) {
+    throw new ScheduleError(`Scheduled rides can be booked at most ${SCHEDULING.maxDaysAhead} days ahead`);
+  }
+  return scheduledFor;
+}
+
+/**
+ * Ride fields for a ride booked for later
+ * @param {Date} scheduledFor
+ * @param {string} requestedDriver - Driver booked with book-driver (optional)
+ * @returns {object}
+ */
+function schedulingFields(scheduledFor, requestedDriver) {
+  return {
+    scheduledFor,
+    scheduling: {
+      dispatchAt: new Date(scheduledFor.getTime() - SCHEDULING.dispatchLeadMinutes * 60 * 1000),
+      requestedDriver: requestedDriver || undefined
+    }
+  };
+}
+
+/**
+ * Whether a ride is booked for later and the scheduler hasn't started dispatching it yet
+ * @param {object} ride - Ride document
+ * @returns {boolean}
+ */
+function isAwaitingDispatch(ride) {
+  return !!(ride.scheduledFor && ride.status === 'open' && !(ride.scheduling && ride.scheduling.dispatchedAt));
+}
+
+// Query for scheduled rides that a driver may still pre-accept
+function preAcceptableFilter(driverId) {
+  return {
+    status: 'open',
+    scheduledFor: { $ne: null },
+    'scheduling.dispatchedAt': null,
+    'scheduling.preAcceptedBy': null,
+    declinedDrivers: { $ne: driverId },
+    $or: [{ 'scheduling.requestedDriver': null }, { 'scheduling.requestedDriver': driverId }]
+  };
+}
+
+async function notify(app, room, event, payload, mail) {
+  const io = app.get('io');
+  if (io) io.to(room).emit(event, payload);
+  if (!mail || !mail.to) return;
+  try {
+    await sendMail(mail);
+  } catch (mailErr) {
+    console.error(`Failed to send ${event} email:`, mailErr);
+  }
+}
+
+/**
+ * Ask the driver a rider booked for later to pre-accept the ride
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Scheduled ride document
+ * @param {object} driver - Requested driver
+ */
+async function requestPreAccept(app, ride, driver) {
+  const pickupAt = formatLocalTime(ride.scheduledFor);
+  await notify(app, `driver_${idOf(driver._id)}`, 'scheduledRideRequest', {
+    rideId: ride._id.toString(),
+    scheduledFor: ride.scheduledFor,
+    pickupAddress: ride.pickupAddress,
+    destinationAddress: ride.destinationAddress,
+    passengerCount: ride.passengerCount,
+    estimatedPrice: (ride.amount || 0) / 100,
+    currency: 'NOK'
+  }, {
+    to: driver.email,
+    subject: `Ride request for ${pickupAt}`,
+    html: `<p>A rider has booked you for a ride at ${pickupAt} from ${escapeHtml(ride.pickupAddress || 'the pickup')} to ${escapeHtml(ride.destinationAddress || 'the destination')}.</p><p>Pre-accept or decline it in the app.</p>`
+  });
+}
+
+/**
+ * Driver commits to a scheduled ride ahead of time. The ride stays open until it is due, then it is
+ * accepted for this driver without going through dispatch
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} driver - Driver user document
+ * @returns {Promise<object>} The updated ride
+ * @throws {ScheduleError}
+ */
+async function preAcceptRide(app, rideId, driver) {
+  const car = await activeCarOf(driver._id);
+  if (!car) throw new ScheduleError('Activate a car before pre-accepting rides', 409);
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, ...preAcceptableFilter(driver._id), ...rideFilterForCar(car) },
+    { $set: { 'scheduling.preAcceptedBy': driver._id, 'scheduling.preAcceptedAt': new Date() } },
+    { new: true }
+  );
+  if (!ride) throw new ScheduleError("Ride is not available for pre-acceptance, or your car can't take it", 409);
+  console.log(`[schedule] Driver ${driver._id} pre-accepted ride ${ride._id} for ${ride.scheduledFor.toISOString()}`);
+
+  const rider = await User.findById(ride.rider).select('email');
+  const pickupAt = formatLocalTime(ride.scheduledFor);
+  await notify(app, `rider_${idOf(ride.rider)}`, 'scheduledRideConfirmed', {
+    rideId: ride._id.toString(),
+    scheduledFor: ride.scheduledFor,
+    driver: { id: driver._id, name: driver.name, phone: driver.phone, carType: car.carType }
+  }, rider && {
+    to: rider.email,
+    subject: `Your ride at ${pickupAt} has a driver`,
+    html: `<p>${escapeHtml(driver.name || 'A driver')} will pick you up at ${pickupAt}.</p><p>View details: <a href="${process.env.FRONTEND_URL}/ride/${ride._id}">Open ride</a></p>`
+  });
+  return ride;
+}
+
+/**
+ * Driver backs out of a scheduled ride they pre-accepted (or declines one they were booked for)
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} driver - Driver user document
+ * @returns {Promise<object|null>} The updated ride, or null if the driver had no claim on it
+ */
+async function withdrawFromScheduledRide(app, rideId, driver) {
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: 'open',
+      'scheduling.dispatchedAt': null,
+      $or: [{ 'scheduling.preAcceptedBy': driver._id }, { 'scheduling.requestedDriver': driver._id }]
+    },
+    {
+      $unset: { 'scheduling.preAcceptedBy': 1, 'scheduling.preAcceptedAt': 1, 'scheduling.requestedDriver': 1, 'scheduling.driverRemindedAt': 1 },
+      $addToSet: { declinedDrivers: driver._id }
+    },
+    { new: true }
+  );
+  if (!ride) return null;
+  console.log(`[schedule] Driver ${driver._id} withdrew from scheduled ride ${ride._id}`);
+  await notify(app, `rider_${idOf(ride.rider)}`, 'scheduledRideDriverWithdrew', {
+    rideId: ride._id.toString(),
+    scheduledFor: ride.scheduledFor,
+    message: 'Your driver can no longer take this ride. We will find another driver before pickup.'
+  });
+  return ride;
+}
+
+/**
+ * Accept a due ride for the driver who pre-accepted it
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Ride document (claimed for dispatch)
+ * @returns {Promise<object|null>} The accepted ride, or null if the driver isn't online to take it
+ */
+async function acceptForPreAcceptedDriver(app, ride) {
+  const driverId = idOf(ride.scheduling.preAcceptedBy);
+  const driverSocketMap = app.get('driverSocketMap') || {};
+  const driver = await User.findById(driverId);
+  if (!driver || !driverSocketMap[driverId]) return null;
+  const car = await activeCarOf(driver._id);
+
+  const set = { assignedDriver: driver._id };
+  // A ride booked from a signed quote keeps the quoted price
+  if (!ride.quoteId) {
+    const loc = (app.get('driverLocations') || {})[driverId];
+    const [pickupLng, pickupLat] = ride.pickupLocation.coordinates;
+    const driverToPickupKm = loc && loc.latitude != null ? getDistanceKm(loc.latitude, loc.longitude, pickupLat, pickupLng) : 0;
+    const pricing = priceForDriver(ride, car, driverToPickupKm);
+    if (pricing) {
+      Object.assign(set, {
+        amount: pricing.totalPrice,
+        currency: 'nok',
+        estimatedDistance: pricing.tripDistanceKm,
+        fareEstimate: pricing,
+        tariffVersion: pricing.tariffVersion
+      });
+    }
+  }
+
+  let accepted;
+  try {
+    accepted = await transitionRide(app, ride._id, 'accepted', {
+      actorRole: 'system',
+      reason: 'pre_accepted',
+      from: ['open'],
+      filter: { 'scheduling.preAcceptedBy': driver._id },
+      set,
+      eventPayload: {
+        driver: { id: driver._id, name: driver.name, phone: driver.phone, carType: ride.carType || (car && car.carType), rating: publicRating(driver) },
+        amount: set.amount || ride.amount,
+        currency: set.currency || ride.currency || 'nok'
+      }
+    });
+  } catch (err) {
+    if (err instanceof RideTransitionError) return null;
+    throw err;
+  }
+  await notify(app, `driver_${driverId}`, 'scheduledRideDue', {
+    rideId: accepted._id.toString(),
+    scheduledFor: accepted.scheduledFor,
+    pickupAddress: accepted.pickupAddress,
+    pickupLocation: accepted.pickupLocation
+  });
+  await requestRidePayments(app, accepted);
+  return accepted;
+}
+
+/**
+ * Start dispatching a scheduled ride: hand it to the driver who pre-accepted it, or to the dispatch engine.
+ * A pre-accepted driver who is offline keeps the ride until pickup time, the next scheduler pass tries again
+ * @param {object} app - Express app
+ * @param {string} rideId
+ * @returns {Promise<object|null>} The accepted or offered ride
+ */
+async function dispatchScheduledRide(app, rideId) {
+  // Claim so only one scheduler run dispatches the ride
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, status: 'open', 'scheduling.dispatchedAt': null },
+    { $set: { 'scheduling.dispatchedAt': new Date() } },
+    { new: true }
+  );
+  if (!ride) return null;
+
+  if (ride.scheduling.preAcceptedBy) {
+    const accepted = await acceptForPreAcceptedDriver(app, ride);
+    if (accepted) {
+      console.log(`[schedule] Ride ${ride._id} accepted for pre-accepted driver ${accepted.assignedDriver}`);
+      return accepted;
+    }
+    if (new Date() < ride.scheduledFor) {
+      // Give the claim back so the next pass retries once the driver is online
+      await Ride.updateOne(
+        { _id: ride._id, status: 'open', 'scheduling.dispatchedAt': ride.scheduling.dispatchedAt },
+        { $set: { 'scheduling.dispatchedAt': null } }
+      );
+      console.log(`[schedule] Pre-accepted driver ${ride.scheduling.preAcceptedBy} is offline, retrying ride ${ride._id}`);
+      return null;
+    }
+    // Not declined: they can still be offered the ride if they come back
+    console.log(`[schedule] ⚠️ Pre-accepted driver ${ride.scheduling.preAcceptedBy} is still offline at pickup, dispatching ride ${ride._id} to others`);
+  }
+  console.log(`[schedule] Dispatching scheduled ride ${ride._id} (pickup ${ride.scheduledFor.toISOString()})`);
+  return dispatchRide(app, ride._id);
+}
+
+/**
+ * Remind riders (and drivers who pre-accepted) of rides starting within SCHEDULING.reminderMinutes
+ * @param {object} app - Express app (holds io)
+ * @returns {Promise<number>} Reminders sent
+ */
+async function sendReminders(app) {
+  const horizon = new Date(Date.now() + SCHEDULING.reminderMinutes * 60 * 1000);
+  const base = { status: { $in: ['open', 'pending', 'accepted'] }, scheduledFor: { $ne: null, $lte: horizon } };
+  let sent = 0;
+
+  for (const who of ['rider', 'driver']) {
+    const flag = `scheduling.${who}RemindedAt`;
+    const filter = { ...base, [flag]: null, ...(who === 'driver' ? { 'scheduling.preAcceptedBy': { $ne: null } } : {}) };
+    const due = await Ride.find(filter).select('_id');
+    for (const { _id } of due) {
+      // Claim the reminder before sending it
+      const ride = await Ride.findOneAndUpdate({ ...filter, _id }, { $set: { [flag]: new Date() } }, { new: true });
+      if (!ride) continue;
+      const userId = who === 'rider' ? ride.rider : ride.scheduling.preAcceptedBy;
+      const user = await User.findById(userId).select('email');
+      const pickupAt = formatLocalTime(ride.scheduledFor);
+      await notify(app, `${who}_${idOf(userId)}`, 'scheduledRideReminder', {
+        rideId: ride._id.toString(),
+        scheduledFor: ride.scheduledFor,
+        pickupAddress: ride.pickupAddress,
+        destinationAddress: ride.destinationAddress
+      }, user && {
+        to: user.email,
+        subject: `Reminder: ride at ${pickupAt}`,
+        html: `<p>Your ride from ${escapeHtml(ride.pickupAddress || 'the pickup')} to ${escapeHtml(ride.destinationAddress || 'the destination')} is scheduled for ${pickupAt}.</p><p>View details: <a href="${process.env.FRONTEND_URL}/ride/${ride._id}">Open ride</a></p>`
+      });
+      sent++;
+    }
+  }
+  return sent;
+}
+
+/**
+ * Dispatch again scheduled rides still open SCHEDULING.redispatchMinutes after they were dispatched (no driver
+ * took them, or none was online yet), until a driver accepts or cancelMissedRides gives up on them
+ * @param {object} app - Express app
+ * @returns {Promise<number>} Rides dispatched again
+ */
+async function redispatchStalledRides(app) {
+  const cutoff = new Date(Date.now() - SCHEDULING.redispatchMinutes * 60 * 1000);
+  const filter = {
+    status: 'open',
+    scheduledFor: { $ne: null },
+    'scheduling.dispatchedAt': { $lte: cutoff },
+    $or: [{ 'scheduling.redispatchedAt': null }, { 'scheduling.redispatchedAt': { $lte: cutoff } }]
+  };
+  const stalled = await Ride.find(filter).select('_id');
+  let redispatched = 0;
+  for (const { _id } of stalled) {
+    // Claim so only one scheduler run dispatches the ride again
+    const ride = await Ride.findOneAndUpdate({ ...filter, _id }, { $set: { 'scheduling.redispatchedAt': new Date() } });
+    if (!ride) continue;
+    console.log(`[schedule] Scheduled ride ${ride._id} is still open, dispatching it again`);
+    try {
+      await dispatchRide(app, ride._id);
+      redispatched++;
+    } catch (err) {
+      console.error(`[schedule] Could not dispatch scheduled ride ${ride._id} again`, err);
+    }
+  }
+  return redispatched;
+}
+
+/**
+ * Cancel rides still without a driver more than SCHEDULING.missedGraceMinutes after their pickup time (the
+ * server was down, or no driver took them), rather than sending a driver that late, and tell the rider.
+ * Nothing is charged
+ * @param {object} app - Express app (holds io)
+ * @returns {Promise<number>} Rides cancelled
+ */
+async function cancelMissedRides(app) {
+  const cutoff = new Date(Date.now() - SCHEDULING.missedGraceMinutes * 60 * 1000);
+  const filter = { status: 'open', scheduledFor: { $ne: null, $lt: cutoff } };
+  const missed = await Ride.find(filter).select('_id scheduling.preAcceptedBy');
+  let cancelled = 0;
+  for (const { _id, scheduling } of missed) {
+    const message = 'We could not find a driver for your scheduled ride in time, so it was cancelled. You have not been charged.';
+    let ride;
+    try {
+      ride = await transitionRide(app, _id, 'cancelled', {
+        actorRole: 'system',
+        reason: 'missed',
+        from: ['open'],
+        set: { cancellation: { by: 'system', reason: 'missed', at: new Date(), policy: 'missed', fee: 0, feeCharged: 0, refundAmount: 0, refundStatus: 'none' } },
+        driverId: scheduling && scheduling.preAcceptedBy ? scheduling.preAcceptedBy : undefined,
+        eventPayload: { message, cancelledBy: 'system', fee: 0 }
+      });
+    } catch (err) {
+      if (err instanceof RideTransitionError) continue;
+      throw err;
+    }
+    await releasePromo(ride._id);
+    await releaseShares(ride);
+    console.log(`[schedule] ⚠️ Cancelled ride ${ride._id}: pickup at ${ride.scheduledFor.toISOString()} was missed`);
+
+    const rider = await User.findById(ride.rider).select('email');
+    const pickupAt = formatLocalTime(ride.scheduledFor);
+    await notify(app, `rider_${idOf(ride.rider)}`, 'scheduledRideMissed', {
+      rideId: ride._id.toString(),
+      scheduledFor: ride.scheduledFor,
+      message
+    }, rider && {
+      to: rider.email,
+      subject: `Your ride at ${pickupAt} was cancelled`,
+      html: `<p>${message}</p><p>Please book a new ride if you still need one.</p>`
+    });
+    cancelled++;
+  }
+  return cancelled;
+}
+
+/**
+ * One scheduler pass: cancel rides missed for too long, send due reminders, start dispatching rides whose
+ * dispatch time has come and dispatch again the ones no driver took
+ * @param {object} app - Express app
+ */
+async function runScheduler(app) {
+  await cancelMissedRides(app);
+  await sendReminders(app);
+  await redispatchStalledRides(app);
+  const due = await Ride.find({ status: 'open', 'scheduling.dispatchAt': { $lte: new Date() }, 'scheduling.dispatchedAt': null })
+    .sort({ 'scheduling.dispatchAt': 1 })
+    .select('_id');
+  for (const { _id } of due) {
+    try {
+      await dispatchScheduledRide(app, _id);
+    } catch (err) {
+      console.error(`[schedule] Could not dispatch scheduled ride ${_id}`, err);
+    }
+  }
+}
+
+/**
+ * Run the scheduler periodically. The first pass (catching up on anything missed while the server was down)
+ * waits DISPATCH.reconnectGraceMs, so drivers who pre-accepted rides have reconnected by then
+ * @param {object} app - Express app
+ * @returns {object} The timeout handle of the first pass
+ */
+function startRideScheduler(app) {
+  const run = () => runScheduler(app).catch(err => console.error('[schedule] Error running ride scheduler', err));
+  return setTimeout(() => {
+    run();
+    setInterval(run, SCHEDULING.sweepMs);
+  }, DISPATCH.reconnectGraceMs);
+}
+
+module.exports = {
+  parseScheduledFor,
+  schedulingFields,
+  isAwaitingDispatch,
+  preAcceptableFilter,
+  requestPreAccept,
+  preAcceptRide,
+  withdrawFromScheduledRide,
+  dispatchScheduledRide,
+  sendReminders,
+  cancelMissedRides,
+  redispatchStalledRides,
+  runScheduler,
+  startRideScheduler,
+  SCHEDULING,
+  ScheduleError
+};
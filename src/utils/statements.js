@@ -0,0 +1,107 @@
+// Driver earnings statements (CSV and PDF) rendered from ledger entries
+
+const PDFDocument = require('pdfkit');
+const { getLocalParts, formatLocalTime } = require('./holidays');
+
+const TYPE_LABELS = {
+  fare: 'Fare',
+  cancellation_fee: 'Cancellation fee',
+  tip: 'Tip',
+  commission: 'Commission',
+  refund: 'Refund',
+  penalty: 'Penalty'
+};
+
+function formatAmount(ore) {
+  return (ore / 100).toFixed(2);
+}
+
+function csvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a statement as CSV (one row per ledger entry, amounts in NOK)
+ * @param {Array} entries - Ledger entries, oldest first
+ * @returns {string}
+ */
+function renderCsv(entries) {
+  const rows = [['date', 'type', 'description', 'ride', 'amount_nok', 'reference']];
+  for (const entry of entries) {
+    rows.push([
+      formatLocalTime(entry.occurredAt),
+      entry.type,
+      entry.description,
+      entry.ride ? entry.ride.toString() : '',
+      formatAmount(entry.amount),
+      entry.reference
+    ]);
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Render a statement as a PDF
+ * @param {object} statement
+ * @param {object} statement.driver - { name, email }
+ * @param {Date} statement.from
+ * @param {Date} statement.to - Exclusive
+ * @param {object} statement.totals - Result of summarize
+ * @param {Array} statement.entries - Ledger entries, oldest first
+ * @returns {Promise<Buffer>}
+ */
+function renderPdf({ driver, from, to, totals, entries }) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const lastDay = new Date(to.getTime() - 1);
+    doc.fontSize(18).text('Earnings statement');
+    doc.moveDown(0.5).fontSize(10)
+      .text(`${driver.name} <${driver.email}>`)
+      .text(`Period: ${getLocalParts(from).dateKey} – ${getLocalParts(lastDay).dateKey}`)
+      .text(`Generated: ${formatLocalTime(new Date())}`);
+
+    doc.moveDown().fontSize(12).text('Summary (NOK)');
+    doc.fontSize(10);
+    const summary = [
+      ['Rides', String(totals.rides)],
+      ['Gross fares and fees', formatAmount(totals.gross)],
+      ['Tips', formatAmount(totals.tips)],
+      ['Refunds', formatAmount(totals.refunds)],
+      ['Platform commission', formatAmount(totals.commission)],
+      ['Penalties', formatAmount(totals.penalties)],
+      ['Net earnings', formatAmount(totals.net)]
+    ];
+    for (const [label, value] of summary) {
+      const y = doc.y;
+      doc.text(label, 50, y).text(value, 350, y, { width: 100, align: 'right' });
+    }
+
+    doc.moveDown().fontSize(12).text('Entries (NOK)', 50);
+    doc.fontSize(9);
+    for (const entry of entries) {
+      if (doc.y > doc.page.height - 80) doc.addPage();
+      const y = doc.y;
+      const description = entry.description || '';
+      doc.text(formatLocalTime(entry.occurredAt), 50, y, { width: 90 })
+        .text(TYPE_LABELS[entry.type] || entry.type, 145, y, { width: 80 })
+        .text(description, 230, y, { width: 220 })
+        .text(formatAmount(entry.amount), 455, y, { width: 90, align: 'right' });
+      // Descriptions may wrap: continue below the tallest cell
+      doc.y = y + Math.max(doc.heightOfString(description, { width: 220 }), doc.currentLineHeight()) + 3;
+    }
+    if (entries.length === 0) doc.text('No earnings in this period.', 50);
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  renderCsv,
+  renderPdf
+};
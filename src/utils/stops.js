@@ -0,0 +1,253 @@
+// Multi-stop rides
+// A ride can have an ordered list of intermediate stops between pickup and destination (Ride.stops). Estimates
+// are priced on the sum of the legs plus PRICING.pricePerStop per stop. The rider can change the stops that
+// haven't been reached yet until the ride ends: the ride is then re-quoted with the same car type, tariff, surge
+// and pickup time as before, and the driver gets the new route. The driver reports each stop as reached (or skipped).
+
+const Ride = require('../models/Ride');
+const stripe = require('./stripe');
+const { getDistanceKm } = require('./geo');
+const { calculateRidePrice } = require('./pricing');
+const { getTariffByVersion } = require('./tariffs');
+const { holdAmountFor } = require('./paymentHold');
+
+const STOPS = {
+  maxStops: parseInt(process.env.MAX_STOPS_PER_RIDE) || 5
+};
+
+// Rides whose stops can still be changed
+const EDITABLE_STATUSES = ['open', 'pending', 'accepted', 'in_progress'];
+// PaymentIntent states where the hold amount can still be changed
+const ADJUSTABLE_INTENT_STATES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+class StopError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'StopError';
+    this.status = status;
+  }
+}
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+function validPoint(location) {
+  const coords = location && location.coordinates;
+  return !!(coords && coords.length === 2 && coords.every(c => typeof c === 'number' && Number.isFinite(c)));
+}
+
+/**
+ * Validate stops from a request
+ * @param {Array} input - [{ address, location: GeoJSON point }]
+ * @returns {Array} Stops to store on the ride
+ * @throws {StopError} When a stop has no valid location or there are too many
+ */
+function normalizeStops(input) {
+  if (input == null) return [];
+  if (!Array.isArray(input)) throw new StopError('stops must be an array');
+  if (input.length > STOPS.maxStops) throw new StopError(`A ride can have at most ${STOPS.maxStops} stops`);
+  return input.map((stop, i) => {
+    if (!stop || !validPoint(stop.location)) throw new StopError(`Stop ${i + 1} needs a valid location`);
+    return { address: stop.address, location: { type: 'Point', coordinates: stop.location.coordinates.map(Number) } };
+  });
+}
+
+/**
+ * Leg distances of a trip through its stops
+ * @param {object} pickupLocation - GeoJSON point
+ * @param {Array} stops - Stops with a location (skipped stops are left out)
+ * @param {object} destinationLocation - GeoJSON point
+ * @returns {Array<number>|null} km per leg, null without a destination
+ */
+function getLegsKm(pickupLocation, stops, destinationLocation) {
+  if (!validPoint(pickupLocation) || !validPoint(destinationLocation)) return null;
+  const points = [pickupLocation, ...(stops || []).filter(s => s.status !== 'skipped').map(s => s.location), destinationLocation]
+    .map(p => p.coordinates);
+  const legs = [];
+  for (let i = 1; i < points.length; i++) legs.push(getDistanceKm(points[i - 1][1], points[i - 1][0], points[i][1], points[i][0]));
+  return legs;
+}
+
+/**
+ * Pricing options for a ride's route (pass to calculateRidePrice)
+ * @param {object} ride - Ride document
+ * @returns {object} { legsKm } for a multi-stop ride, {} otherwise
+ */
+function routePricingOptions(ride) {
+  if (!ride.stops || ride.stops.length === 0) return {};
+  const legsKm = getLegsKm(ride.pickupLocation, ride.stops, ride.destinationLocation);
+  return legsKm ? { legsKm } : {};
+}
+
+/**
+ * The next stop the driver should head to
+ * @param {object} ride - Ride document
+ * @returns {object|null} { index, stop } or null when only the destination is left
+ */
+function getNextStop(ride) {
+  const index = (ride.stops || []).findIndex(s => s.status === 'pending');
+  return index === -1 ? null : { index, stop: ride.stops[index] };
+}
+
+/**
+ * Route of a ride as sent to the apps
+ * @param {object} ride - Ride document
+ * @returns {object} { stops, nextStop, destinationAddress, destinationLocation }
+ */
+function routeSummary(ride) {
+  const next = getNextStop(ride);
+  return {
+    stops: ride.stops || [],
+    nextStop: next ? { index: next.index, address: next.stop.address, location: next.stop.location } : null,
+    destinationAddress: ride.destinationAddress,
+    destinationLocation: ride.destinationLocation
+  };
+}
+
+function emitToRide(app, ride, event, payload) {
+  const io = app.get('io');
+  if (!io) return;
+  const rooms = [`ride_${ride._id}`, `rider_${idOf(ride.rider)}`];
+  if (ride.assignedDriver) rooms.push(`driver_${idOf(ride.assignedDriver)}`);
+  io.to(rooms).emit(event, { rideId: ride._id.toString(), ...payload });
+}
+
+/**
+ * Tell the rider and driver where the driver is heading next
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Ride document
+ */
+function notifyNextStop(app, ride) {
+  if (!ride.stops || ride.stops.length === 0) return;
+  const route = routeSummary(ride);
+  emitToRide(app, ride, 'nextStop', {
+    nextStop: route.nextStop,
+    destination: route.nextStop ? null : { address: route.destinationAddress, location: route.destinationLocation },
+    remainingStops: ride.stops.filter(s => s.status === 'pending').length
+  });
+}
+
+// Price the ride again with its new route, keeping everything else from the current estimate
+async function requote(ride) {
+  const estimate = ride.fareEstimate || {};
+  const legsKm = getLegsKm(ride.pickupLocation, ride.stops, ride.destinationLocation);
+  if (!legsKm || !estimate.carType) return null;
+  return calculateRidePrice(0, estimate.carType, {
+    legsKm,
+    driverToPickupKm: estimate.driverToPickupKm || 0,
+    pickupTime: estimate.pickupTime,
+    surgeMultiplier: estimate.surgeMultiplier,
+    promo: ride.promo && ride.promo.code ? ride.promo : undefined,
+    tariff: await getTariffByVersion(ride.tariffVersion != null ? ride.tariffVersion : estimate.tariffVersion)
+  });
+}
+
+// A hold the rider hasn't confirmed yet follows the new estimate. Confirmed holds stay as they are: anything
+// above them is charged as a top-up at ride end
+async function adjustUnconfirmedHold(ride) {
+  if (!ride.stripePaymentIntentId || ride.paymentStatus !== 'pending') return;
+  if (ride.split && ride.split.totalAmount != null) return;
+  const pi = await stripe.paymentIntents.retrieve(ride.stripePaymentIntentId);
+  if (pi.capture_method !== 'manual' || !ADJUSTABLE_INTENT_STATES.includes(pi.status)) return;
+  const amount = holdAmountFor(ride.amount);
+  if (pi.amount === amount) return;
+  await stripe.paymentIntents.update(pi.id, { amount });
+  await Ride.updateOne({ _id: ride._id }, { $set: { authorizedAmount: amount } });
+}
+
+/**
+ * Replace the stops that haven't been reached yet and re-quote the ride
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} user - The ride's rider
+ * @param {Array} input - New remaining stops, in order
+ * @returns {Promise<object>} The updated ride
+ * @throws {StopError}
+ */
+async function updateStops(app, rideId, user, input) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new StopError('Ride not found', 404);
+  if (idOf(ride.rider) !== idOf(user._id)) throw new StopError('Only the rider can change the stops', 403);
+  if (!EDITABLE_STATUSES.includes(ride.status)) throw new StopError(`Stops can't be changed on a ${ride.status} ride`, 409);
+  if (ride.pooled) throw new StopError("Pooled rides can't have stops", 409);
+
+  // Stops already reached or skipped stay on the ride
+  const passed = (ride.stops || []).filter(s => s.status !== 'pending');
+  const remaining = normalizeStops(input);
+  if (passed.length + remaining.length > STOPS.maxStops) throw new StopError(`A ride can have at most ${STOPS.maxStops} stops`);
+  ride.stops = [...passed, ...remaining];
+
+  const set = { stops: ride.stops };
+  const pricing = ride.amount ? await requote(ride) : null;
+  if (pricing) {
+    Object.assign(set, { amount: pricing.totalPrice, estimatedDistance: pricing.tripDistanceKm, fareEstimate: pricing });
+  } else if (!ride.amount) {
+    const legsKm = getLegsKm(ride.pickupLocation, ride.stops, ride.destinationLocation);
+    if (legsKm) set.estimatedDistance = legsKm.reduce((sum, km) => sum + km, 0);
+  }
+
+  // Conditional on the stops we read, so two edits (or an edit and a reached stop) can't overwrite each other
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: { $in: EDITABLE_STATUSES }, updatedAt: ride.updatedAt },
+    { $set: set },
+    { new: true }
+  );
+  if (!updated) throw new StopError('The ride changed in the meantime, please try again', 409);
+
+  if (pricing) {
+    try {
+      await adjustUnconfirmedHold(updated);
+    } catch (err) {
+      console.error(`[stops] Could not adjust the payment hold for ride ${updated._id}`, err);
+    }
+  }
+  console.log(`[stops] Ride ${updated._id}: ${remaining.length} stop(s) ahead${pricing ? `, re-quoted at ${pricing.totalPriceNOK} NOK` : ''}`);
+  emitToRide(app, updated, 'routeUpdated', {
+    ...routeSummary(updated),
+    amount: updated.amount,
+    fareEstimate: updated.fareEstimate
+  });
+  return updated;
+}
+
+/**
+ * Driver reached (or skipped) the next stop
+ * @param {object} app - Express app (holds io)
+ * @param {string} rideId
+ * @param {object} driver - Assigned driver
+ * @param {boolean} skip - The stop was skipped (not charged)
+ * @returns {Promise<object>} The updated ride
+ * @throws {StopError}
+ */
+async function advanceStop(app, rideId, driver, skip = false) {
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new StopError('Ride not found', 404);
+  if (idOf(ride.assignedDriver) !== idOf(driver._id)) throw new StopError('You are not assigned to this ride', 403);
+  if (ride.status !== 'in_progress') throw new StopError('Stops are reached once the ride has started', 409);
+  const next = getNextStop(ride);
+  if (!next) throw new StopError('No stops left, head to the destination', 409);
+
+  const updated = await Ride.findOneAndUpdate(
+    { _id: ride._id, status: 'in_progress', stops: { $elemMatch: { _id: next.stop._id, status: 'pending' } } },
+    { $set: { 'stops.$.status': skip ? 'skipped' : 'reached', 'stops.$.reachedAt': new Date() } },
+    { new: true }
+  );
+  if (!updated) throw new StopError('The stop was already updated', 409);
+  console.log(`[stops] Ride ${updated._id}: driver ${skip ? 'skipped' : 'reached'} stop ${next.index + 1}`);
+  notifyNextStop(app, updated);
+  return updated;
+}
+
+module.exports = {
+  normalizeStops,
+  getLegsKm,
+  routePricingOptions,
+  getNextStop,
+  routeSummary,
+  notifyNextStop,
+  updateStops,
+  advanceStop,
+  STOPS,
+  StopError
+};
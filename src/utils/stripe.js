@@ -0,0 +1,14 @@
+const Stripe = require('stripe');
+
+// Shared Stripe client. STRIPE_API_HOST / STRIPE_API_PORT / STRIPE_API_PROTOCOL let local
+// development and tests point it at a Stripe stand-in (e.g. stripe-mock) instead of api.stripe.com.
+const config = {};
+if (process.env.STRIPE_API_HOST) {
+  config.host = process.env.STRIPE_API_HOST;
+  config.port = process.env.STRIPE_API_PORT || 12111;
+  config.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+}
+
+const stripe = Stripe(process.env.STRIPE_SECRET_KEY, config);
+
+module.exports = stripe;
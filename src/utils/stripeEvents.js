@@ -0,0 +1,293 @@
+// Stripe payment events
+// The webhook and POST /api/payment/confirm both end up here, so a payment is recorded (and the driver
+// notified) once, whichever reports it first. Webhook events are additionally de-duplicated by event id
+// (StripeEvent), because Stripe redelivers events it didn't get a 2xx for.
+
+const Ride = require('../models/Ride');
+const StripeEvent = require('../models/StripeEvent');
+const { markTopUpPaid, isTopUpIntent } = require('./fareMeter');
+const { markAuthorized, markReleased, isHoldIntent } = require('./paymentHold');
+const { payoutRideSafely, syncConnectAccount, refundsAfterFare } = require('./payouts');
+const { recordRefund } = require('./ledger');
+const { sendReceiptSafely } = require('./receipts');
+const { rememberSavedCard } = require('./customers');
+const { isShareIntent, markShareAuthorized, markShareFailed, markShareReleased, sharesSecured } = require('./fareShares');
+
+// An event stuck in 'processing' this long (crashed instance) may be picked up again by a redelivery
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+function idOf(ref) {
+  return ref ? (ref._id || ref).toString() : null;
+}
+
+function emitToRide(app, ride, event, payload, targets = ['rider', 'driver']) {
+  const io = app.get('io');
+  if (!io) return;
+  const rooms = [];
+  if (targets.includes('rider')) rooms.push(`rider_${idOf(ride.rider)}`);
+  if (targets.includes('driver') && ride.assignedDriver) rooms.push(`driver_${idOf(ride.assignedDriver)}`);
+  io.to(rooms).emit(event, { rideId: ride._id.toString(), ...payload });
+}
+
+/**
+ * Tell the driver the rider's payment is secured and they can head to the pickup
+ * @param {object} app - Express app (holds io)
+ * @param {object} ride - Ride document
+ */
+function notifyPaymentConfirmed(app, ride) {
+  const io = app.get('io');
+  if (!io || !ride.assignedDriver || !ride.rider) return;
+  const rideId = ride._id.toString();
+  const driverId = idOf(ride.assignedDriver);
+  const riderId = idOf(ride.rider);
+
+  io.to(`driver_${driverId}`).emit('rideStarted', {
+    rideId,
+    driverId,
+    riderId,
+    message: 'Payment confirmed. Navigate to pickup location.'
+  });
+  io.to(`ride_${rideId}`).emit('rideStarted', { rideId, driverId, riderId });
+  console.log(`[payment] Notified driver ${driverId} that ride ${rideId} is paid and ready to start`);
+}
+
+// On a split fare the driver is only sent to the pickup once every share is secured too
+function notifyIfSecured(app, ride) {
+  if (ride.status !== 'accepted' || !['authorized', 'paid'].includes(ride.paymentStatus)) return;
+  if (sharesSecured(ride)) return notifyPaymentConfirmed(app, ride);
+  const waitingFor = ride.split.participants.filter(p => p.amount && !['authorized', 'captured', 'covered'].includes(p.status));
+  emitToRide(app, ride, 'splitPending', { waitingFor: waitingFor.map(p => ({ user: idOf(p.user), status: p.status })) }, ['rider']);
+}
+
+// The fare of a completed ride has been collected: pay the driver and send the rider their receipt
+async function settleCompletedRide(rideId) {
+  await payoutRideSafely(rideId);
+  await sendReceiptSafely(rideId);
+}
+
+// A card the rider asked to save while paying (setup_future_usage)
+async function rememberCardOf(pi) {
+  if (pi.setup_future_usage && pi.customer && pi.payment_method) await rememberSavedCard(pi.customer, pi.payment_method);
+}
+
+async function handlePaymentSucceeded(app, pi) {
+  await rememberCardOf(pi);
+  if (isTopUpIntent(pi)) {
+    const ride = await markTopUpPaid(pi);
+    if (ride) await settleCompletedRide(ride._id);
+    return;
+  }
+  // Captured ride holds are recorded when we capture them (ride end / cancellation fee)
+  if (isHoldIntent(pi)) return;
+
+  const rideId = pi.metadata && pi.metadata.rideId;
+  if (!rideId) return;
+  const ride = await Ride.findOneAndUpdate(
+    { _id: rideId, paymentStatus: { $in: ['pending', 'failed'] } },
+    { $set: { paymentStatus: 'paid', transactionId: pi.id, stripePaymentIntentId: pi.id }, $unset: { paymentError: 1 } },
+    { new: true }
+  );
+  if (!ride) return;
+  console.log(`[payment] Ride ${rideId} marked as paid (pi ${pi.id})`);
+  if (ride.status === 'completed') await settleCompletedRide(ride._id);
+  else notifyIfSecured(app, ride);
+}
+
+async function handleAmountCapturable(app, pi) {
+  await rememberCardOf(pi);
+  if (isShareIntent(pi)) {
+    const ride = await markShareAuthorized(pi);
+    if (!ride) return;
+    emitToRide(app, ride, 'splitUpdated', { participant: { user: pi.metadata.userId, status: 'authorized' } }, ['rider']);
+    notifyIfSecured(app, ride);
+    return;
+  }
+  // The rider confirmed the card hold placed at accept
+  const ride = await markAuthorized(pi);
+  if (!ride) return;
+  console.log(`[payment] Ride ${ride._id} authorized (pi ${pi.id})`);
+  notifyIfSecured(app, ride);
+  // Confirmed only after the ride ended: markAuthorized captured it right away
+  if (ride.status === 'completed') await settleCompletedRide(ride._id);
+}
+
+async function handlePaymentFailed(app, pi) {
+  const error = (pi.last_payment_error && pi.last_payment_error.message) || 'Payment failed';
+
+  if (isTopUpIntent(pi)) {
+    const ride = await Ride.findOneAndUpdate(
+      { 'fareAdjustment.topUpPaymentIntentId': pi.id },
+      { $set: { 'fareAdjustment.status': 'failed', 'fareAdjustment.error': error } },
+      { new: true }
+    );
+    if (ride) emitToRide(app, ride, 'paymentFailed', { paymentIntentId: pi.id, purpose: 'fare_top_up', error }, ['rider']);
+    return;
+  }
+
+  if (isShareIntent(pi)) {
+    const share = await markShareFailed(pi, error);
+    if (!share) return;
+    console.log(`[split] Share payment ${pi.id} for ride ${share.ride._id} failed: ${error}`);
+    const io = app.get('io');
+    if (io) io.to(`rider_${pi.metadata.userId}`).emit('paymentFailed', { rideId: share.ride._id.toString(), paymentIntentId: pi.id, purpose: 'split_share', error });
+    emitToRide(app, share.ride, 'splitUpdated', { participant: { user: pi.metadata.userId, status: share.participant.status, error } }, ['rider']);
+    return;
+  }
+
+  const ride = await Ride.findOneAndUpdate(
+    { stripePaymentIntentId: pi.id, paymentStatus: { $in: ['pending', 'failed'] } },
+    { $set: { paymentStatus: 'failed', paymentError: error } },
+    { new: true }
+  );
+  if (!ride) return;
+  console.log(`[payment] Payment for ride ${ride._id} failed (pi ${pi.id}): ${error}`);
+  emitToRide(app, ride, 'paymentFailed', { paymentIntentId: pi.id, error });
+}
+
+async function handlePaymentCanceled(app, pi) {
+  if (isShareIntent(pi)) return markShareReleased(pi);
+  // Holds cancelled by Stripe (expired authorization) or by us
+  const ride = await markReleased(pi);
+  if (ride) console.log(`[payment] Hold for ride ${ride._id} was released (pi ${pi.id})`);
+}
+
+async function handleChargeRefunded(app, charge) {
+  const ride = await Ride.findOne({ stripePaymentIntentId: charge.payment_intent });
+  if (!ride) {
+    console.log(`[payment] Refund for charge ${charge.id} does not belong to a ride payment, ignoring`);
+    return;
+  }
+  if (!charge.amount_refunded || charge.amount_refunded <= (ride.refundedAmount || 0)) return;
+
+  const fullyRefunded = charge.refunded || charge.amount_refunded >= charge.amount_captured;
+  const refundedBefore = refundsAfterFare(ride);
+  ride.refundedAmount = charge.amount_refunded;
+  if (ride.paymentStatus !== 'disputed') ride.paymentStatus = fullyRefunded ? 'refunded' : 'partially_refunded';
+  await ride.save();
+  console.log(`[payment] Ride ${ride._id}: ${charge.amount_refunded / 100} NOK of ${charge.amount_captured / 100} NOK refunded`);
+  emitToRide(app, ride, 'rideRefunded', { refundedAmount: charge.amount_refunded, paymentStatus: ride.paymentStatus }, ['rider']);
+
+  // Refunds before the payout are netted out of it; later ones are booked against the driver's earnings
+  const refundedNow = refundsAfterFare(ride) - refundedBefore;
+  if (ride.status === 'completed' && ride.payout && ride.payout.grossAmount != null && refundedNow > 0) {
+    await recordRefund(ride, refundedNow, ride.payout.commissionPercent);
+  }
+}
+
+async function handleDispute(app, dispute) {
+  const ride = await Ride.findOneAndUpdate(
+    { stripePaymentIntentId: dispute.payment_intent },
+    {
+      $set: {
+        paymentStatus: 'disputed',
+        dispute: {
+          id: dispute.id,
+          reason: dispute.reason,
+          status: dispute.status,
+          amount: dispute.amount,
+          createdAt: new Date(dispute.created * 1000)
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!ride) {
+    console.log(`[payment] Dispute ${dispute.id} does not belong to a ride payment, ignoring`);
+    return;
+  }
+  console.warn(`[payment] ⚠️ Ride ${ride._id} payment disputed (${dispute.reason}, ${dispute.amount / 100} NOK, ${dispute.status})`);
+}
+
+async function handleDisputeClosed(app, dispute) {
+  await Ride.updateOne({ 'dispute.id': dispute.id }, { $set: { 'dispute.status': dispute.status } });
+  console.log(`[payment] Dispute ${dispute.id} closed: ${dispute.status}`);
+}
+
+async function handleSetupSucceeded(app, setupIntent) {
+  await rememberSavedCard(setupIntent.customer, setupIntent.payment_method);
+}
+
+async function handleAccountUpdated(app, account) {
+  const driver = await syncConnectAccount(account);
+  if (driver) console.log(`[payout] Connected account ${account.id} updated (payouts ${driver.payoutsEnabled ? 'enabled' : 'disabled'})`);
+}
+
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentSucceeded,
+  'payment_intent.amount_capturable_updated': handleAmountCapturable,
+  'payment_intent.payment_failed': handlePaymentFailed,
+  'payment_intent.canceled': handlePaymentCanceled,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleDispute,
+  'charge.dispute.closed': handleDisputeClosed,
+  'account.updated': handleAccountUpdated,
+  'setup_intent.succeeded': handleSetupSucceeded
+};
+
+/**
+ * Record a PaymentIntent's current state on its ride (used by POST /api/payment/confirm)
+ * @param {object} app - Express app (holds io)
+ * @param {object} pi - PaymentIntent retrieved from Stripe
+ */
+async function syncPaymentIntent(app, pi) {
+  if (pi.status === 'succeeded') return handlePaymentSucceeded(app, pi);
+  if (pi.status === 'requires_capture') return handleAmountCapturable(app, pi);
+  if (pi.status === 'canceled') return handlePaymentCanceled(app, pi);
+  if (pi.status === 'requires_payment_method' && pi.last_payment_error) return handlePaymentFailed(app, pi);
+}
+
+// Take ownership of an event. False if it was already processed (or is being processed right now)
+async function claimEvent(event) {
+  try {
+    await StripeEvent.create({ eventId: event.id, type: event.type });
+    return true;
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  const retry = await StripeEvent.findOneAndUpdate(
+    {
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  return !!retry;
+}
+
+/**
+ * Handle a verified webhook event exactly once
+ * @param {object} app - Express app (holds io)
+ * @param {object} event - Stripe event
+ * @returns {Promise<object>} { handled, duplicate }
+ * @throws When the handler fails (the webhook answers 500 so Stripe retries)
+ */
+async function processStripeEvent(app, event) {
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    console.log(`[webhook] Unhandled event type ${event.type}`);
+    return { handled: false, duplicate: false };
+  }
+  if (!(await claimEvent(event))) {
+    console.log(`[webhook] Skipping already processed event ${event.id} (${event.type})`);
+    return { handled: false, duplicate: true };
+  }
+
+  try {
+    await handler(app, event.data.object);
+  } catch (err) {
+    await StripeEvent.updateOne({ eventId: event.id }, { $set: { status: 'failed', error: err.message } });
+    throw err;
+  }
+  await StripeEvent.updateOne({ eventId: event.id }, { $set: { status: 'processed', processedAt: new Date() }, $unset: { error: 1 } });
+  return { handled: true, duplicate: false };
+}
+
+module.exports = {
+  processStripeEvent,
+  syncPaymentIntent,
+  notifyPaymentConfirmed
+};
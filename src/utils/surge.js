@@ -0,0 +1,185 @@
+// Dynamic surge pricing from live supply and demand
+// The map is divided into a lat/lng grid. Every refresh we count recent open/pending ride requests
+// (demand) and online drivers without an active ride (supply) around each cell and derive a capped
+// multiplier that calculateRidePrice applies on top of the regular fare.
+
+const Ride = require('../models/Ride');
+
+const SURGE = {
+  cellLatDeg: 0.01, // ~1.1 km north-south
+  cellLngDeg: 0.02, // ~1.1 km east-west at Oslo's latitude
+  windowMs: (parseInt(process.env.SURGE_WINDOW_MINUTES) || 10) * 60 * 1000, // rolling demand window
+  refreshMs: 30 * 1000,
+  step: 0.25, // +0.25x for every extra request per available driver
+  maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER) || 2.0
+};
+
+// Latest multipliers: { cellId: { multiplier, demand, supply, updatedAt } }
+let surgeByCell = {};
+// Last surge payload sent to each driver (to only emit changes): { driverId: string }
+const lastDriverUpdates = {};
+
+function cellIndex(latitude, longitude) {
+  return [Math.floor(latitude / SURGE.cellLatDeg), Math.floor(longitude / SURGE.cellLngDeg)];
+}
+
+function cellId(latitude, longitude) {
+  const [row, col] = cellIndex(latitude, longitude);
+  return `${row}:${col}`;
+}
+
+// The cell itself and its 8 neighbours, so demand right across a cell border still counts
+function neighbourIds(row, col) {
+  const ids = [];
+  for (let dr = -1; dr <= 1; dr++) {
+    for (let dc = -1; dc <= 1; dc++) ids.push(`${row + dr}:${col + dc}`);
+  }
+  return ids;
+}
+
+function cellBounds(id) {
+  const [row, col] = id.split(':').map(Number);
+  return {
+    south: row * SURGE.cellLatDeg,
+    west: col * SURGE.cellLngDeg,
+    north: (row + 1) * SURGE.cellLatDeg,
+    east: (col + 1) * SURGE.cellLngDeg
+  };
+}
+
+/**
+ * Capped multiplier for a demand/supply pair
+ * @param {number} demand - Ride requests in the window
+ * @param {number} supply - Idle online drivers
+ * @returns {number} 1.0 when supply covers demand, rounded to one decimal
+ */
+function multiplierFor(demand, supply) {
+  const ratio = demand / Math.max(supply, 1);
+  if (ratio <= 1) return 1.0;
+  const multiplier = Math.min(SURGE.maxMultiplier, 1 + (ratio - 1) * SURGE.step);
+  return Math.round(multiplier * 10) / 10;
+}
+
+/**
+ * Recompute surge multipliers for all cells with demand
+ * @param {object} app - Express app (holds driverLocations, onlineDrivers, activeRides)
+ * @returns {Promise<object>} The new surgeByCell map
+ */
+async function refreshSurge(app) {
+  const driverLocations = app.get('driverLocations') || {};
+  const onlineDrivers = app.get('onlineDrivers') || new Set();
+  const activeRides = app.get('activeRides') || {};
+
+  const busyDrivers = new Set(Object.values(activeRides).map(r => r.driverId));
+  const supplyCounts = {};
+  for (const [driverId, loc] of Object.entries(driverLocations)) {
+    if (!onlineDrivers.has(driverId) || busyDrivers.has(driverId)) continue;
+    const id = cellId(loc.latitude, loc.longitude);
+    supplyCounts[id] = (supplyCounts[id] || 0) + 1;
+  }
+
+  const since = new Date(Date.now() - SURGE.windowMs);
+  const rides = await Ride.find({ status: { $in: ['open', 'pending'] }, createdAt: { $gte: since } }).select('pickupLocation').lean();
+  const demandCounts = {};
+  for (const ride of rides) {
+    const coords = ride.pickupLocation && ride.pickupLocation.coordinates;
+    if (!coords || coords.length !== 2) continue;
+    const id = cellId(coords[1], coords[0]);
+    demandCounts[id] = (demandCounts[id] || 0) + 1;
+  }
+
+  const next = {};
+  const now = Date.now();
+  for (const id of Object.keys(demandCounts)) {
+    const [row, col] = id.split(':').map(Number);
+    // Every cell around a request is affected by it
+    for (const target of neighbourIds(row, col)) {
+      if (next[target]) continue;
+      const [tr, tc] = target.split(':').map(Number);
+      const area = neighbourIds(tr, tc);
+      const demand = area.reduce((sum, n) => sum + (demandCounts[n] || 0), 0);
+      const supply = area.reduce((sum, n) => sum + (supplyCounts[n] || 0), 0);
+      const multiplier = multiplierFor(demand, supply);
+      if (multiplier > 1) next[target] = { multiplier, demand, supply, updatedAt: now };
+    }
+  }
+
+  surgeByCell = next;
+  return surgeByCell;
+}
+
+/**
+ * Current surge for a location
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {object} { multiplier, cellId }
+ */
+function getSurge(latitude, longitude) {
+  if (latitude == null || longitude == null) return { multiplier: 1.0, cellId: null };
+  const id = cellId(latitude, longitude);
+  const cell = surgeByCell[id];
+  return { multiplier: cell ? cell.multiplier : 1.0, cellId: id };
+}
+
+/**
+ * Current surge at a GeoJSON point ({ coordinates: [lng, lat] })
+ * @param {object} location
+ * @returns {object} { multiplier, cellId }
+ */
+function getSurgeForLocation(location) {
+  const coords = location && location.coordinates;
+  if (!coords || coords.length !== 2) return { multiplier: 1.0, cellId: null };
+  return getSurge(coords[1], coords[0]);
+}
+
+/**
+ * Send each online driver the surging cells around them (only when it changed)
+ * @param {object} app - Express app
+ */
+function emitDriverSurgeUpdates(app) {
+  const io = app.get('io');
+  const driverLocations = app.get('driverLocations') || {};
+  const driverSocketMap = app.get('driverSocketMap') || {};
+  if (!io) return;
+
+  for (const driverId of Object.keys(lastDriverUpdates)) {
+    if (!driverLocations[driverId]) delete lastDriverUpdates[driverId];
+  }
+  for (const [driverId, loc] of Object.entries(driverLocations)) {
+    const socketId = driverSocketMap[driverId];
+    if (!socketId) continue;
+    const [row, col] = cellIndex(loc.latitude, loc.longitude);
+    const cells = neighbourIds(row, col)
+      .filter(id => surgeByCell[id])
+      .map(id => ({ cellId: id, multiplier: surgeByCell[id].multiplier, bounds: cellBounds(id) }));
+    const key = JSON.stringify(cells.map(c => [c.cellId, c.multiplier]));
+    if (lastDriverUpdates[driverId] === key) continue;
+    lastDriverUpdates[driverId] = key;
+    io.to(socketId).emit('surgeUpdate', { cells, updatedAt: Date.now() });
+  }
+}
+
+/**
+ * Refresh surge multipliers periodically and notify drivers
+ * @param {object} app - Express app
+ * @returns {object} The interval handle
+ */
+function startSurgeUpdates(app) {
+  return setInterval(async () => {
+    try {
+      await refreshSurge(app);
+      emitDriverSurgeUpdates(app);
+    } catch (err) {
+      console.error('[surge] Error refreshing surge multipliers', err);
+    }
+  }, SURGE.refreshMs);
+}
+
+module.exports = {
+  getSurge,
+  getSurgeForLocation,
+  refreshSurge,
+  startSurgeUpdates,
+  multiplierFor,
+  SURGE
+};
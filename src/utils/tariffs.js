@@ -0,0 +1,125 @@
+// Versioned tariffs stored in MongoDB
+// Active tariffs are cached in memory so calculateRidePrice can stay synchronous. The cache is reloaded
+// periodically (so every instance picks up activations) and immediately after an activation here.
+// Version 0 is the built-in PRICING defaults, used when no tariff has been activated.
+
+const Tariff = require('../models/Tariff');
+
+const TARIFF_REFRESH_MS = (parseInt(process.env.TARIFF_REFRESH_SECONDS) || 60) * 1000;
+
+const NUMBER_FIELDS = ['baseFare', 'pricePerKm', 'waitingTimePerMinute', 'pricePerMinute', 'pricePerStop', 'averageSpeedKmh', 'minimumFare'];
+const CAR_TYPES = ['standard', 'comfort', 'xl', 'premium'];
+const SURCHARGE_TYPES = ['nightTime', 'weekend', 'holiday', 'rush'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Active tariffs sorted newest effectiveFrom first (ties: highest version first)
+let activeTariffs = [];
+
+function toCached(tariff) {
+  return {
+    id: tariff._id.toString(),
+    version: tariff.version,
+    name: tariff.name,
+    effectiveFrom: new Date(tariff.effectiveFrom),
+    config: tariff.config || {}
+  };
+}
+
+/**
+ * Reload the active tariffs from the database
+ * @returns {Promise<Array>} The cached tariffs
+ */
+async function refreshTariffCache() {
+  const tariffs = await Tariff.find({ status: 'active' }).sort({ effectiveFrom: -1, version: -1 }).lean();
+  activeTariffs = tariffs.map(toCached);
+  return activeTariffs;
+}
+
+/**
+ * Reload the tariff cache periodically
+ * @returns {object} The interval handle
+ */
+function startTariffRefresh() {
+  return setInterval(() => {
+    refreshTariffCache().catch(err => console.error('[tariffs] Error refreshing tariff cache', err));
+  }, TARIFF_REFRESH_MS);
+}
+
+/**
+ * Tariff in effect at a point in time (from the cache)
+ * @param {Date|number|string} date - Defaults to now
+ * @returns {object|null} { id, version, name, effectiveFrom, config } or null for the built-in defaults
+ */
+function getTariffAt(date = new Date()) {
+  const at = new Date(date).getTime();
+  return activeTariffs.find(t => t.effectiveFrom.getTime() <= at) || null;
+}
+
+/**
+ * Look up a tariff by version (cache first), e.g. to re-price a ride with the tariff it was quoted under
+ * @param {number} version
+ * @returns {Promise<object|null>} Same shape as getTariffAt, null for version 0 / unknown versions
+ */
+async function getTariffByVersion(version) {
+  if (!version) return null;
+  const cached = activeTariffs.find(t => t.version === version);
+  if (cached) return cached;
+  const tariff = await Tariff.findOne({ version }).lean();
+  return tariff ? toCached(tariff) : null;
+}
+
+/**
+ * Validate a (partial) tariff config from the admin API
+ * @param {object} config
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateTariffConfig(config) {
+  if (!config || typeof config !== 'object') return 'config is required';
+  for (const field of NUMBER_FIELDS) {
+    if (config[field] != null && !(typeof config[field] === 'number' && config[field] >= 0)) return `${field} must be a non-negative number`;
+  }
+  if (config.averageSpeedKmh === 0) return 'averageSpeedKmh must be greater than 0';
+  for (const [group, keys] of [['carTypeMultipliers', CAR_TYPES], ['surcharges', SURCHARGE_TYPES]]) {
+    const values = config[group];
+    if (values == null) continue;
+    for (const key of Object.keys(values)) {
+      if (!keys.includes(key)) return `Unknown ${group} entry: ${key}`;
+      if (!(typeof values[key] === 'number' && values[key] >= 1)) return `${group}.${key} must be a number >= 1`;
+    }
+  }
+  if (config.nightHours != null) {
+    const { start, end } = config.nightHours;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) return 'nightHours needs start and end as HH:MM';
+  }
+  if (config.rushHours != null) {
+    if (!Array.isArray(config.rushHours)) return 'rushHours must be an array of { start, end }';
+    if (config.rushHours.some(w => !w || !TIME_PATTERN.test(w.start || '') || !TIME_PATTERN.test(w.end || ''))) return 'rushHours needs start and end as HH:MM';
+  }
+  return null;
+}
+
+/**
+ * Activate a draft tariff and reload the cache
+ * @param {string} tariffId
+ * @param {string} actorId - Admin user id
+ * @returns {Promise<object|null>} The activated tariff, null if it doesn't exist or isn't a draft
+ */
+async function activateTariff(tariffId, actorId) {
+  const tariff = await Tariff.findOneAndUpdate(
+    { _id: tariffId, status: 'draft' },
+    { $set: { status: 'active', activatedAt: new Date(), activatedBy: actorId } },
+    { new: true }
+  );
+  if (tariff) await refreshTariffCache();
+  return tariff;
+}
+
+module.exports = {
+  refreshTariffCache,
+  startTariffRefresh,
+  getTariffAt,
+  getTariffByVersion,
+  validateTariffConfig,
+  activateTariff,
+  CAR_TYPES
+};
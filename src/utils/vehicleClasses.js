@@ -0,0 +1,200 @@
+// Vehicle classes
+// Riders ask for a class (Ride.carType: standard, comfort, xl or premium) and are only matched with drivers whose
+// active car is of that class (see utils/carCapabilities). estimateClasses prices a trip in every class side by
+// side with the nearest capable driver's ETA, and offers an upgrade when a higher class can be there sooner.
+// Riders can take an offer for a ride that hasn't been accepted yet with upgradeRide.
+
+const Ride = require('../models/Ride');
+const { calculateRidePrice, getPriceRange, getCarTypeInfo, getRates } = require('./pricing');
+const { getDistanceKm } = require('./geo');
+const { CAR_TYPES } = require('./tariffs');
+const { rankDrivers, dispatchRide, clearOffer } = require('./dispatch');
+const { transitionRide, RideTransitionError } = require('./rideLifecycle');
+const { getSurgeForLocation } = require('./surge');
+const { getLegsKm } = require('./stops');
+const { lowRatedUserIds, RATINGS } = require('./ratings');
+const { carSatisfies, activeCarsOf } = require('./carCapabilities');
+
+const CLASSES = {
+  // A higher class is offered when its nearest driver is at least this much sooner
+  minUpgradeSavingMinutes: parseFloat(process.env.UPGRADE_MIN_SAVING_MINUTES) || 3
+};
+
+class VehicleClassError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VehicleClassError';
+    this.status = status;
+  }
+}
+
+/**
+ * Validate a requested class
+ * @param {string} value - carType from a request
+ * @returns {string|null} The class, null when none was given
+ * @throws {VehicleClassError}
+ */
+function parseCarType(value) {
+  if (value == null || value === '') return null;
+  if (!CAR_TYPES.includes(value)) throw new VehicleClassError(`carType must be one of ${CAR_TYPES.join(', ')}`);
+  return value;
+}
+
+function isHigherClass(carType, than) {
+  return CAR_TYPES.indexOf(carType) > CAR_TYPES.indexOf(than);
+}
+
+function etaMinutes(distanceKm) {
+  return Math.max(1, Math.round((distanceKm / getRates().averageSpeedKmh) * 60));
+}
+
+/**
+ * Nearest online driver of each class whose car also meets the rider's other needs
+ * @param {object} app - Express app (holds driverLocations, onlineDrivers, driverSocketMap)
+ * @param {object} pickupLocation - GeoJSON point
+ * @param {object} needs - Result of rideNeeds (its carType is ignored)
+ * @returns {Promise<object>} { carType: { driverId, distanceKm, etaMinutes } }, classes without a driver left out
+ */
+async function nearestDriverByClass(app, pickupLocation, needs) {
+  const candidates = rankDrivers(app, { pickupLocation });
+  if (candidates.length === 0) return {};
+  const cars = await activeCarsOf(candidates.map(c => c.driverId));
+  const lowRated = new Set((await lowRatedUserIds('driver', RATINGS.minDriverRating)).map(id => id.toString()));
+  const nearest = {};
+  for (const { driverId, distanceKm } of candidates) {
+    const car = cars[driverId];
+    if (!car || nearest[car.carType] || lowRated.has(driverId)) continue;
+    if (!carSatisfies(car, { ...needs, carType: car.carType })) continue;
+    nearest[car.carType] = { driverId, distanceKm: Math.round(distanceKm * 100) / 100, etaMinutes: etaMinutes(distanceKm) };
+  }
+  return nearest;
+}
+
+/**
+ * Higher classes that can pick the rider up sooner than the requested one
+ * @param {Array<object>} classes - estimateClasses().classes
+ * @param {string} requested - The class the rider asked for
+ * @returns {Array<object>} [{ carType, name, etaMinutes, savesMinutes, totalPrice, extraPrice }], cheapest first
+ */
+function upgradeOffersFor(classes, requested) {
+  const current = classes.find(c => c.carType === requested);
+  if (!current) return [];
+  return classes
+    .filter(c => c.available && isHigherClass(c.carType, requested))
+    .map(c => ({
+      carType: c.carType,
+      name: c.name,
+      etaMinutes: c.nearestDriver.etaMinutes,
+      savesMinutes: current.available ? current.nearestDriver.etaMinutes - c.nearestDriver.etaMinutes : null,
+      totalPrice: c.estimate.totalPrice,
+      extraPrice: c.estimate.totalPrice - current.estimate.totalPrice
+    }))
+    .filter(offer => offer.savesMinutes == null || offer.savesMinutes >= CLASSES.minUpgradeSavingMinutes)
+    .sort((a, b) => a.extraPrice - b.extraPrice);
+}
+
+/**
+ * Price a trip in every class, with the nearest capable driver's ETA
+ * @param {object} app - Express app
+ * @param {object} trip
+ * @param {object} trip.pickupLocation - GeoJSON point
+ * @param {object} trip.destinationLocation - GeoJSON point (optional, 5 km assumed without it)
+ * @param {Array} trip.stops - Normalized stops
+ * @param {Date} trip.scheduledFor - Rides booked for later get no ETA, pickup distance or surge
+ * @param {object} trip.needs - Result of rideNeeds, its carType is the requested class (defaults to standard)
+ * @param {object} trip.promo - Promo terms (optional)
+ * @returns {Promise<object>} { carType, distanceKm, surge, classes, priceRange, upgradeOffers }
+ */
+async function estimateClasses(app, { pickupLocation, destinationLocation, stops = [], scheduledFor, needs, promo }) {
+  const [pickupLng, pickupLat] = pickupLocation.coordinates;
+  let tripDistanceKm = 5; // Same default as estimate-price
+  let legsKm = null;
+  if (destinationLocation && destinationLocation.coordinates && destinationLocation.coordinates.length === 2) {
+    legsKm = stops.length > 0 ? getLegsKm(pickupLocation, stops, destinationLocation) : null;
+    const [destLng, destLat] = destinationLocation.coordinates;
+    tripDistanceKm = legsKm ? legsKm.reduce((sum, km) => sum + km, 0) : getDistanceKm(pickupLat, pickupLng, destLat, destLng);
+  }
+
+  const surge = scheduledFor ? { multiplier: 1 } : getSurgeForLocation(pickupLocation);
+  const nearest = scheduledFor ? {} : await nearestDriverByClass(app, pickupLocation, needs);
+  const options = { legsKm: legsKm || undefined, surgeMultiplier: surge.multiplier, pickupTime: scheduledFor || undefined };
+
+  const classes = CAR_TYPES.map(carType => {
+    const driver = nearest[carType] || null;
+    return {
+      carType,
+      ...getCarTypeInfo(carType),
+      available: !!driver,
+      nearestDriver: driver && { distanceKm: driver.distanceKm, etaMinutes: driver.etaMinutes },
+      estimate: calculateRidePrice(tripDistanceKm, carType, { ...options, driverToPickupKm: driver ? driver.distanceKm : 0, promo })
+    };
+  });
+
+  const carType = needs.carType || 'standard';
+  return {
+    carType,
+    distanceKm: Math.round(tripDistanceKm * 100) / 100,
+    surge,
+    classes,
+    priceRange: getPriceRange(tripDistanceKm, options),
+    upgradeOffers: scheduledFor ? [] : upgradeOffersFor(classes, carType)
+  };
+}
+
+/**
+ * Move a ride that no driver has accepted yet to a higher class and dispatch it again.
+ * A driver holding the offer loses it (rideStatusChanged with reason 'upgraded')
+ * @param {object} app - Express app
+ * @param {string} rideId
+ * @param {object} user - The ride's rider
+ * @param {string} carType - Higher class than the ride's
+ * @returns {Promise<object>} The re-opened ride
+ * @throws {VehicleClassError}
+ */
+async function upgradeRide(app, rideId, user, carType) {
+  const to = parseCarType(carType);
+  if (!to) throw new VehicleClassError('carType is required');
+  const ride = await Ride.findById(rideId);
+  if (!ride) throw new VehicleClassError('Ride not found', 404);
+  if (ride.rider.toString() !== user._id.toString()) throw new VehicleClassError('Only the rider can upgrade this ride', 403);
+  if (!['open', 'pending'].includes(ride.status)) throw new VehicleClassError(`Ride is ${ride.status}, it can no longer be upgraded`, 409);
+  if (ride.scheduledFor || ride.quoteId || ride.pool) throw new VehicleClassError('Only rides requested for now without a booked driver can be upgraded', 409);
+  const from = ride.carType || 'standard';
+  if (!isHigherClass(to, from)) throw new VehicleClassError(`${getCarTypeInfo(to).name} is not an upgrade from ${getCarTypeInfo(from).name}`);
+
+  let upgraded;
+  if (ride.status === 'pending') {
+    clearOffer(ride._id);
+    try {
+      upgraded = await transitionRide(app, ride._id, 'open', {
+        actor: user,
+        actorRole: 'rider',
+        reason: 'upgraded',
+        from: ['pending'],
+        filter: { assignedDriver: ride.assignedDriver, carType: ride.carType || null },
+        set: { assignedDriver: null, carType: to },
+        driverId: ride.assignedDriver
+      });
+    } catch (err) {
+      if (err instanceof RideTransitionError) throw new VehicleClassError('Ride was accepted in the meantime', 409);
+      throw err;
+    }
+  } else {
+    upgraded = await Ride.findOneAndUpdate({ _id: ride._id, status: 'open', carType: ride.carType || null }, { $set: { carType: to } }, { new: true });
+    if (!upgraded) throw new VehicleClassError('Ride was taken in the meantime', 409);
+  }
+  console.log(`[classes] Ride ${ride._id} upgraded from ${from} to ${to}`);
+
+  dispatchRide(app, upgraded._id).catch(err => console.error('[dispatch] Error dispatching ride', upgraded._id, err));
+  return upgraded;
+}
+
+module.exports = {
+  estimateClasses,
+  nearestDriverByClass,
+  upgradeOffersFor,
+  upgradeRide,
+  parseCarType,
+  CLASSES,
+  VehicleClassError
+};